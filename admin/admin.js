@@ -0,0 +1,854 @@
+// ============================================
+// EDITOR DE CATÁLOGO (gallery-data.json)
+// ============================================
+
+/**
+ * Página local para editar fandoms y productos sin tocar el JSON a mano.
+ * Guarda a través de scripts/server.js (PUT /api/catalog), que vuelve a
+ * validar el catálogo completo antes de escribirlo.
+ */
+
+const ADMIN_CONFIG = {
+  catalogUrl: "../gallery-data.json",
+  imagesEndpoint: "/api/images",
+  saveEndpoint: "/api/catalog",
+  previewDelay: 300, // Espera antes de actualizar la vista previa (ms)
+  statuses: {
+    // Mismos estados que CONFIG.productStatuses en script.js
+    "": "Automático",
+    available: "Disponible",
+    "made-to-order": "A pedido",
+    "coming-soon": "Próximamente",
+    "sold-out": "Agotado",
+  },
+};
+
+/**
+ * Estado del editor
+ */
+const adminState = {
+  data: null, // Catálogo en edición
+  selectedIndex: 0, // Fandom seleccionado en la lista
+  images: [], // Rutas de img/ disponibles
+  dirty: false, // Hay cambios sin guardar
+  previewReady: false, // El iframe ya pidió los datos
+  fandomIdBeforeEdit: null, // Id del fandom al entrar al campo id
+};
+
+// ============================================
+// UTILIDADES
+// ============================================
+
+/**
+ * Escapa texto para insertarlo en HTML
+ * @param {*} text - Texto a escapar
+ * @returns {string} Texto seguro para innerHTML
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Convierte un texto en un id válido del catálogo (ej: "Blue Lock" → "blue-lock")
+ * @param {string} text - Texto original
+ * @returns {string} Id en minúsculas separado por guiones
+ */
+function slugify(text) {
+  return text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Mueve un elemento dentro de un array
+ * @param {Array} list - Lista a modificar
+ * @param {number} from - Índice actual
+ * @param {number} to - Índice destino
+ * @returns {boolean} false si el destino está fuera de la lista
+ */
+function moveItem(list, from, to) {
+  if (to < 0 || to >= list.length) return false;
+  const [item] = list.splice(from, 1);
+  list.splice(to, 0, item);
+  return true;
+}
+
+/**
+ * Genera un id libre agregando un número al final
+ * @param {string} base - Id base (ej: "nuevo-fandom")
+ * @param {Set<string>} usedIds - Ids ya usados
+ * @returns {string} Id libre (ej: "nuevo-fandom-3")
+ */
+function generateUniqueId(base, usedIds) {
+  let counter = 1;
+  while (usedIds.has(`${base}-${counter}`)) counter++;
+  return `${base}-${counter}`;
+}
+
+// ============================================
+// CHEQUEOS ANTES DE GUARDAR
+// ============================================
+
+/**
+ * Detecta los problemas que impiden guardar o exportar
+ * El servidor repite estos chequeos junto con el schema completo
+ * @param {Object} data - Catálogo
+ * @returns {Array<{path: string, message: string}>} Problemas encontrados
+ */
+function findCatalogProblems(data) {
+  const problems = [];
+  const productTypeIds = new Set(data.productTypes.map((pt) => pt.id));
+  const fandomIds = new Map();
+  const productIds = new Map();
+
+  data.fandoms.forEach((fandom, i) => {
+    const fandomPath = `$.fandoms[${i}]`;
+
+    if (!fandom.id) {
+      problems.push({ path: `${fandomPath}.id`, message: "falta el id" });
+    } else if (fandomIds.has(fandom.id)) {
+      problems.push({
+        path: `${fandomPath}.id`,
+        message: `id de fandom duplicado "${fandom.id}" (ya usado por "${fandomIds.get(fandom.id)}")`,
+      });
+    } else {
+      fandomIds.set(fandom.id, fandom.name);
+    }
+
+    if (!fandom.name) {
+      problems.push({ path: `${fandomPath}.name`, message: "falta el nombre" });
+    }
+
+    Object.entries(fandom.products).forEach(([productTypeId, products]) => {
+      const listPath = `${fandomPath}.products.${productTypeId}`;
+      if (!productTypeIds.has(productTypeId)) {
+        problems.push({
+          path: listPath,
+          message: `tipo de producto "${productTypeId}" no existe en productTypes`,
+        });
+      }
+
+      products.forEach((product, j) => {
+        const productPath = `${listPath}[${j}]`;
+        if (!product.id) {
+          problems.push({ path: `${productPath}.id`, message: "falta el id" });
+        } else if (productIds.has(product.id)) {
+          problems.push({
+            path: `${productPath}.id`,
+            message: `id de producto duplicado "${product.id}" (ya usado en ${productIds.get(product.id)})`,
+          });
+        } else {
+          productIds.set(product.id, productPath);
+        }
+        if (!product.name) {
+          problems.push({
+            path: `${productPath}.name`,
+            message: "falta el nombre",
+          });
+        }
+        if (!product.image) {
+          problems.push({
+            path: `${productPath}.image`,
+            message: "falta la imagen",
+          });
+        }
+      });
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Muestra la lista de errores y advertencias
+ * @param {Array} errors - Problemas que impiden guardar
+ * @param {Array} [warnings] - Problemas que no impiden guardar
+ */
+function renderProblems(errors, warnings = []) {
+  const container = document.getElementById("adminProblems");
+  const items = [
+    ...errors.map((problem) => ({ ...problem, level: "error" })),
+    ...warnings.map((problem) => ({ ...problem, level: "warning" })),
+  ];
+
+  container.hidden = items.length === 0;
+  container.innerHTML = `
+    <ul>
+      ${items
+        .map(
+          ({ level, path, message }) => `
+            <li class="problem-${level}">
+              ${level === "error" ? "✖" : "⚠"}
+              <code>${escapeHTML(path)}</code> ${escapeHTML(message)}
+            </li>
+          `,
+        )
+        .join("")}
+    </ul>
+  `;
+}
+
+/**
+ * Muestra un mensaje en la cabecera
+ * @param {string} message - Texto del estado
+ */
+function setStatus(message) {
+  document.getElementById("adminStatus").textContent = message;
+}
+
+// ============================================
+// RENDERIZADO DE LA LISTA DE FANDOMS
+// ============================================
+
+/**
+ * Renderiza la lista lateral de fandoms con controles de orden
+ */
+function renderFandomList() {
+  const list = document.getElementById("fandomList");
+  const { fandoms } = adminState.data;
+
+  list.innerHTML = fandoms
+    .map(
+      (fandom, index) => `
+        <li class="fandom-list-item ${index === adminState.selectedIndex ? "active" : ""}">
+          <button type="button" class="fandom-select" data-action="select-fandom" data-index="${index}">
+            ${escapeHTML(fandom.name || "(sin nombre)")}
+            ${fandom.featured ? '<span class="fandom-featured" title="Destacado">★</span>' : ""}
+          </button>
+          <button type="button" class="icon-btn" data-action="move-fandom" data-index="${index}" data-offset="-1" aria-label="Subir" ${index === 0 ? "disabled" : ""}>↑</button>
+          <button type="button" class="icon-btn" data-action="move-fandom" data-index="${index}" data-offset="1" aria-label="Bajar" ${index === fandoms.length - 1 ? "disabled" : ""}>↓</button>
+        </li>
+      `,
+    )
+    .join("");
+}
+
+// ============================================
+// RENDERIZADO DEL EDITOR DE FANDOM
+// ============================================
+
+/**
+ * Renderiza el formulario del fandom seleccionado y sus productos
+ */
+function renderFandomEditor() {
+  const editor = document.getElementById("fandomEditor");
+  const fandom = adminState.data.fandoms[adminState.selectedIndex];
+
+  if (!fandom) {
+    editor.innerHTML = `<p class="admin-empty">No hay fandoms. Creá uno nuevo.</p>`;
+    return;
+  }
+
+  // Tipos del catálogo + tipos desconocidos que tenga el fandom (para poder quitarlos)
+  const knownTypes = adminState.data.productTypes;
+  const unknownTypes = Object.keys(fandom.products)
+    .filter((typeId) => !knownTypes.some((pt) => pt.id === typeId))
+    .map((typeId) => ({ id: typeId, name: typeId, unknown: true }));
+
+  editor.innerHTML = `
+    <div class="editor-fields">
+      <label class="field">
+        <span>Nombre</span>
+        <input type="text" value="${escapeHTML(fandom.name)}" data-action="fandom-field" data-field="name" />
+      </label>
+      <label class="field">
+        <span>Id</span>
+        <input type="text" value="${escapeHTML(fandom.id)}" data-action="fandom-field" data-field="id" pattern="[a-z0-9]+(-[a-z0-9]+)*" />
+      </label>
+      <label class="field field-inline">
+        <input type="checkbox" ${fandom.featured ? "checked" : ""} data-action="fandom-featured" />
+        <span>Destacado en la página principal</span>
+      </label>
+      ${renderImageField("Miniatura", fandom.thumbnail || "", 'data-action="fandom-field" data-field="thumbnail"')}
+      <button type="button" class="admin-btn danger" data-action="delete-fandom">
+        Eliminar fandom
+      </button>
+    </div>
+
+    ${[...knownTypes, ...unknownTypes].map((productType) => renderProductTypeBlock(fandom, productType)).join("")}
+  `;
+}
+
+/**
+ * Genera un campo de imagen con sugerencias de img/ y miniatura
+ * @param {string} label - Etiqueta del campo
+ * @param {string} value - Ruta actual
+ * @param {string} dataAttributes - Atributos data-* del input
+ * @returns {string} HTML del campo
+ */
+function renderImageField(label, value, dataAttributes) {
+  return `
+    <label class="field field-image">
+      <span>${label}</span>
+      <span class="image-picker">
+        <img src="${value ? `../${escapeHTML(value)}` : ""}" alt="" class="image-thumb" ${value ? "" : "hidden"} />
+        <input type="text" list="imageOptions" value="${escapeHTML(value)}" placeholder="img/..." ${dataAttributes} />
+      </span>
+    </label>
+  `;
+}
+
+/**
+ * Genera el bloque de un tipo de producto con sus productos
+ * @param {Object} fandom - Fandom en edición
+ * @param {Object} productType - Tipo de producto ({ id, name, unknown })
+ * @returns {string} HTML del bloque
+ */
+function renderProductTypeBlock(fandom, productType) {
+  const products = fandom.products[productType.id] || [];
+
+  return `
+    <section class="type-block ${productType.unknown ? "unknown" : ""}" data-type="${escapeHTML(productType.id)}">
+      <header class="type-block-header">
+        <h3>
+          ${escapeHTML(productType.name)}
+          <span class="type-count">${products.length}</span>
+          ${productType.unknown ? '<span class="type-unknown">tipo desconocido</span>' : ""}
+        </h3>
+        ${
+          productType.unknown
+            ? `<button type="button" class="admin-btn danger" data-action="remove-type">Quitar tipo</button>`
+            : `<button type="button" class="admin-btn" data-action="add-product">+ Producto</button>`
+        }
+      </header>
+      ${products.map((product, index) => renderProductRow(product, index, products.length)).join("")}
+    </section>
+  `;
+}
+
+/**
+ * Genera la fila editable de un producto
+ * @param {Object} product - Producto
+ * @param {number} index - Posición en su lista
+ * @param {number} total - Cantidad de productos en la lista
+ * @returns {string} HTML de la fila
+ */
+function renderProductRow(product, index, total) {
+  const statusOptions = Object.entries(ADMIN_CONFIG.statuses)
+    .map(
+      ([value, label]) =>
+        `<option value="${value}" ${(product.status || "") === value ? "selected" : ""}>${label}</option>`,
+    )
+    .join("");
+
+  return `
+    <div class="product-row" data-index="${index}">
+      <label class="field">
+        <span>Nombre</span>
+        <input type="text" value="${escapeHTML(product.name)}" data-action="product-field" data-field="name" />
+      </label>
+      <label class="field">
+        <span>Id</span>
+        <input type="text" value="${escapeHTML(product.id)}" data-action="product-field" data-field="id" pattern="[a-z0-9]+(-[a-z0-9]+)*" />
+      </label>
+      ${renderImageField("Imagen", product.image, 'data-action="product-field" data-field="image"')}
+      <label class="field">
+        <span>Estado</span>
+        <select data-action="product-field" data-field="status">${statusOptions}</select>
+      </label>
+      <div class="product-row-actions">
+        <button type="button" class="icon-btn" data-action="move-product" data-offset="-1" aria-label="Subir" ${index === 0 ? "disabled" : ""}>↑</button>
+        <button type="button" class="icon-btn" data-action="move-product" data-offset="1" aria-label="Bajar" ${index === total - 1 ? "disabled" : ""}>↓</button>
+        <button type="button" class="icon-btn danger" data-action="remove-product" aria-label="Quitar producto">✕</button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Re-renderiza lista, editor y vista previa
+ */
+function renderAll() {
+  renderFandomList();
+  renderFandomEditor();
+  schedulePreview();
+}
+
+// ============================================
+// EDICIÓN
+// ============================================
+
+/**
+ * Marca que hay cambios sin guardar y actualiza la vista previa
+ */
+function markDirty() {
+  adminState.dirty = true;
+  setStatus("Cambios sin guardar");
+  schedulePreview();
+}
+
+/**
+ * Crea un fandom vacío al final de la lista y lo selecciona
+ */
+function addFandom() {
+  const usedIds = new Set(adminState.data.fandoms.map((f) => f.id));
+  adminState.data.fandoms.push({
+    id: generateUniqueId("nuevo-fandom", usedIds),
+    name: "Nuevo fandom",
+    featured: false,
+    products: {},
+  });
+  adminState.selectedIndex = adminState.data.fandoms.length - 1;
+  renderAll();
+  markDirty();
+}
+
+/**
+ * Actualiza un campo de texto del fandom seleccionado
+ * El thumbnail vacío se elimina (es opcional)
+ * @param {string} field - "id", "name" o "thumbnail"
+ * @param {string} value - Nuevo valor
+ */
+function updateFandomField(field, value) {
+  const fandom = adminState.data.fandoms[adminState.selectedIndex];
+  const trimmed = value.trim();
+
+  if (field === "thumbnail" && !trimmed) {
+    delete fandom.thumbnail;
+  } else {
+    fandom[field] = trimmed;
+  }
+
+  if (field === "name") renderFandomList();
+  markDirty();
+}
+
+/**
+ * Cambia el id de un fandom en las promociones, el ranking y las ferias
+ * que lo nombran, así renombrar un fandom no rompe la validación
+ * No hace nada si otro fandom sigue usando el id anterior o ya usa el nuevo
+ * @param {string} oldId - Id anterior
+ * @param {string} newId - Id nuevo
+ */
+function renameFandomReferences(oldId, newId) {
+  const { data } = adminState;
+  const usedBy = (id) => data.fandoms.filter((f) => f.id === id).length;
+  if (!oldId || oldId === newId || usedBy(oldId) > 0 || usedBy(newId) > 1) {
+    return;
+  }
+
+  const rename = (list) =>
+    Array.isArray(list) ? list.map((id) => (id === oldId ? newId : id)) : list;
+
+  (data.promotions || []).forEach((promotion) => {
+    if (promotion.conditions && promotion.conditions.fandoms) {
+      promotion.conditions.fandoms = rename(promotion.conditions.fandoms);
+    }
+  });
+  if (data.ranking) {
+    ["pinned", "exclude"].forEach((key) => {
+      if (data.ranking[key]) data.ranking[key] = rename(data.ranking[key]);
+    });
+  }
+  (data.events || []).forEach((event) => {
+    if (event.fandoms) event.fandoms = rename(event.fandoms);
+  });
+}
+
+/**
+ * Agrega un producto al tipo indicado del fandom seleccionado
+ * @param {string} productTypeId - ID del tipo de producto
+ */
+function addProduct(productTypeId) {
+  const fandom = adminState.data.fandoms[adminState.selectedIndex];
+  if (!fandom.products[productTypeId]) fandom.products[productTypeId] = [];
+
+  // Mismo criterio que el importador: "isaac-llavero-5", no "isaac-llaveros-1"
+  const generateId = createIdGenerator(adminState.data);
+  fandom.products[productTypeId].push({
+    id: generateId(fandom.id, productTypeId),
+    image: "img/proximamente.webp",
+    name: "Nuevo producto",
+  });
+  renderFandomEditor();
+  markDirty();
+}
+
+/**
+ * Actualiza un campo de un producto
+ * Un estado vacío ("Automático") elimina el campo status
+ * @param {string} productTypeId - ID del tipo de producto
+ * @param {number} index - Posición del producto
+ * @param {string} field - Campo a modificar
+ * @param {string} value - Nuevo valor
+ */
+function updateProductField(productTypeId, index, field, value) {
+  const fandom = adminState.data.fandoms[adminState.selectedIndex];
+  const product = fandom.products[productTypeId][index];
+  const trimmed = value.trim();
+
+  if (field === "status" && !trimmed) {
+    delete product.status;
+  } else {
+    product[field] = trimmed;
+  }
+  markDirty();
+}
+
+/**
+ * Quita un producto; si la lista queda vacía, quita también el tipo
+ * (el validador no acepta listas vacías)
+ * @param {string} productTypeId - ID del tipo de producto
+ * @param {number} index - Posición del producto
+ */
+function removeProduct(productTypeId, index) {
+  const fandom = adminState.data.fandoms[adminState.selectedIndex];
+  const products = fandom.products[productTypeId];
+  products.splice(index, 1);
+  if (products.length === 0) delete fandom.products[productTypeId];
+
+  renderFandomEditor();
+  markDirty();
+}
+
+// ============================================
+// EVENTOS DEL EDITOR
+// ============================================
+
+/**
+ * Maneja los clicks de la lista de fandoms y del editor (delegación)
+ * @param {MouseEvent} e - Evento de click
+ */
+function handleAdminClick(e) {
+  const target = e.target.closest("[data-action]");
+  if (!target || target.disabled) return;
+
+  const { fandoms } = adminState.data;
+  const fandom = fandoms[adminState.selectedIndex];
+  const block = target.closest(".type-block");
+  const row = target.closest(".product-row");
+  const productTypeId = block && block.dataset.type;
+  const rowIndex = row ? Number(row.dataset.index) : -1;
+
+  switch (target.dataset.action) {
+    case "select-fandom":
+      adminState.selectedIndex = Number(target.dataset.index);
+      renderFandomList();
+      renderFandomEditor();
+      showFandomInPreview();
+      break;
+
+    case "move-fandom": {
+      const from = Number(target.dataset.index);
+      const to = from + Number(target.dataset.offset);
+      if (!moveItem(fandoms, from, to)) return;
+      if (adminState.selectedIndex === from) adminState.selectedIndex = to;
+      else if (adminState.selectedIndex === to) adminState.selectedIndex = from;
+      renderFandomList();
+      markDirty();
+      break;
+    }
+
+    case "delete-fandom":
+      if (!confirm(`¿Eliminar el fandom "${fandom.name}" y sus productos?`)) {
+        return;
+      }
+      fandoms.splice(adminState.selectedIndex, 1);
+      adminState.selectedIndex = Math.max(
+        0,
+        Math.min(adminState.selectedIndex, fandoms.length - 1),
+      );
+      renderAll();
+      markDirty();
+      break;
+
+    case "add-product":
+      addProduct(productTypeId);
+      break;
+
+    case "remove-type":
+      delete fandom.products[productTypeId];
+      renderFandomEditor();
+      markDirty();
+      break;
+
+    case "move-product": {
+      const products = fandom.products[productTypeId];
+      if (
+        !moveItem(products, rowIndex, rowIndex + Number(target.dataset.offset))
+      )
+        return;
+      renderFandomEditor();
+      markDirty();
+      break;
+    }
+
+    case "remove-product":
+      removeProduct(productTypeId, rowIndex);
+      break;
+
+    default:
+      break;
+  }
+}
+
+/**
+ * Maneja los cambios de los campos del editor (delegación)
+ * @param {Event} e - Evento input/change
+ */
+function handleEditorInput(e) {
+  const target = e.target;
+  const action = target.dataset.action;
+  if (!action) return;
+
+  if (action === "fandom-featured") {
+    adminState.data.fandoms[adminState.selectedIndex].featured = target.checked;
+    renderFandomList();
+    markDirty();
+    return;
+  }
+
+  const { field } = target.dataset;
+  if (field === "image" || field === "thumbnail") {
+    updateImageThumb(target);
+  }
+
+  if (action === "fandom-field") {
+    updateFandomField(field, target.value);
+  } else if (action === "product-field") {
+    const block = target.closest(".type-block");
+    const row = target.closest(".product-row");
+    updateProductField(
+      block.dataset.type,
+      Number(row.dataset.index),
+      field,
+      target.value,
+    );
+  }
+}
+
+/**
+ * Actualiza la miniatura junto a un campo de imagen
+ * @param {HTMLInputElement} input - Campo de imagen
+ */
+function updateImageThumb(input) {
+  const thumb = input.parentElement.querySelector(".image-thumb");
+  const value = input.value.trim();
+  thumb.hidden = !value;
+  if (value) thumb.src = `../${value}`;
+}
+
+// ============================================
+// VISTA PREVIA (iframe con el sitio real)
+// ============================================
+
+/**
+ * Envía el catálogo en edición al iframe
+ * El sitio lo renderiza con renderFandomFilters(), renderProducts(), etc.
+ */
+function sendPreview() {
+  const frame = document.getElementById("previewFrame");
+  if (!adminState.previewReady || !adminState.data || !frame.contentWindow) {
+    return;
+  }
+  frame.contentWindow.postMessage(
+    { type: "catalog-preview", data: adminState.data },
+    window.location.origin,
+  );
+}
+
+let previewTimer = null;
+
+/**
+ * Programa una actualización de la vista previa (evita una por tecla)
+ */
+function schedulePreview() {
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(sendPreview, ADMIN_CONFIG.previewDelay);
+}
+
+/**
+ * Muestra en la vista previa el fandom seleccionado
+ */
+function showFandomInPreview() {
+  const frame = document.getElementById("previewFrame");
+  if (!adminState.data || !adminState.previewReady) return;
+  const fandom = adminState.data.fandoms[adminState.selectedIndex];
+  if (!fandom) return;
+  frame.contentWindow.location.hash = `#/${encodeURIComponent(fandom.id)}`;
+}
+
+// El iframe avisa cuando está listo para recibir datos
+window.addEventListener("message", (event) => {
+  if (event.origin !== window.location.origin) return;
+  if (!event.data || event.data.type !== "catalog-preview-ready") return;
+  adminState.previewReady = true;
+  sendPreview();
+  showFandomInPreview();
+});
+
+// ============================================
+// GUARDAR Y EXPORTAR
+// ============================================
+
+/**
+ * Comprueba el catálogo antes de guardar o exportar
+ * @returns {boolean} true si se puede continuar
+ */
+function checkBeforeWrite() {
+  const problems = findCatalogProblems(adminState.data);
+  renderProblems(problems);
+  if (problems.length > 0) {
+    setStatus("Corregí los errores antes de guardar");
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Guarda el catálogo en gallery-data.json a través del servidor local
+ */
+async function saveCatalog() {
+  if (!checkBeforeWrite()) return;
+
+  const saveBtn = document.getElementById("saveBtn");
+  saveBtn.disabled = true;
+  setStatus("Guardando…");
+
+  try {
+    const response = await fetch(ADMIN_CONFIG.saveEndpoint, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(adminState.data),
+    });
+    const result = await response.json();
+
+    renderProblems(result.errors || [], result.warnings || []);
+    if (result.ok) {
+      adminState.dirty = false;
+      setStatus("Catálogo guardado");
+    } else {
+      setStatus("El servidor rechazó el catálogo");
+    }
+  } catch (error) {
+    console.error("Error guardando el catálogo:", error);
+    setStatus(
+      "No se pudo guardar. ¿Está corriendo node scripts/server.js? Podés exportar el JSON.",
+    );
+  } finally {
+    saveBtn.disabled = false;
+  }
+}
+
+/**
+ * Descarga el catálogo como gallery-data.json
+ */
+function exportCatalog() {
+  if (!checkBeforeWrite()) return;
+
+  const blob = new Blob([formatCatalog(adminState.data)], {
+    type: "application/json",
+  });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = "gallery-data.json";
+  link.click();
+  URL.revokeObjectURL(link.href);
+  setStatus("JSON exportado");
+}
+
+// ============================================
+// CARGA INICIAL
+// ============================================
+
+/**
+ * Carga el catálogo actual y la lista de imágenes disponibles
+ */
+async function loadAdmin() {
+  try {
+    const response = await fetch(ADMIN_CONFIG.catalogUrl, {
+      cache: "no-store",
+    });
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    adminState.data = await response.json();
+  } catch (error) {
+    console.error("Error cargando el catálogo:", error);
+    document.getElementById("fandomEditor").innerHTML =
+      `<p class="admin-empty">No se pudo cargar gallery-data.json.</p>`;
+    return;
+  }
+
+  // Sin servidor local, los campos de imagen siguen funcionando sin sugerencias
+  try {
+    const response = await fetch(ADMIN_CONFIG.imagesEndpoint);
+    const result = await response.json();
+    adminState.images = result.images || [];
+  } catch (error) {
+    adminState.images = [];
+  }
+  document.getElementById("imageOptions").innerHTML = adminState.images
+    .map((image) => `<option value="${escapeHTML(image)}"></option>`)
+    .join("");
+
+  renderAll();
+  showFandomInPreview();
+  setStatus(`${adminState.data.fandoms.length} fandoms cargados`);
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  document
+    .getElementById("fandomList")
+    .addEventListener("click", handleAdminClick);
+
+  const editor = document.getElementById("fandomEditor");
+  editor.addEventListener("click", handleAdminClick);
+  editor.addEventListener("input", handleEditorInput);
+
+  editor.addEventListener("focusin", (e) => {
+    if (
+      e.target.dataset.field === "id" &&
+      e.target.dataset.action === "fandom-field"
+    ) {
+      const fandom = adminState.data.fandoms[adminState.selectedIndex];
+      adminState.fandomIdBeforeEdit = fandom.id;
+    }
+  });
+
+  // Al salir del campo id se actualizan las referencias al fandom; el nombre
+  // de un fandom nuevo sugiere su id mientras siga siendo el genérico
+  editor.addEventListener("focusout", (e) => {
+    if (e.target.dataset.action !== "fandom-field") return;
+    const fandom = adminState.data.fandoms[adminState.selectedIndex];
+    if (!fandom) return;
+
+    if (e.target.dataset.field === "id") {
+      renameFandomReferences(adminState.fandomIdBeforeEdit, fandom.id);
+      adminState.fandomIdBeforeEdit = null;
+      return;
+    }
+    if (
+      e.target.dataset.field === "name" &&
+      fandom.id.startsWith("nuevo-fandom") &&
+      slugify(fandom.name)
+    ) {
+      const usedIds = new Set(adminState.data.fandoms.map((f) => f.id));
+      const slug = slugify(fandom.name);
+      const oldId = fandom.id;
+      fandom.id = usedIds.has(slug) ? generateUniqueId(slug, usedIds) : slug;
+      renameFandomReferences(oldId, fandom.id);
+      renderFandomEditor();
+      markDirty();
+    }
+  });
+
+  document.getElementById("addFandomBtn").addEventListener("click", addFandom);
+  document.getElementById("saveBtn").addEventListener("click", saveCatalog);
+  document.getElementById("exportBtn").addEventListener("click", exportCatalog);
+
+  loadAdmin();
+});
+
+// Avisa antes de cerrar con cambios sin guardar
+window.addEventListener("beforeunload", (e) => {
+  if (!adminState.dirty) return;
+  e.preventDefault();
+  e.returnValue = "";
+});
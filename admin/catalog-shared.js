@@ -0,0 +1,82 @@
+// ============================================
+// CATÁLOGO: CÓDIGO COMPARTIDO
+// ============================================
+
+/**
+ * Funciones que usan tanto el editor (admin/, en el navegador) como los
+ * comandos de Node (scripts/lib/catalog.js), así un catálogo guardado,
+ * exportado o importado queda con el mismo formato y los mismos ids.
+ * En el navegador se carga como script común antes de admin.js.
+ */
+
+/**
+ * Serializa el catálogo con el formato de gallery-data.json
+ * (2 espacios y salto de línea final), así guardar o exportar desde el
+ * editor no genera diffs de formato
+ * @param {Object} data - Catálogo
+ * @returns {string} JSON con salto de línea final
+ */
+function formatCatalog(data) {
+  return JSON.stringify(data, null, 2) + "\n";
+}
+
+/**
+ * Crea los ids de productos nuevos al estilo de los existentes:
+ * prefijo del fandom ("dw" para dandysworld), tipo en singular
+ * ("llavero", "pin", "charm") y un número mayor a todos los usados,
+ * así el id de un producto borrado no pasa a otro (carritos y favoritos
+ * guardan ids)
+ * @param {Object} data - Catálogo actual
+ * @returns {Function} (fandomId, productTypeId) → id nuevo
+ */
+function createIdGenerator(data) {
+  const lastNumbers = new Map(); // "isaac-llavero" → 4
+  const prefixes = new Map(); // fandomId → { prefijo: usos }
+  const typeWords = new Map(); // productTypeId → { palabra: usos }
+  const count = (map, key, value) => {
+    if (!map.has(key)) map.set(key, new Map());
+    const counts = map.get(key);
+    counts.set(value, (counts.get(value) || 0) + 1);
+  };
+  const mostUsed = (map, key) => {
+    const counts = map.get(key);
+    if (!counts) return null;
+    return [...counts].sort((a, b) => b[1] - a[1])[0][0];
+  };
+
+  (data.fandoms || []).forEach((fandom) => {
+    Object.entries((fandom && fandom.products) || {}).forEach(
+      ([productTypeId, products]) => {
+        if (!Array.isArray(products)) return;
+        products.forEach((product) => {
+          const match = String(product && product.id).match(
+            /^((.+)-([a-z0-9]+))-(\d+)$/,
+          );
+          if (!match) return;
+          const base = match[1];
+          lastNumbers.set(
+            base,
+            Math.max(lastNumbers.get(base) || 0, +match[4]),
+          );
+          count(prefixes, fandom.id, match[2]);
+          count(typeWords, productTypeId, match[3]);
+        });
+      },
+    );
+  });
+
+  return (fandomId, productTypeId) => {
+    const prefix = mostUsed(prefixes, fandomId) || fandomId;
+    const word =
+      mostUsed(typeWords, productTypeId) ||
+      productTypeId.split("-")[0].replace(/e?s$/, "");
+    const base = `${prefix}-${word}`;
+    const number = (lastNumbers.get(base) || 0) + 1;
+    lastNumbers.set(base, number);
+    return `${base}-${number}`;
+  };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { formatCatalog, createIdGenerator };
+}
@@ -0,0 +1,369 @@
+// ============================================
+// TEXTOS DE LA INTERFAZ: INGLÉS
+// ============================================
+
+/**
+ * Catálogo de mensajes en inglés
+ * Mismas claves que locales/es-AR.js; una clave faltante cae al español
+ */
+window.I18N_MESSAGES = window.I18N_MESSAGES || {};
+
+window.I18N_MESSAGES.en = {
+  // Meta y navegación
+  "meta.description":
+    "Hades Salem - Multifandom trinkets. Keychains, prints, pins and more from over 50 different fandoms.",
+  "meta.ogDescription":
+    "Over 350 multifandom trinket designs. Keychains, prints, pins and more.",
+  "nav.logoAlt": "Hades Salem logo",
+  "nav.gallery": "Gallery",
+  "nav.products": "Products",
+  "nav.about": "About Me",
+  "nav.events": "Events",
+  "nav.contact": "Contact",
+  "nav.openCart": "Open cart",
+  "nav.toggleMenu": "Toggle menu",
+  "nav.effects": "Animated effects",
+  "nav.language": "Language",
+
+  // Hero
+  "hero.titleLine1": "FIND YOUR",
+  "hero.titleLine2": "MULTIFANDOM TRINKET",
+  "hero.subtitle": "Over 50 fandoms · Always creating new content",
+  "hero.explore": "Explore Fandoms",
+  "hero.viewProducts": "View Products",
+
+  // Galería
+  "gallery.title": '<span class="title-accent">Explore</span> by Fandom',
+  "gallery.subtitle": "Over 350 designs available",
+  "gallery.allFandoms": "Most popular",
+  "gallery.featuredTitle": "Best-Selling Fandoms",
+  "gallery.bestSellersTitle": "Best Sellers",
+  "gallery.viewProducts": "View available products",
+  "gallery.hideUnavailable": "Hide coming soon and sold out",
+  "gallery.emptyType": "No products of this type are available right now.",
+  "gallery.fandomTabs": "Fandoms",
+  "gallery.typeTabs": "Product types",
+  "gallery.openFandom": "View {name} products",
+  "gallery.pageStatus": "Page {page} of {total}",
+  "gallery.prevPage": "Previous page",
+  "gallery.nextPage": "Next page",
+  "gallery.seeMore": "See More Products",
+  "gallery.pagination": "Pages",
+  "gallery.goToPage": "Go to page {page}",
+  "gallery.showing": "Showing {shown} of {total} designs",
+  "gallery.catalogCta": "View Full Catalog",
+  "gallery.loadError": "Error loading the gallery. Please reload the page.",
+
+  // Búsqueda
+  "search.placeholder": "Search fandom, character or product...",
+  "search.label": "Search the gallery",
+  "search.resultsFor": 'Results for "{query}"',
+  "search.summary": "{designs} in {fandoms}",
+  "search.designs": { one: "1 design", other: "{count} designs" },
+  "search.fandoms": { one: "1 fandom", other: "{count} fandoms" },
+  "search.groupResults": { one: "1 result", other: "{count} results" },
+  "search.empty":
+    'We couldn\'t find designs for "{query}". Message us and ask if we can make it!',
+  "search.viewFandom": "View fandom",
+
+  // Productos y precios
+  "product.view": "View {name}",
+  "product.variantOf": "{name} variant",
+  "product.add": "Add",
+  "product.unavailable": "Unavailable",
+  "price.from": "From {price}",
+  "price.onRequest": "Price on request",
+  "status.available": "Available",
+  "status.made-to-order": "Made to order",
+  "status.coming-soon": "Coming soon",
+  "status.sold-out": "Sold out",
+
+  // Sección "Mis Productos"
+  "products.title": '<span class="title-accent">My</span> Products',
+  "products.subtitle": "High-quality collectible trinkets",
+  "products.popular": "Popular",
+  "products.viewAll": "See all: {name}",
+  "commission.title": "Custom Commissions",
+  "commission.text": "Have a specific idea? I'll create any design you want!",
+  "commission.price": "From $10,000",
+  "commission.cta": "Ask About a Commission",
+
+  // Asistente de comisiones
+  "commission.wizardTitle": "Request Your Commission",
+  "commission.step.format": "Format",
+  "commission.step.details": "Details",
+  "commission.step.references": "References",
+  "commission.step.contact": "Deadline & contact",
+  "commission.step.summary": "Summary",
+  "commission.formatLegend": "What would you like me to make?",
+  "commission.detailsLegend": "Tell me the details",
+  "commission.size": "Size",
+  "commission.doubleSided": "Double sided (different design on the back)",
+  "commission.fandom": "Fandom",
+  "commission.characters": "Characters",
+  "commission.characterCount": "Number of characters",
+  "commission.referencesLegend": "Reference images",
+  "commission.imagesHint":
+    "Optional. Up to {max} JPG, PNG, WebP or GIF images of {size} max each.",
+  "commission.addImages": "Add images",
+  "commission.removeImage": "Remove {name}",
+  "commission.contactLegend": "When do you need it?",
+  "commission.deadline": "Deadline (optional)",
+  "commission.deadlineHint":
+    "I need at least {days} days. Deliveries in under {rushDays} days have a {percent}% rush fee.",
+  "commission.notes": "Anything else you'd like to tell me (optional)",
+  "commission.summaryLegend": "Review your request",
+  "commission.estimate": "Estimated price:",
+  "commission.estimateNote":
+    "Approximate: the final price is confirmed after seeing the references.",
+  "commission.rushIncluded": "(includes rush fee)",
+  "commission.prev": "Back",
+  "commission.next": "Next",
+  "commission.submit": "Send Request",
+  "commission.shortcut":
+    "Use the commission wizard to add references and get an estimate",
+  "commission.yes": "Yes",
+  "commission.no": "No",
+  "commission.summary.doubleSided": "Double sided",
+  "commission.summary.images": {
+    one: "1 image",
+    other: "{count} images",
+  },
+  "commission.summary.deadline": "Deadline",
+  "commission.summary.noDeadline": "No deadline",
+  "commission.summary.notes": "Notes",
+  "commission.summary.estimate": "Estimated price",
+  "commission.messageTitle": "Commission request",
+  "commission.queueFailed":
+    "You're offline and the request is too large to save. Try again when you're back online or remove some images.",
+  "commission.error.format-required": "Choose a format",
+  "commission.error.fandom-required": "Tell me which fandom it's from",
+  "commission.error.characters-required": "Tell me which characters you want",
+  "commission.error.deadline-too-soon":
+    "Choose a date at least {days} days from now",
+  "commission.error.images-too-many": "You can attach up to {max} images.",
+  "commission.error.image-type": "{name} is not a JPG, PNG, WebP or GIF image.",
+  "commission.error.image-too-large": "{name} is larger than {size}.",
+  "commission.error.image-read": "{name} couldn't be read.",
+  "commission.error.commission-invalid": "The commission details are not valid",
+  "commission.error.attachments-invalid": "The attached images are not valid",
+  "commission.error.attachments-too-many":
+    "You attached more images than allowed",
+  "commission.error.attachment-too-large":
+    "One of the images is larger than allowed",
+
+  // Sobre mí y envíos
+  "about.title": '<span class="title-accent">About</span> Me',
+  "about.intro":
+    "Hi! I'm <strong>Hades Salem</strong>, a digital artist with 8 years of experience creating vibrant worlds and unique cartoon-style characters.",
+  "about.passion":
+    "My passion is finding ways to express myself through drawing, and my strength is always creating new content for my followers, covering more than 50 different fandoms.",
+  "about.requests":
+    "I always try to fulfill as many requests as possible so I can reach more people and everyone can find their favorite merch.",
+  "about.statDesigns": "Designs",
+  "about.statFandoms": "Fandoms",
+  "about.statClients": "Happy Clients",
+  "about.imageAlt": "Hades Salem - Artist",
+  "shipping.title": "Shipping & Delivery",
+  "shipping.pickupText":
+    "Pick up in person at events and fairs in Buenos Aires City. No extra charge.",
+  "shipping.nationalText":
+    "Nationwide shipping with Correo Argentino. Ask about costs for your location.",
+  "shipping.cabaText":
+    "Delivery at agreed meeting points in Buenos Aires City, Almagro.",
+  "delivery.pickup": "Pickup at Fairs",
+  "delivery.national": "Nationwide Shipping",
+  "delivery.caba": "Delivery in CABA",
+  "payment.transfer": "Bank Transfer",
+  "payment.mercadopago": "MercadoPago",
+  "payment.cash": "Cash",
+
+  // Ferias y eventos
+  "events.title": '<span class="title-accent">Fairs</span> & Events',
+  "events.subtitle":
+    "Where to find me in person: browse the stock or pick up your order",
+  "events.empty": "No events announced yet. Check back soon!",
+  "events.next": "Next event",
+  "events.heroNext": "Next event: {name} · {date}",
+  "events.bringing": "Bringing",
+  "events.map": "View on map",
+  "events.addToCalendar": "Add to calendar",
+  "events.addToCalendarLabel": "Add {name} to your calendar",
+  "events.addAll": "Add all upcoming events to your calendar",
+  "events.past": "Past events",
+  "events.calendarName": "Hades Salem · Events",
+  "events.downloaded": "Downloaded {file}",
+
+  // Contacto
+  "contact.title": '<span class="title-accent">Connect</span> With Me',
+  "contact.subtitle": "Have a question or want to place an order?",
+  "contact.formTitle": "Send Me a Message",
+  "contact.name": "Name",
+  "contact.email": "Email",
+  "contact.product": "Product of Interest",
+  "contact.productOption.none": "Choose an option",
+  "contact.productOption.llavero": "Keychain",
+  "contact.productOption.print": "Print",
+  "contact.productOption.pin": "Pin",
+  "contact.productOption.phone-charm": "Phone Charm",
+  "contact.productOption.mini-llavero": "Mini Keychain",
+  "contact.productOption.sticker": "Sticker",
+  "contact.productOption.personalizado": "Custom Design",
+  "contact.productOption.comision": "Commission",
+  "contact.productOption.otro": "Other",
+  "contact.message": "Message",
+  "contact.website": "Website",
+  "contact.submit": "Send Message",
+  "contact.sending": "Sending…",
+  "contact.successTitle": "Message Sent!",
+  "contact.successText": "Thanks {name}, I'll get back to you soon 🔥",
+  "contact.queued":
+    "We couldn't send your message right now. It was saved and will be sent automatically as soon as possible.",
+  "contact.queueFailed":
+    "We couldn't send your message or save it to retry later. Please try again in a while or message me on Instagram.",
+  "contact.errorSummary": {
+    one: "The form has 1 error",
+    other: "The form has {count} errors",
+  },
+  "contact.error.name-required": "Enter your name",
+  "contact.error.name-too-long": "The name is too long",
+  "contact.error.email-required": "Enter your email",
+  "contact.error.email-invalid": "Enter a valid email",
+  "contact.error.product-invalid": "Choose an option from the list",
+  "contact.error.message-required": "Write your message",
+  "contact.error.message-too-long": "The message is too long",
+  "contact.error.invalid": "The request is not valid",
+  "contact.error.save-failed": "We couldn't save your message",
+  "contact.error.rate-limited":
+    "I received several messages in a row. Please try again in a few minutes.",
+  "contact.error.unavailable":
+    "We couldn't send your message. Please try again later or message me on Instagram.",
+  "contact.directTitle": "Direct Contact",
+  "contact.paymentTitle": "Payment Methods",
+  "contact.policiesTitle": "Policies",
+  "contact.policyReturns": "✓ Exchanges and returns accepted",
+  "contact.policyShipping":
+    "✓ Return shipping paid by the customer, or drop-off at fairs",
+  "contact.policyRepair": "✓ Free keyring repair",
+
+  // Carrito
+  "cart.title": "Your Cart",
+  "cart.close": "Close cart",
+  "cart.loading": "Loading cart...",
+  "cart.empty": "Your cart is empty. Explore the gallery!",
+  "cart.units": "Items:",
+  "cart.total": "Total:",
+  "cart.checkout": "Place Order",
+  "cart.clear": "Empty cart",
+  "cart.clearConfirm": "Empty the cart?",
+  "cart.unavailable": "No longer available",
+  "cart.remove": "Remove from cart",
+  "cart.decrease": "Remove one",
+  "cart.increase": "Add one",
+  "cart.quantity": "Quantity",
+  "cart.variant": "Variant",
+  "cart.priceOnRequest": "On request",
+  "cart.plusOnRequest": " + items on request",
+  "cart.subtotal": "Subtotal",
+  "cart.promoUnlocked":
+    "<strong>{name}</strong>: {description} Add it to your cart and it's discounted automatically.",
+
+  // Checkout y mensaje del pedido
+  "checkout.name": "Your name (optional)",
+  "checkout.delivery": "Delivery method",
+  "checkout.payment": "Payment method",
+  "checkout.notes": "Notes (optional)",
+  "checkout.sendWhatsApp": "Send via WhatsApp",
+  "checkout.sendEmail": "Send via Email",
+  "checkout.back": "Back to cart",
+  "checkout.nothingToOrder": "Your cart has no available products to order",
+  "checkout.multipart":
+    "Your order {reference} is long, so it will be sent in {count} messages:",
+  "checkout.sendPart": "Send part {part} of {total}",
+  "order.greeting": "Hi Hades Salem! I'd like to place this order:",
+  "order.greetingNamed":
+    "Hi Hades Salem! I'm {name} and I'd like to place this order:",
+  "order.reference": "Order: {reference}",
+  "order.subject": "Order {reference}",
+  "order.part": " (part {part}/{total})",
+  "order.linePriceOnRequest": " (price on request)",
+  "order.delivery": "Delivery: {value}",
+  "order.payment": "Payment: {value}",
+  "order.totalUnits": "Total items: {count}",
+  "order.lineDiscount": " (promo −{price})",
+  "order.subtotal": "Subtotal: {price}",
+  "order.promotion": "Promo {name}: −{price}",
+  "order.total": "Total: {price}",
+  "order.plusOnRequest": " + items priced on request",
+  "order.notes": "Notes: {notes}",
+  "order.skipped": {
+    one: "(1 item in the cart is no longer available and was not included)",
+    other:
+      "({count} items in the cart are no longer available and were not included)",
+  },
+  "order.continues": "(continued in the next message)",
+
+  // Favoritos
+  "favorites.tab": "My favorites",
+  "favorites.title": "My favorites",
+  "favorites.sharedTitle": "Shared list",
+  "favorites.toggle": "Save to favorites",
+  "favorites.added": "{name} added to favorites",
+  "favorites.removed": "{name} removed from favorites",
+  "favorites.empty":
+    "You haven't saved any favorites yet. Tap the heart on a design to add it to your list.",
+  "favorites.sharedEmpty":
+    "None of the designs in this list are in the current catalog.",
+  "favorites.missing": {
+    one: "1 design in the list is no longer in the catalog: {ids}",
+    other: "{count} designs in the list are no longer in the catalog: {ids}",
+  },
+  "favorites.removeMissing": "Remove them from the list",
+  "favorites.share": "Share list",
+  "favorites.shareTitle": "My Hades Salem favorites",
+  "favorites.copied":
+    "Link copied! Paste it wherever you want to share your list.",
+  "favorites.copyManual": "Copy this link to share your list:",
+  "favorites.saveShared": "Save to my favorites",
+  "favorites.savedShared": {
+    one: "1 design was added to your favorites",
+    other: "{count} designs were added to your favorites",
+  },
+
+  // Vista por tipo de producto
+  "typeView.fandom": "Fandom",
+  "typeView.allFandoms": "All fandoms",
+  "typeView.sortBy": "Sort by",
+  "typeView.sort.nuevos": "Newest",
+  "typeView.sort.nombre": "Name",
+  "typeView.sort.precio-asc": "Lowest price",
+  "typeView.sort.precio-desc": "Highest price",
+
+  // Sin conexión
+  "offline.banner": "Offline – catalog saved on {date}",
+  "offline.bannerNoDate": "Offline – showing the saved catalog",
+
+  // Lightbox
+  "lightbox.close": "Close",
+  "lightbox.prev": "Previous product",
+  "lightbox.next": "Next product",
+
+  // Footer
+  "footer.tagline": "Multifandom trinkets · 50+ fandoms · 350+ designs",
+  "footer.navigation": "Navigation",
+  "footer.keychains": "Keychains",
+  "footer.prints": "Prints",
+  "footer.pins": "Pins",
+  "footer.phoneCharms": "Phone Charms",
+  "footer.stickers": "Stickers",
+  "footer.rights": "© 2026 Hades Salem. All rights reserved.",
+
+  // Catálogo completo imprimible
+  "printCatalog.title": "Full Catalog",
+  "printCatalog.print": "Print / Save as PDF",
+  "printCatalog.subtitle": "Product catalog",
+  "printCatalog.date": "Updated {date}",
+  "printCatalog.contact":
+    "Orders: {email} · WhatsApp +54 11 2455-7767 · Instagram @hades.salem",
+  "printCatalog.contents": "Contents",
+};
@@ -0,0 +1,376 @@
+// ============================================
+// TEXTOS DE LA INTERFAZ: ESPAÑOL (ARGENTINA)
+// ============================================
+
+/**
+ * Catálogo de mensajes es-AR (idioma por defecto del sitio)
+ * Claves planas separadas por puntos; {nombre} se reemplaza con los
+ * parámetros de t() y los objetos { one, other } eligen la forma
+ * según params.count
+ */
+window.I18N_MESSAGES = window.I18N_MESSAGES || {};
+
+window.I18N_MESSAGES["es-AR"] = {
+  // Meta y navegación
+  "meta.description":
+    "Hades Salem - Trinkets multifandom. Llaveros, prints, pines y más de 50 fandoms diferentes.",
+  "meta.ogDescription":
+    "Más de 350 diseños de trinkets multifandom. Llaveros, prints, pines y más.",
+  "nav.logoAlt": "Logo de Hades Salem",
+  "nav.gallery": "Galería",
+  "nav.products": "Productos",
+  "nav.about": "Sobre Mí",
+  "nav.events": "Ferias",
+  "nav.contact": "Contacto",
+  "nav.openCart": "Abrir carrito",
+  "nav.toggleMenu": "Abrir o cerrar menú",
+  "nav.effects": "Efectos animados",
+  "nav.language": "Idioma",
+
+  // Hero
+  "hero.titleLine1": "ENCONTRÁ TU",
+  "hero.titleLine2": "TRINKET MULTIFANDOM",
+  "hero.subtitle": "Más de 50 fandoms · Siempre creando contenido nuevo",
+  "hero.explore": "Explorar Fandoms",
+  "hero.viewProducts": "Ver Productos",
+
+  // Galería
+  "gallery.title": '<span class="title-accent">Explora</span> por Fandom',
+  "gallery.subtitle": "Más de 350 diseños disponibles",
+  "gallery.allFandoms": "Más populares",
+  "gallery.featuredTitle": "Fandoms Más Vendidos",
+  "gallery.bestSellersTitle": "Más Vendidos",
+  "gallery.viewProducts": "Ver productos disponibles",
+  "gallery.hideUnavailable": "Ocultar próximamente y agotados",
+  "gallery.emptyType": "No hay productos disponibles de este tipo por ahora.",
+  "gallery.fandomTabs": "Fandoms",
+  "gallery.typeTabs": "Tipos de producto",
+  "gallery.openFandom": "Ver productos de {name}",
+  "gallery.pageStatus": "Página {page} de {total}",
+  "gallery.prevPage": "Página anterior",
+  "gallery.nextPage": "Página siguiente",
+  "gallery.seeMore": "Ver Más Productos",
+  "gallery.pagination": "Páginas",
+  "gallery.goToPage": "Ir a la página {page}",
+  "gallery.showing": "Mostrando {shown} de {total} diseños",
+  "gallery.catalogCta": "Ver Catálogo Completo",
+  "gallery.loadError":
+    "Error cargando la galería. Por favor, recargá la página.",
+
+  // Búsqueda
+  "search.placeholder": "Buscar fandom, personaje o producto...",
+  "search.label": "Buscar en la galería",
+  "search.resultsFor": 'Resultados para "{query}"',
+  "search.summary": "{designs} en {fandoms}",
+  "search.designs": { one: "1 diseño", other: "{count} diseños" },
+  "search.fandoms": { one: "1 fandom", other: "{count} fandoms" },
+  "search.groupResults": { one: "1 resultado", other: "{count} resultados" },
+  "search.empty":
+    'No encontramos diseños para "{query}". ¡Escribinos y consultá si podemos hacerlo!',
+  "search.viewFandom": "Ver fandom",
+
+  // Productos y precios
+  "product.view": "Ver {name}",
+  "product.variantOf": "Variante de {name}",
+  "product.add": "Agregar",
+  "product.unavailable": "No disponible",
+  "price.from": "Desde {price}",
+  "price.onRequest": "Precio a consultar",
+  "status.available": "Disponible",
+  "status.made-to-order": "A pedido",
+  "status.coming-soon": "Próximamente",
+  "status.sold-out": "Agotado",
+
+  // Sección "Mis Productos"
+  "products.title": '<span class="title-accent">Mis</span> Productos',
+  "products.subtitle": "Trinkets de alta calidad para coleccionar",
+  "products.popular": "Popular",
+  "products.viewAll": "Ver todos: {name}",
+  "commission.title": "Comisiones Personalizadas",
+  "commission.text": "¿Tenés una idea específica? ¡Creo el diseño que quieras!",
+  "commission.price": "Desde $10.000",
+  "commission.cta": "Consultar Comisión",
+
+  // Asistente de comisiones
+  "commission.wizardTitle": "Pedí tu Comisión",
+  "commission.step.format": "Formato",
+  "commission.step.details": "Detalles",
+  "commission.step.references": "Referencias",
+  "commission.step.contact": "Fecha y contacto",
+  "commission.step.summary": "Resumen",
+  "commission.formatLegend": "¿Qué querés que haga?",
+  "commission.detailsLegend": "Contame los detalles",
+  "commission.size": "Tamaño",
+  "commission.doubleSided": "Doble cara (diseño distinto en el dorso)",
+  "commission.fandom": "Fandom",
+  "commission.characters": "Personajes",
+  "commission.characterCount": "Cantidad de personajes",
+  "commission.referencesLegend": "Imágenes de referencia",
+  "commission.imagesHint":
+    "Opcional. Hasta {max} imágenes JPG, PNG, WebP o GIF de {size} como máximo cada una.",
+  "commission.addImages": "Agregar imágenes",
+  "commission.removeImage": "Quitar {name}",
+  "commission.contactLegend": "¿Para cuándo lo necesitás?",
+  "commission.deadline": "Fecha límite (opcional)",
+  "commission.deadlineHint":
+    "Necesito al menos {days} días. Las entregas en menos de {rushDays} días tienen un recargo del {percent}%.",
+  "commission.notes": "Algo más que quieras contarme (opcional)",
+  "commission.summaryLegend": "Revisá tu pedido",
+  "commission.estimate": "Presupuesto estimado:",
+  "commission.estimateNote":
+    "Orientativo: el precio final se confirma al ver las referencias.",
+  "commission.rushIncluded": "(incluye recargo por urgencia)",
+  "commission.prev": "Anterior",
+  "commission.next": "Siguiente",
+  "commission.submit": "Enviar Pedido",
+  "commission.shortcut":
+    "Usá el asistente de comisiones para sumar referencias y ver un presupuesto",
+  "commission.yes": "Sí",
+  "commission.no": "No",
+  "commission.summary.doubleSided": "Doble cara",
+  "commission.summary.images": {
+    one: "1 imagen",
+    other: "{count} imágenes",
+  },
+  "commission.summary.deadline": "Fecha límite",
+  "commission.summary.noDeadline": "Sin fecha límite",
+  "commission.summary.notes": "Notas",
+  "commission.summary.estimate": "Presupuesto estimado",
+  "commission.messageTitle": "Pedido de comisión",
+  "commission.queueFailed":
+    "No hay conexión y el pedido es demasiado grande para guardarlo. Probá de nuevo cuando vuelva la conexión o quitá algunas imágenes.",
+  "commission.error.format-required": "Elegí un formato",
+  "commission.error.fandom-required": "Contame de qué fandom es",
+  "commission.error.characters-required": "Contame qué personajes querés",
+  "commission.error.deadline-too-soon":
+    "Elegí una fecha con al menos {days} días de anticipación",
+  "commission.error.images-too-many": "Podés adjuntar hasta {max} imágenes.",
+  "commission.error.image-type":
+    "{name} no es una imagen JPG, PNG, WebP o GIF.",
+  "commission.error.image-too-large": "{name} pesa más de {size}.",
+  "commission.error.image-read": "No se pudo leer {name}.",
+  "commission.error.commission-invalid":
+    "Los datos de la comisión no son válidos",
+  "commission.error.attachments-invalid":
+    "Las imágenes adjuntas no son válidas",
+  "commission.error.attachments-too-many":
+    "Adjuntaste más imágenes de las permitidas",
+  "commission.error.attachment-too-large":
+    "Una de las imágenes supera el tamaño permitido",
+
+  // Sobre mí y envíos
+  "about.title": '<span class="title-accent">Sobre</span> Mí',
+  "about.intro":
+    "¡Hola! Soy <strong>Hades Salem</strong>, una artista digital con 8 años de experiencia creando mundos vibrantes y personajes únicos en estilo cartoon.",
+  "about.passion":
+    "Mi pasión es encontrar la forma de expresarme mediante el dibujo, y mi punto fuerte es estar siempre creando contenido nuevo para mis seguidores, abarcando más de 50 fandoms distintos.",
+  "about.requests":
+    "Siempre intento cumplir la mayor cantidad de peticiones posibles para llegar a más personas y que todos puedan encontrar su merch favorito.",
+  "about.statDesigns": "Diseños",
+  "about.statFandoms": "Fandoms",
+  "about.statClients": "Clientes Felices",
+  "about.imageAlt": "Hades Salem - Artista",
+  "shipping.title": "Envíos y Entregas",
+  "shipping.pickupText":
+    "Retiro personal en eventos y ferias de Capital Federal. Sin cargo adicional.",
+  "shipping.nationalText":
+    "Envíos a todo el país por Correo Argentino. Consultá costos según tu ubicación.",
+  "shipping.cabaText":
+    "Entregas coordinadas en puntos de encuentro en Capital Federal, Almagro.",
+  "delivery.pickup": "Retiro en Ferias",
+  "delivery.national": "Envío Nacional",
+  "delivery.caba": "Entrega CABA",
+  "payment.transfer": "Transferencia",
+  "payment.mercadopago": "MercadoPago",
+  "payment.cash": "Efectivo",
+
+  // Ferias y eventos
+  "events.title": '<span class="title-accent">Ferias</span> y Eventos',
+  "events.subtitle":
+    "Dónde encontrarme en persona: conocé el stock o retirá tu pedido",
+  "events.empty": "Por ahora no hay ferias anunciadas. ¡Volvé pronto!",
+  "events.next": "Próxima feria",
+  "events.heroNext": "Próxima feria: {name} · {date}",
+  "events.bringing": "Llevo",
+  "events.map": "Ver en el mapa",
+  "events.addToCalendar": "Agregar al calendario",
+  "events.addToCalendarLabel": "Agregar {name} al calendario",
+  "events.addAll": "Agregar todas las próximas ferias al calendario",
+  "events.past": "Ferias anteriores",
+  "events.calendarName": "Hades Salem · Ferias",
+  "events.downloaded": "Se descargó {file}",
+
+  // Contacto
+  "contact.title": '<span class="title-accent">Conecta</span> Conmigo',
+  "contact.subtitle": "¿Tenés alguna pregunta o querés hacer un pedido?",
+  "contact.formTitle": "Enviame un Mensaje",
+  "contact.name": "Nombre",
+  "contact.email": "Email",
+  "contact.product": "Producto de Interés",
+  "contact.productOption.none": "Seleccioná una opción",
+  "contact.productOption.llavero": "Llavero",
+  "contact.productOption.print": "Print",
+  "contact.productOption.pin": "Pin",
+  "contact.productOption.phone-charm": "Phone Charm",
+  "contact.productOption.mini-llavero": "Mini Llavero",
+  "contact.productOption.sticker": "Sticker",
+  "contact.productOption.personalizado": "Diseño Personalizado",
+  "contact.productOption.comision": "Comisión",
+  "contact.productOption.otro": "Otro",
+  "contact.message": "Mensaje",
+  "contact.website": "Sitio web",
+  "contact.submit": "Enviar Mensaje",
+  "contact.sending": "Enviando…",
+  "contact.successTitle": "¡Mensaje Enviado!",
+  "contact.successText": "Gracias {name}, te contactaré pronto 🔥",
+  "contact.queued":
+    "No pudimos enviar tu mensaje ahora. Quedó guardado y se enviará automáticamente apenas se pueda.",
+  "contact.queueFailed":
+    "No pudimos enviar tu mensaje y no se pudo guardar para reintentarlo. Probá de nuevo en un rato o escribime por Instagram.",
+  "contact.errorSummary": {
+    one: "El formulario tiene 1 error",
+    other: "El formulario tiene {count} errores",
+  },
+  "contact.error.name-required": "Ingresá tu nombre",
+  "contact.error.name-too-long": "El nombre es demasiado largo",
+  "contact.error.email-required": "Ingresá tu email",
+  "contact.error.email-invalid": "Ingresá un email válido",
+  "contact.error.product-invalid": "Elegí una opción de la lista",
+  "contact.error.message-required": "Escribí tu mensaje",
+  "contact.error.message-too-long": "El mensaje es demasiado largo",
+  "contact.error.invalid": "La consulta no es válida",
+  "contact.error.save-failed": "No se pudo guardar tu mensaje",
+  "contact.error.rate-limited":
+    "Recibí varias consultas seguidas. Probá de nuevo en unos minutos.",
+  "contact.error.unavailable":
+    "No se pudo enviar tu mensaje. Probá de nuevo más tarde o escribime por Instagram.",
+  "contact.directTitle": "Contacto Directo",
+  "contact.paymentTitle": "Métodos de Pago",
+  "contact.policiesTitle": "Políticas",
+  "contact.policyReturns": "✓ Cambios y devoluciones aceptadas",
+  "contact.policyShipping":
+    "✓ Envío de devolución a cargo del cliente o entrega en ferias",
+  "contact.policyRepair": "✓ Reparación gratuita de argollas",
+
+  // Carrito
+  "cart.title": "Tu Carrito",
+  "cart.close": "Cerrar carrito",
+  "cart.loading": "Cargando carrito...",
+  "cart.empty": "Tu carrito está vacío. ¡Explorá la galería!",
+  "cart.units": "Unidades:",
+  "cart.total": "Total:",
+  "cart.checkout": "Finalizar Pedido",
+  "cart.clear": "Vaciar carrito",
+  "cart.clearConfirm": "¿Vaciar el carrito?",
+  "cart.unavailable": "Ya no está disponible",
+  "cart.remove": "Quitar del carrito",
+  "cart.decrease": "Quitar uno",
+  "cart.increase": "Agregar uno",
+  "cart.quantity": "Cantidad",
+  "cart.variant": "Variante",
+  "cart.priceOnRequest": "A consultar",
+  "cart.plusOnRequest": " + a consultar",
+  "cart.subtotal": "Subtotal",
+  "cart.promoUnlocked":
+    "<strong>{name}</strong>: {description} Sumalo al carrito y se descuenta solo.",
+
+  // Checkout y mensaje del pedido
+  "checkout.name": "Tu nombre (opcional)",
+  "checkout.delivery": "Método de entrega",
+  "checkout.payment": "Método de pago",
+  "checkout.notes": "Notas (opcional)",
+  "checkout.sendWhatsApp": "Enviar por WhatsApp",
+  "checkout.sendEmail": "Enviar por Email",
+  "checkout.back": "Volver al carrito",
+  "checkout.nothingToOrder":
+    "Tu carrito no tiene productos disponibles para pedir",
+  "checkout.multipart":
+    "Tu pedido {reference} es largo, así que se envía en {count} mensajes:",
+  "checkout.sendPart": "Enviar parte {part} de {total}",
+  "order.greeting": "¡Hola Hades Salem! Quiero hacer este pedido:",
+  "order.greetingNamed":
+    "¡Hola Hades Salem! Soy {name} y quiero hacer este pedido:",
+  "order.reference": "Pedido: {reference}",
+  "order.subject": "Pedido {reference}",
+  "order.part": " (parte {part}/{total})",
+  "order.linePriceOnRequest": " (precio a consultar)",
+  "order.delivery": "Entrega: {value}",
+  "order.payment": "Pago: {value}",
+  "order.totalUnits": "Total de unidades: {count}",
+  "order.lineDiscount": " (promo −{price})",
+  "order.subtotal": "Subtotal: {price}",
+  "order.promotion": "Promo {name}: −{price}",
+  "order.total": "Total: {price}",
+  "order.plusOnRequest": " + productos a consultar",
+  "order.notes": "Notas: {notes}",
+  "order.skipped": {
+    one: "(1 producto del carrito ya no está disponible y no se incluyó)",
+    other:
+      "({count} productos del carrito ya no están disponibles y no se incluyeron)",
+  },
+  "order.continues": "(continúa en el próximo mensaje)",
+
+  // Favoritos
+  "favorites.tab": "Mis favoritos",
+  "favorites.title": "Mis favoritos",
+  "favorites.sharedTitle": "Lista compartida",
+  "favorites.toggle": "Guardar en favoritos",
+  "favorites.added": "{name} se agregó a favoritos",
+  "favorites.removed": "{name} se quitó de favoritos",
+  "favorites.empty":
+    "Todavía no guardaste favoritos. Tocá el corazón de un diseño para sumarlo a tu lista.",
+  "favorites.sharedEmpty":
+    "Ninguno de los diseños de esta lista está en el catálogo actual.",
+  "favorites.missing": {
+    one: "1 diseño de la lista ya no está en el catálogo: {ids}",
+    other: "{count} diseños de la lista ya no están en el catálogo: {ids}",
+  },
+  "favorites.removeMissing": "Quitarlos de la lista",
+  "favorites.share": "Compartir lista",
+  "favorites.shareTitle": "Mis favoritos de Hades Salem",
+  "favorites.copied":
+    "¡Enlace copiado! Pegalo donde quieras compartir tu lista.",
+  "favorites.copyManual": "Copiá este enlace para compartir tu lista:",
+  "favorites.saveShared": "Guardar en mis favoritos",
+  "favorites.savedShared": {
+    one: "Se agregó 1 diseño a tus favoritos",
+    other: "Se agregaron {count} diseños a tus favoritos",
+  },
+
+  // Vista por tipo de producto
+  "typeView.fandom": "Fandom",
+  "typeView.allFandoms": "Todos los fandoms",
+  "typeView.sortBy": "Ordenar por",
+  "typeView.sort.nuevos": "Más nuevos",
+  "typeView.sort.nombre": "Nombre",
+  "typeView.sort.precio-asc": "Menor precio",
+  "typeView.sort.precio-desc": "Mayor precio",
+
+  // Sin conexión
+  "offline.banner": "Sin conexión – catálogo guardado el {date}",
+  "offline.bannerNoDate": "Sin conexión – mostrando el catálogo guardado",
+
+  // Lightbox
+  "lightbox.close": "Cerrar",
+  "lightbox.prev": "Producto anterior",
+  "lightbox.next": "Producto siguiente",
+
+  // Footer
+  "footer.tagline": "Trinkets multifandom · +50 fandoms · +350 diseños",
+  "footer.navigation": "Navegación",
+  "footer.keychains": "Llaveros",
+  "footer.prints": "Prints",
+  "footer.pins": "Pines",
+  "footer.phoneCharms": "Phone Charms",
+  "footer.stickers": "Stickers",
+  "footer.rights": "© 2026 Hades Salem. Todos los derechos reservados.",
+
+  // Catálogo completo imprimible
+  "printCatalog.title": "Catálogo Completo",
+  "printCatalog.print": "Imprimir / Guardar PDF",
+  "printCatalog.subtitle": "Catálogo de productos",
+  "printCatalog.date": "Actualizado al {date}",
+  "printCatalog.contact":
+    "Pedidos: {email} · WhatsApp +54 11 2455-7767 · Instagram @hades.salem",
+  "printCatalog.contents": "Índice",
+};
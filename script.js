@@ -7,10 +7,100 @@
  * Define constantes utilizadas en toda la aplicación
  */
 const CONFIG = {
-  itemsPerPage: 6, // Número de productos por pagina en la galerí­a
+  pagination: {
+    // Paginación de la galería: "arrows" (flechas y números de página),
+    // "see-more" (botón "Ver Más" que agrega la página siguiente) o
+    // "infinite" (carga la página siguiente al llegar al final del grid)
+    mode: "arrows",
+    rows: 2, // Filas por página: los items por página son columnas × filas
+    fallbackColumns: 3, // Columnas a usar si el grid no se puede medir
+    maxPageButtons: 7, // Números de página visibles antes de abreviar con "…"
+    infiniteMargin: "300px", // Anticipación con la que el scroll infinito carga más
+  },
+  typeViewSorts: ["nuevos", "nombre", "precio-asc", "precio-desc"], // Órdenes de la vista por tipo (el primero es el predeterminado)
   animationDelay: 100, // Delay entre animaciones de items (ms)
   scrollOffset: 80, // Offset para scroll suave considerando el header fijo
   cursorSmoothing: 0.2, // Suavizado del cursor personalizado (0-1)
+  cartStorageKey: "hadesSalemCart", // Clave de localStorage para el carrito
+  cartMaxQuantity: 99, // Cantidad máxima por línea del carrito
+  renamedProductIds: {
+    // Ids viejos que pueden seguir guardados en carritos y favoritos -> id actual
+    "bs-llavero.6": "bs-llavero-6",
+  },
+  orderWhatsApp: "5491124557767", // Número de WhatsApp para pedidos
+  orderEmail: "hades.salem@gmail.com", // Email para pedidos
+  orderMaxUrlLength: 2000, // Largo máximo seguro de un enlace wa.me/mailto
+  placeholderImage: "img/proximamente.webp", // Imagen de productos sin foto aún
+  imageManifestUrl: "img/optimized/manifest.json", // Generado por scripts/optimize-images.js
+  productStatuses: {
+    // Estados de disponibilidad (textos en status.*); "orderable" indica si se puede pedir
+    available: { orderable: true },
+    "made-to-order": { orderable: true },
+    "coming-soon": { orderable: false },
+    "sold-out": { orderable: false },
+  },
+  imageSizes: {
+    // Ancho aproximado de cada imagen según el layout (atributo sizes)
+    product: "(max-width: 640px) 50vw, (max-width: 968px) 33vw, 380px",
+    featured: "(max-width: 968px) 100vw, 380px",
+    print: "42mm", // Columna de la grilla del catálogo imprimible (A4, 4 por fila)
+  },
+  lightboxMaxZoom: 4, // Zoom máximo del lightbox
+  lightboxSwipeThreshold: 50, // Distancia mínima de un swipe (px)
+  searchDebounce: 250, // Espera antes de buscar mientras se escribe (ms)
+  searchMinLength: 2, // Caracteres mínimos para buscar
+  ranking: {
+    // Cantidades de la vista inicial (la estrategia está en gallery-data.json)
+    featuredCount: 6, // Fandoms destacados
+    bestSellersCount: 8, // Diseños en la tira "Más vendidos"
+  },
+  events: {
+    // Los horarios de events en gallery-data.json son de Buenos Aires
+    timeZone: "America/Argentina/Buenos_Aires", // Zona en la que se muestran
+    utcOffset: "-03:00", // Para convertirlos a UTC en los archivos .ics
+    pastLimit: 6, // Ferias anteriores que se siguen mostrando
+  },
+  contactEndpoint: "/api/contact", // Endpoint de scripts/server.js
+  contactQueueKey: "hadesSalemContactQueue", // Consultas pendientes de envío
+  contactRetryDelay: 30000, // Espera entre reintentos de la cola (ms)
+  deliveryMethods: ["pickup", "national", "caba"], // Textos en delivery.*
+  paymentMethods: ["transfer", "mercadopago", "cash"], // Textos en payment.*
+  locales: ["es-AR", "en"], // Idiomas con catálogo en locales/
+  defaultLocale: "es-AR", // Idioma base y de respaldo
+  localeStorageKey: "hadesSalemLocale", // Idioma elegido por el usuario
+  effectsStorageKey: "hadesSalemEffects", // Efectos animados: "on" / "off"
+  cursorTrailPoolSize: 12, // Partículas de la estela del cursor reutilizadas
+  favoritesStorageKey: "hadesSalemFavorites", // IDs de productos favoritos
+  commission: {
+    // Presupuesto orientativo del asistente de comisiones (pesos)
+    basePrice: 10000, // "Desde $10.000" publicado: un personaje, tamaño base
+    extraCharacterPrice: 4000, // Cada personaje adicional
+    doubleSidedPrice: 2000, // Diseño distinto en el dorso
+    maxCharacters: 5, // Personajes por comisión
+    minDays: 7, // Anticipación mínima para pedir una fecha
+    rushDays: 14, // Fechas más cercanas pagan recargo
+    rushSurcharge: 0.3, // Recargo por urgencia (30%)
+    maxImages: 3, // Imágenes de referencia (mismo límite que el servidor)
+    maxImageBytes: 1024 * 1024, // Tamaño máximo de cada imagen
+    imageTypes: ["image/jpeg", "image/png", "image/webp", "image/gif"],
+    formats: {
+      // Ids de productTypes: recargo, tamaños (etiqueta -> recargo) y doble cara
+      llaveros: {
+        price: 0,
+        sizes: { "6 cm": 0, "8 cm": 1500 },
+        doubleSided: true,
+      },
+      "mini-llaveros": { price: 0, sizes: { "4 cm": 0 }, doubleSided: true },
+      prints: { price: 2000, sizes: { A5: 0, A4: 2500 }, doubleSided: false },
+      pines: { price: 1500, sizes: { "55 mm": 0 }, doubleSided: false },
+      stickers: {
+        price: 0,
+        sizes: { "5 cm": 0, "8 cm": 800 },
+        doubleSided: false,
+      },
+      "phone-charms": { price: 0, sizes: { "4 cm": 0 }, doubleSided: true },
+    },
+  },
 };
 
 // ============================================
@@ -25,18 +115,240 @@ const state = {
   galleryData: null, // Datos cargados desde gallery-data.json
   currentFandom: null, // Fandom actualmente seleccionado
   currentProductType: "llaveros", // Tipo de producto actual
-  currentPage: 1, // PÃ¡gina actual en la paginación
+  currentPage: 1, // Página actual en la paginación
+  productIndex: new Map(), // Índice id -> { product, fandom, productTypeId }
+  imageManifest: {}, // Versiones optimizadas por imagen original
+  hideUnavailable: false, // Oculta productos próximos o agotados
+  cart: [], // Líneas del carrito: { productId, variant, quantity }
+  searchQuery: "", // Texto de búsqueda activo ("" = sin búsqueda)
+  searchResults: [], // Resultados agrupados por fandom
+  locale: "es-AR", // Idioma activo (ver CONFIG.locales)
+  catalogCachedAt: null, // Fecha de la copia guardada del catálogo (si vino de sw.js)
+  offlineCatalog: false, // Se muestra la copia guardada por falta de conexión
+  favorites: [], // IDs de productos favoritos, en el orden en que se agregaron
+  favoritesList: null, // Vista de favoritos activa: { shared, ids, code } o null
+  typeView: null, // Vista por tipo de producto: { fandomId, sort } o null
+  prerender: null, // Página de scripts/prerender.js: { fandomId, productType, valid }
 };
 
+// ============================================
+// INTERNACIONALIZACIÓN
+// ============================================
+
+/**
+ * Devuelve el catálogo de mensajes de un idioma (locales/*.js)
+ * @param {string} locale - Código del idioma
+ * @returns {Object} Mensajes por clave
+ */
+function getMessages(locale) {
+  return (window.I18N_MESSAGES || {})[locale] || {};
+}
+
+/**
+ * Elige el idioma inicial: el guardado, el del navegador o el de respaldo
+ * @returns {string} Código del idioma
+ */
+function detectLocale() {
+  try {
+    const saved = localStorage.getItem(CONFIG.localeStorageKey);
+    if (CONFIG.locales.includes(saved)) return saved;
+  } catch (error) {
+    // Sin localStorage se usa el idioma del navegador
+  }
+
+  const preferred = navigator.languages || [navigator.language || ""];
+  for (const language of preferred) {
+    const base = String(language).split("-")[0];
+    const match = CONFIG.locales.find(
+      (locale) => locale === language || locale.split("-")[0] === base,
+    );
+    if (match) return match;
+  }
+  return CONFIG.defaultLocale;
+}
+
+/**
+ * Traduce una clave al idioma activo
+ * Cae al idioma de respaldo y, si tampoco existe, devuelve la clave
+ * @param {string} key - Clave del mensaje (ej: "cart.title")
+ * @param {Object} [params] - Valores para {marcadores}; count elige el plural
+ * @returns {string} Texto traducido
+ */
+function t(key, params = {}) {
+  let message = getMessages(state.locale)[key];
+  if (message === undefined) message = getMessages(CONFIG.defaultLocale)[key];
+  if (message === undefined) return key;
+
+  if (typeof message === "object") {
+    const form = new Intl.PluralRules(state.locale).select(params.count);
+    message = message[form] || message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? params[name] : match,
+  );
+}
+
+/**
+ * Indica si existe un mensaje para la clave
+ * @param {string} key - Clave del mensaje
+ * @returns {boolean} true si está en el idioma activo o en el de respaldo
+ */
+function hasTranslation(key) {
+  return (
+    getMessages(state.locale)[key] !== undefined ||
+    getMessages(CONFIG.defaultLocale)[key] !== undefined
+  );
+}
+
+/**
+ * Devuelve un campo traducido de un objeto del catálogo
+ * Usa translations[idioma][campo] si existe (ej: productTypes en gallery-data.json)
+ * @param {Object} entity - Objeto con campos y translations opcionales
+ * @param {string} field - Campo a leer (ej: "name")
+ * @returns {*} Valor traducido o el original
+ */
+function localize(entity, field) {
+  const translation = entity.translations && entity.translations[state.locale];
+  return translation && translation[field] !== undefined
+    ? translation[field]
+    : entity[field];
+}
+
+/**
+ * Nombre traducido de un tipo de producto
+ * @param {string} productTypeId - ID del tipo de producto
+ * @returns {string} Nombre, o el id si el tipo no existe
+ */
+function getProductTypeName(productTypeId) {
+  const productType = getProductType(productTypeId);
+  return productType ? localize(productType, "name") : productTypeId;
+}
+
+/**
+ * Aplica las traducciones a los textos fijos del HTML
+ * data-i18n (texto), data-i18n-html (HTML propio del catálogo) y
+ * data-i18n-attr ("atributo:clave, atributo:clave")
+ * @param {ParentNode} [root] - Contenedor a traducir
+ */
+function applyTranslations(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  root.querySelectorAll("[data-i18n-html]").forEach((el) => {
+    el.innerHTML = t(el.dataset.i18nHtml);
+  });
+  root.querySelectorAll("[data-i18n-attr]").forEach((el) => {
+    el.dataset.i18nAttr.split(",").forEach((pair) => {
+      const [attribute, key] = pair.split(":").map((part) => part.trim());
+      el.setAttribute(attribute, t(key));
+    });
+  });
+}
+
+/**
+ * Marca el idioma activo en el selector de la navegación
+ */
+function updateLanguageSwitcher() {
+  document.querySelectorAll(".lang-btn").forEach((btn) => {
+    const active = btn.dataset.locale === state.locale;
+    btn.classList.toggle("active", active);
+    btn.setAttribute("aria-pressed", String(active));
+  });
+}
+
+/**
+ * Cambia el idioma del sitio y re-renderiza las vistas dinámicas
+ * @param {string} locale - Código del idioma (ver CONFIG.locales)
+ */
+function setLocale(locale) {
+  if (!CONFIG.locales.includes(locale)) return;
+
+  state.locale = locale;
+  try {
+    localStorage.setItem(CONFIG.localeStorageKey, locale);
+  } catch (error) {
+    console.warn("No se pudo guardar el idioma:", error);
+  }
+
+  document.documentElement.lang = locale;
+  applyTranslations();
+  updateLanguageSwitcher();
+  refreshLocalizedViews();
+}
+
+/**
+ * Vuelve a generar todo lo que se renderiza desde JavaScript
+ * conservando la vista actual (fandom, búsqueda, página, lightbox)
+ */
+function refreshLocalizedViews() {
+  populateCheckoutOptions();
+  renderOfflineBanner();
+  if (commissionWizard && commissionWizard.classList.contains("open")) {
+    renderCommissionWizard();
+    showCommissionStep(commissionState.step, false);
+  }
+  if (!state.galleryData) return;
+
+  renderFandomFilters();
+  renderFeaturedProducts();
+  renderBestSellers();
+  renderProductTypeCards();
+  renderEvents();
+  renderCart();
+
+  if (state.searchQuery) {
+    setActiveFandomFilter(null);
+    document.getElementById("selectedFandomName").textContent = t(
+      "search.resultsFor",
+      { query: state.searchQuery },
+    );
+    renderProducts();
+  } else if (state.favoritesList) {
+    setActiveFandomFilter(state.favoritesList.shared ? null : "favorites");
+    renderFavoritesHeader();
+    renderProducts();
+  } else if (state.typeView) {
+    setActiveFandomFilter(null);
+    renderTypeViewTabs();
+    renderTypeViewBar();
+    renderProducts();
+  } else if (state.currentFandom) {
+    setActiveFandomFilter(state.currentFandom.id);
+    renderProductTypeFilters(state.currentFandom);
+    renderProducts();
+  }
+
+  if (lightbox && lightbox.classList.contains("open")) {
+    showLightboxItem(lightboxState.index);
+  }
+  if (printCatalog && printCatalog.classList.contains("open")) {
+    renderPrintCatalog();
+  }
+}
+
+// Textos fijos en el idioma detectado antes del primer render
+state.locale = detectLocale();
+document.documentElement.lang = state.locale;
+applyTranslations();
+updateLanguageSwitcher();
+
+document.querySelectorAll(".lang-btn").forEach((btn) => {
+  btn.addEventListener("click", () => setLocale(btn.dataset.locale));
+});
+
 // ============================================
 // CARGA DE DATOS DE LA GALERÍA
 // ============================================
 
 /**
- * Carga los datos de la galerí­a desde el archivo JSON
+ * Carga los datos de la galería desde el archivo JSON
  * Maneja errores y proporciona datos de respaldo
  */
 async function loadGalleryData() {
+  // El manifest de imágenes se pide en paralelo y nunca falla
+  const manifestPromise = loadImageManifest();
+
   try {
     // Intenta cargar los datos del JSON
     const response = await fetch("gallery-data.json");
@@ -48,12 +360,17 @@ async function loadGalleryData() {
 
     // Parsea y guarda los datos en el estado global
     state.galleryData = await response.json();
+    state.imageManifest = await manifestPromise;
+
+    // Copia guardada por sw.js: sin conexión se avisa de qué fecha es
+    state.catalogCachedAt = response.headers.get("X-Cached-At");
+    if (state.catalogCachedAt && !navigator.onLine) setOfflineCatalog(true);
 
-    // Inicializa la galerí­a con los datos cargados
+    // Inicializa la galería con los datos cargados
     initializeGallery();
   } catch (error) {
     // Log del error para debugging
-    console.error("Error cargando datos de galerÃ­a:", error);
+    console.error("Error cargando datos de galería:", error);
 
     // Muestra mensaje visual al usuario
     const gallery = document.getElementById("galeria");
@@ -61,25 +378,75 @@ async function loadGalleryData() {
       const errorMessage = document.createElement("div");
       errorMessage.className = "error-message";
       errorMessage.innerHTML = `
-        <p>Error cargando la galerí­a. Por favor, recargá la página.</p>
+        <p>${t("gallery.loadError")}</p>
       `;
       gallery.prepend(errorMessage);
     }
 
-    // Usa datos de respaldo para evitar que la página quede vací­a
+    // Usa datos de respaldo para evitar que la página quede vacía
     state.galleryData = getFallbackData();
+    state.imageManifest = await manifestPromise;
     initializeGallery();
   }
 }
 
+// ============================================
+// IMÁGENES RESPONSIVE
+// ============================================
+
+/**
+ * Carga el manifest de imágenes optimizadas
+ * Si no existe (no se corrió el script de optimización) devuelve un objeto vacío
+ * @returns {Promise<Object>} Mapa imagen original -> { variants, placeholder }
+ */
+async function loadImageManifest() {
+  try {
+    const response = await fetch(CONFIG.imageManifestUrl);
+    if (!response.ok) return {};
+    const manifest = await response.json();
+    return manifest.images || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Genera los atributos srcset/sizes de una imagen del catálogo
+ * @param {string} src - Ruta de la imagen original
+ * @param {string} sizes - Valor del atributo sizes
+ * @returns {string} Atributos HTML ("" si la imagen no está en el manifest)
+ */
+function getResponsiveImageAttributes(src, sizes) {
+  const entry = state.imageManifest[src];
+  if (!entry || !entry.variants || entry.variants.length === 0) return "";
+
+  const srcset = entry.variants
+    .map((variant) => `${encodeURI(variant.path)} ${variant.width}w`)
+    .join(", ");
+  return `srcset="${srcset}" sizes="${sizes}" onload="this.classList.add('loaded')"`;
+}
+
+/**
+ * Genera la clase y el estilo del contenedor con el placeholder borroso
+ * La imagen real aparece por encima al terminar de cargar (blur-up)
+ * @param {string} src - Ruta de la imagen original
+ * @returns {string} Atributos HTML ("" si no hay placeholder)
+ */
+function getImagePlaceholderAttributes(src) {
+  const entry = state.imageManifest[src];
+  if (!entry || !entry.placeholder) return "";
+  return `data-blur-up style="background-image: url('${entry.placeholder}')"`;
+}
+
 // ============================================
 // DATOS DE RESPALDO
 // ============================================
 
 /**
  * Proporciona datos de respaldo en caso de error de carga
- * Permite que la aplicación funcione incluso si falla el fetch
- * @returns {Object} Objeto con estructura mí­nima de datos
+ * Solo se usa sin conexión y sin copia guardada por sw.js; los productos
+ * usan la imagen "próximamente", así que no se pueden pedir
+ * @returns {Object} Objeto con estructura mínima de datos
  */
 function getFallbackData() {
   return {
@@ -88,11 +455,11 @@ function getFallbackData() {
         id: "isaac",
         name: "The Binding of Isaac",
         featured: true,
-        thumbnail: "img/isaac.jpg",
+        thumbnail: CONFIG.placeholderImage,
         products: {
           llaveros: [
-            { id: "isaac-1", image: "img/isaac.jpg", name: "Isaac Design 1" },
-            { id: "isaac-2", image: "img/isaac.jpg", name: "Isaac Design 2" },
+            { id: "isaac-1", image: CONFIG.placeholderImage, name: "Isaac" },
+            { id: "isaac-2", image: CONFIG.placeholderImage, name: "Azazel" },
           ],
         },
       },
@@ -106,825 +473,6777 @@ function getFallbackData() {
 // ============================================
 
 /**
- * Inicializa la galerí­a una vez que los datos están cargados
+ * Inicializa la galería una vez que los datos están cargados
  * Renderiza los filtros y productos destacados
  */
 function initializeGallery() {
+  buildProductIndex();
+  state.prerender = readPrerender();
   renderFandomFilters();
   renderFeaturedProducts();
+  renderBestSellers();
+  renderProductTypeCards();
+  renderEvents();
+  renderCart();
+
+  // Restaura la vista indicada en la URL (enlaces compartidos); en las
+  // páginas pre-renderizadas, sin hash, la del propio fandom
+  applyRoute(parseRoute(window.location.hash) || getPrerenderedRoute());
 }
 
 // ============================================
-// RENDERIZADO DE FILTROS DE FANDOM
+// ÍNDICE DE PRODUCTOS
 // ============================================
 
 /**
- * Genera y renderiza los botones de filtro de fandoms
- * Incluye un botón "Todos" y un botón por cada fandom
+ * Construye un índice de todos los productos del catálogo por su id
+ * Permite resolver rápidamente un id (carrito, favoritos, etc.) a su producto
  */
-function renderFandomFilters() {
-  const filtersContainer = document.getElementById("fandomFilters");
-
-  // Verificación de existencia del contenedor
-  if (!filtersContainer || !state.galleryData) return;
-
-  // Construye el HTML con el botón "Todos" activo por defecto
-  let filtersHTML = `
-    <button class="filter-btn active" data-fandom="all">
-      Más populares
-    </button>
-  `;
+function buildProductIndex() {
+  state.productIndex = new Map();
+  if (!state.galleryData) return;
 
-  // Agrega un botón por cada fandom en los datos
   state.galleryData.fandoms.forEach((fandom) => {
-    filtersHTML += `
-      <button class="filter-btn" data-fandom="${fandom.id}">
-        ${fandom.name}
-      </button>
-    `;
-  });
-
-  // Inserta el HTML generado
-  filtersContainer.innerHTML = filtersHTML;
-
-  // Agrega event listeners a todos los botones de filtro
-  const filterButtons = filtersContainer.querySelectorAll(".filter-btn");
-  filterButtons.forEach((btn) => {
-    btn.addEventListener("click", handleFandomFilter);
+    Object.entries(fandom.products || {}).forEach(
+      ([productTypeId, products]) => {
+        products.forEach((product) => {
+          state.productIndex.set(product.id, {
+            product,
+            fandom,
+            productTypeId,
+          });
+        });
+      },
+    );
   });
 }
 
-// ============================================
-// RENDERIZADO DE PRODUCTOS DESTACADOS
-// ============================================
-
 /**
- * Muestra los productos destacados (vista inicial)
- * Toma los primeros 6 fandoms como destacados
+ * Busca un producto del catálogo por su id
+ * @param {string} productId - ID del producto
+ * @returns {Object|null} { product, fandom, productTypeId } o null si no existe
  */
-function renderFeaturedProducts() {
-  const featuredGrid = document.getElementById("featuredGrid");
-
-  // Verificación de existencia del contenedor
-  if (!featuredGrid || !state.galleryData) return;
-
-  let productsHTML = "";
-
-  // Toma solo los primeros 6 fandoms para destacados
-  state.galleryData.fandoms.slice(0, 6).forEach((fandom) => {
-    const thumbnail = fandom.thumbnail || "img/placeholder.jpg";
+function findProductById(productId) {
+  return state.productIndex.get(productId) || null;
+}
 
-    productsHTML += `
-      <div class="gallery-item featured-item" data-fandom="${fandom.id}">
-        <div class="gallery-image">
-          <img 
-            src="${thumbnail}" 
-            alt="${fandom.name}"
-            loading="lazy"
-            onerror="this.src='img/placeholder.jpg'"
-            style="width: 100%; height: 100%; object-fit: cover"
-          />
-        </div>
-        <div class="gallery-overlay">
-          <h3>${fandom.name}</h3>
-          <p>Ver productos disponibles</p>
-        </div>
-      </div>
-    `;
-  });
+/**
+ * Traduce el id de un producto renombrado en el catálogo a su id actual
+ * @param {string} productId - ID guardado (carrito, favoritos)
+ * @returns {string} ID vigente
+ */
+function getCurrentProductId(productId) {
+  return Object.prototype.hasOwnProperty.call(
+    CONFIG.renamedProductIds,
+    productId,
+  )
+    ? CONFIG.renamedProductIds[productId]
+    : productId;
+}
 
-  featuredGrid.innerHTML = productsHTML;
+/**
+ * Obtiene la información de un tipo de producto (nombre, icono, etc.)
+ * @param {string} productTypeId - ID del tipo de producto
+ * @returns {Object|null} Tipo de producto o null si no existe
+ */
+function getProductType(productTypeId) {
+  if (!state.galleryData) return null;
+  return (
+    state.galleryData.productTypes.find((pt) => pt.id === productTypeId) || null
+  );
+}
 
-  // Agrega handlers de click para navegar al detalle del fandom
-  const featuredItems = featuredGrid.querySelectorAll(".featured-item");
-  featuredItems.forEach((item) => {
-    item.addEventListener("click", function () {
-      const fandomId = this.getAttribute("data-fandom");
-      showFandomDetail(fandomId);
-    });
-  });
+/**
+ * Devuelve las variantes disponibles de un producto
+ * Las variantes propias del producto tienen prioridad sobre las de su tipo
+ * @param {Object} product - Producto del catálogo
+ * @param {string} productTypeId - ID del tipo de producto
+ * @returns {Array} Lista de variantes { id, name }
+ */
+function getProductVariants(product, productTypeId) {
+  if (Array.isArray(product.variants)) return product.variants;
+  const productType = getProductType(productTypeId);
+  return (productType && productType.variants) || [];
 }
 
 // ============================================
-// MANEJO DE CLICK EN FILTRO DE FANDOM
+// DISPONIBILIDAD DE PRODUCTOS
 // ============================================
 
 /**
- * Maneja el click en los botones de filtro de fandom
- * Actualiza el estado activo y cambia la vista
- * @param {Event} e - Evento de click
+ * Devuelve el estado de disponibilidad de un producto
+ * Sin estado explícito, los que usan la imagen de "próximamente" se
+ * consideran "coming-soon" y el resto "available"
+ * @param {Object} product - Producto del catálogo
+ * @returns {string} Clave de CONFIG.productStatuses
  */
-function handleFandomFilter(e) {
-  const fandomId = e.target.getAttribute("data-fandom");
-
-  // Actualiza el estado visual de los botones
-  document.querySelectorAll(".filter-btn").forEach((btn) => {
-    btn.classList.remove("active");
-  });
-  e.target.classList.add("active");
-
-  // Cambia entre vista destacados o vista de fandom especí­fico
-  if (fandomId === "all") {
-    showFeaturedView();
-  } else {
-    showFandomDetail(fandomId);
+function getProductStatus(product) {
+  if (product.status && CONFIG.productStatuses[product.status]) {
+    return product.status;
   }
+  return product.image === CONFIG.placeholderImage
+    ? "coming-soon"
+    : "available";
 }
 
-// ============================================
-// MOSTRAR VISTA DE DESTACADOS
-// ============================================
+/**
+ * Indica si un producto se puede pedir (disponible o a pedido)
+ * @param {Object} product - Producto del catálogo
+ * @returns {boolean} true si se puede agregar al carrito
+ */
+function isProductOrderable(product) {
+  return CONFIG.productStatuses[getProductStatus(product)].orderable;
+}
 
 /**
- * Muestra la vista de productos destacados (inicial)
- * Oculta la vista de detalle de fandom
+ * Indica si un producto se muestra con el filtro de disponibilidad actual
+ * @param {Object} product - Producto del catálogo
+ * @returns {boolean} true si debe mostrarse
  */
-function showFeaturedView() {
-  document.getElementById("featuredView").style.display = "block";
-  document.getElementById("fandomView").style.display = "none";
-  state.currentFandom = null;
+function isProductVisible(product) {
+  return !state.hideUnavailable || isProductOrderable(product);
+}
+
+/**
+ * Genera la etiqueta de estado de un producto
+ * @param {Object} product - Producto del catálogo
+ * @returns {string} HTML del badge
+ */
+function renderStatusBadge(product) {
+  const status = getProductStatus(product);
+  return `
+    <span class="status-badge status-${status}">
+      ${t(`status.${status}`)}
+    </span>
+  `;
 }
 
 // ============================================
-// MOSTRAR DETALLE DE FANDOM
+// PRECIOS
 // ============================================
 
 /**
- * Muestra la vista detallada de un fandom especí­fico
- * Incluye filtros de tipo de producto y grid de productos
- * @param {string} fandomId - ID del fandom a mostrar
+ * Formatea un monto en pesos argentinos con el formato del idioma activo
+ * @param {number} amount - Monto en ARS
+ * @returns {string} Monto formateado (ej: "$ 6.500")
  */
-function showFandomDetail(fandomId) {
-  // Busca el fandom en los datos
-  const fandom = state.galleryData.fandoms.find((f) => f.id === fandomId);
-  if (!fandom) return;
+function formatPrice(amount) {
+  return new Intl.NumberFormat(state.locale, {
+    style: "currency",
+    currency: "ARS",
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(amount);
+}
 
-  // Actualiza el estado
-  state.currentFandom = fandom;
-  state.currentPage = 1;
+/**
+ * Resuelve el precio de un producto para una variante
+ * Prioridad: variante propia del producto > precio del producto >
+ * variante del tipo > precio del tipo (así un precio puesto en el
+ * producto también vale para los tipos con variantes, como llaveros)
+ * Los catálogos viejos sin precios devuelven null
+ * @param {Object} product - Producto del catálogo
+ * @param {string} productTypeId - ID del tipo de producto
+ * @param {string|null} variantId - ID de la variante elegida
+ * @returns {number|null} Precio en ARS o null si no está definido
+ */
+function getProductPrice(product, productTypeId, variantId = null) {
+  const variant = getProductVariants(product, productTypeId).find(
+    (v) => v.id === variantId,
+  );
+  const hasPrice = variant && typeof variant.price === "number";
+  if (hasPrice && Array.isArray(product.variants)) return variant.price;
+  if (typeof product.price === "number") return product.price;
+  if (hasPrice) return variant.price;
+
+  const productType = getProductType(productTypeId);
+  if (productType && typeof productType.price === "number") {
+    return productType.price;
+  }
+  return null;
+}
 
-  // Actualiza la UI
-  document.getElementById("featuredView").style.display = "none";
-  document.getElementById("fandomView").style.display = "block";
-  document.getElementById("selectedFandomName").textContent = fandom.name;
+/**
+ * Calcula el precio mínimo de un producto entre todas sus variantes
+ * @param {Object} product - Producto del catálogo
+ * @param {string} productTypeId - ID del tipo de producto
+ * @returns {Object|null} { amount, varies } o null si no tiene precio
+ */
+function getProductStartingPrice(product, productTypeId) {
+  const variants = getProductVariants(product, productTypeId);
+  const prices = (variants.length ? variants : [null])
+    .map((v) => getProductPrice(product, productTypeId, v ? v.id : null))
+    .filter((price) => price !== null);
 
-  // Renderiza los filtros de tipo de producto disponibles
-  renderProductTypeFilters(fandom);
+  if (prices.length === 0) return null;
 
-  // Selecciona el primer tipo de producto disponible por defecto
-  state.currentProductType = Object.keys(fandom.products)[0] || "llaveros";
-  renderProducts();
+  const amount = Math.min(...prices);
+  return { amount, varies: prices.some((price) => price !== amount) };
+}
 
-  // Hace scroll suave hacia la galerÃ­a
-  document
-    .getElementById("galeria")
-    .scrollIntoView({ behavior: "smooth", block: "start" });
+/**
+ * Genera el texto de precio para mostrar en tarjetas
+ * @param {Object|null} startingPrice - Resultado de getProductStartingPrice()
+ * @returns {string} "Desde $ X", "$ X" o "Precio a consultar"
+ */
+function formatStartingPrice(startingPrice) {
+  if (!startingPrice) return t("price.onRequest");
+  const price = formatPrice(startingPrice.amount);
+  return startingPrice.varies ? t("price.from", { price }) : price;
 }
 
 // ============================================
-// RENDERIZADO DE FILTROS DE TIPO DE PRODUCTO
+// PROMOCIONES
 // ============================================
 
 /**
- * Genera los botones de filtro por tipo de producto
- * Solo muestra los tipos que tiene el fandom actual
- * @param {Object} fandom - Objeto fandom con sus productos
+ * Las promociones vienen de gallery-data.json ("promotions") y se aplican
+ * en el orden del catálogo. Una unidad con descuento ya no participa de las
+ * promociones siguientes.
+ * Condiciones: tipos de producto, fandoms, cantidad mínima de unidades que
+ * participan y total mínimo del carrito. Las que piden un total mínimo se
+ * evalúan al final, sobre el total con los demás descuentos y sin contar
+ * las unidades que se regalan.
+ * Efectos: precio fijo por combo ("bundle-price"), porcentaje de descuento
+ * ("percent-off") y unidades de regalo ("free-item", las más baratas)
  */
-function renderProductTypeFilters(fandom) {
-  const filtersContainer = document.getElementById("productTypeFilters");
-  if (!filtersContainer) return;
 
-  let filtersHTML = "";
+/**
+ * Indica si una promoción está vigente en una fecha (inicio y fin inclusive)
+ * @param {Object} promotion - Promoción del catálogo
+ * @param {Date} date - Fecha a evaluar
+ * @returns {boolean} true si está vigente
+ */
+function isPromotionActive(promotion, date = new Date()) {
+  const today = toISODate(date);
+  if (promotion.startsAt && today < promotion.startsAt) return false;
+  if (promotion.endsAt && today > promotion.endsAt) return false;
+  return true;
+}
 
-  // Itera sobre los tipos de productos disponibles en el fandom
-  Object.keys(fandom.products).forEach((productTypeId, index) => {
-    // Busca la información del tipo de producto en los datos globales
-    const productType = state.galleryData.productTypes.find(
-      (pt) => pt.id === productTypeId,
-    );
-    if (!productType) return;
+/**
+ * Promociones vigentes del catálogo cargado
+ * @param {Date} [date] - Fecha a evaluar (hoy por defecto)
+ * @returns {Array} Promociones en orden de aplicación
+ */
+function getActivePromotions(date = new Date()) {
+  const promotions = (state.galleryData && state.galleryData.promotions) || [];
+  return promotions.filter(
+    (promotion) =>
+      promotion &&
+      promotion.conditions &&
+      promotion.effect &&
+      isPromotionActive(promotion, date),
+  );
+}
 
-    // Marca el primero como activo
-    const activeClass = index === 0 ? "active" : "";
+/**
+ * Indica si un producto cumple un filtro de tipos de producto y fandoms
+ * Los criterios que no están definidos aceptan cualquier valor
+ * @param {Object} filter - { productTypes, fandoms }
+ * @param {Object} item - { fandomId, productTypeId }
+ * @returns {boolean} true si el producto participa
+ */
+function matchesPromotionFilter(filter, item) {
+  if (filter.productTypes && !filter.productTypes.includes(item.productTypeId))
+    return false;
+  if (filter.fandoms && !filter.fandoms.includes(item.fandomId)) return false;
+  return true;
+}
 
-    filtersHTML += `
-      <button class="product-type-btn ${activeClass}" data-type="${productType.id}">
-        <span class="product-type-icon"><i data-lucide="${productType.icon}"></i></span>
-        <span class="product-type-name">${productType.name}</span>
-        <span class="product-count">${fandom.products[productTypeId].length}</span>
-      </button>
-    `;
-  });
+/**
+ * Filtro de los productos que se pueden regalar en una promoción "free-item"
+ * Sin tipos propios en el efecto se regalan productos de las condiciones
+ * @param {Object} promotion - Promoción del catálogo
+ * @returns {Object} { productTypes, fandoms }
+ */
+function getFreeItemFilter(promotion) {
+  return promotion.effect.productTypes
+    ? { productTypes: promotion.effect.productTypes }
+    : promotion.conditions;
+}
 
-  filtersContainer.innerHTML = filtersHTML;
+/**
+ * Calcula los descuentos de un efecto sobre las unidades que participan
+ * @param {Object} promotion - Promoción del catálogo
+ * @param {Array} matching - Unidades libres que cumplen las condiciones
+ * @param {Array} units - Todas las unidades libres del carrito
+ * @returns {Array} Descuentos { unit, amount }
+ */
+function getPromotionDiscounts(promotion, matching, units) {
+  const { effect } = promotion;
+  const discounts = [];
+
+  if (effect.type === "bundle-price") {
+    // Los combos se arman con las unidades más caras primero
+    const sorted = matching
+      .slice()
+      .sort((a, b) => b.item.unitPrice - a.item.unitPrice);
+    const bundles = Math.floor(sorted.length / effect.quantity);
+
+    for (let b = 0; b < bundles; b++) {
+      const group = sorted.slice(
+        b * effect.quantity,
+        (b + 1) * effect.quantity,
+      );
+      const regular = group.reduce((sum, unit) => sum + unit.item.unitPrice, 0);
+      const saving = regular - effect.price;
+      if (saving <= 0) continue;
+
+      // El ahorro se reparte según el precio de cada unidad; la última
+      // absorbe el redondeo para que la suma sea exacta
+      let remaining = saving;
+      group.forEach((unit, i) => {
+        const amount =
+          i === group.length - 1
+            ? remaining
+            : Math.round((saving * unit.item.unitPrice) / regular);
+        remaining -= amount;
+        discounts.push({ unit, amount });
+      });
+    }
+  } else if (effect.type === "percent-off") {
+    matching.forEach((unit) => {
+      discounts.push({
+        unit,
+        amount: Math.round((unit.item.unitPrice * effect.percent) / 100),
+      });
+    });
+  } else if (effect.type === "free-item") {
+    const filter = getFreeItemFilter(promotion);
+    units
+      .filter((unit) => matchesPromotionFilter(filter, unit.item))
+      .sort((a, b) => a.item.unitPrice - b.item.unitPrice)
+      .slice(0, effect.quantity || 1)
+      .forEach((unit) => {
+        discounts.push({ unit, amount: unit.item.unitPrice });
+      });
+  }
 
-  // Agrega event listeners a los botones
-  const typeButtons = filtersContainer.querySelectorAll(".product-type-btn");
-  typeButtons.forEach((btn) => {
-    btn.addEventListener("click", function () {
-      // Actualiza estado visual
-      typeButtons.forEach((b) => b.classList.remove("active"));
-      this.classList.add("active");
+  return discounts.filter(({ amount }) => amount > 0);
+}
 
-      // Actualiza estado y re-renderiza
-      state.currentProductType = this.getAttribute("data-type");
-      state.currentPage = 1;
-      renderProducts();
+/**
+ * Aplica las promociones a las líneas con precio de un carrito
+ * @param {Array} items - Líneas { index, fandomId, productTypeId, unitPrice, quantity }
+ * @param {Array} promotions - Promociones vigentes, en orden de aplicación
+ * @returns {Object} { subtotal, discount, total, lines, applied, unlocked }
+ *   - lines: Map índice -> { subtotal, discount, total, promotions }
+ *   - applied: promociones aplicadas { promotion, discount, units }
+ *   - unlocked: promociones de regalo ganadas sin un producto para regalar
+ */
+function applyPromotions(items, promotions) {
+  const units = [];
+  const lines = new Map();
+  let subtotal = 0;
+
+  items.forEach((item) => {
+    const lineSubtotal = item.unitPrice * item.quantity;
+    subtotal += lineSubtotal;
+    lines.set(item.index, {
+      subtotal: lineSubtotal,
+      discount: 0,
+      total: lineSubtotal,
+      promotions: [],
     });
+    for (let i = 0; i < item.quantity; i++) {
+      units.push({ item, used: false });
+    }
   });
 
-  // Inicializa iconos de Lucide
-  initializeLucideIcons();
+  const applied = [];
+  const unlocked = [];
+  let total = subtotal; // Con los descuentos de las promociones anteriores
+
+  const withoutMinTotal = promotions.filter(
+    (promotion) => promotion.conditions.minTotal === undefined,
+  );
+  const withMinTotal = promotions.filter(
+    (promotion) => promotion.conditions.minTotal !== undefined,
+  );
+
+  [...withoutMinTotal, ...withMinTotal].forEach((promotion) => {
+    const { conditions } = promotion;
+    if (conditions.minTotal !== undefined && total < conditions.minTotal)
+      return;
+
+    const free = units.filter((unit) => !unit.used);
+    const matching = free.filter((unit) =>
+      matchesPromotionFilter(conditions, unit.item),
+    );
+    if (
+      matching.length === 0 ||
+      matching.length < (conditions.minQuantity || 1)
+    )
+      return;
+
+    let discounts = getPromotionDiscounts(promotion, matching, free);
+
+    // Lo que se regala no cuenta para llegar al total mínimo
+    if (
+      promotion.effect.type === "free-item" &&
+      conditions.minTotal !== undefined
+    ) {
+      let gifted = 0;
+      discounts = discounts.filter(({ amount }) => {
+        if (total - gifted - amount < conditions.minTotal) return false;
+        gifted += amount;
+        return true;
+      });
+    }
+
+    if (discounts.length === 0) {
+      if (promotion.effect.type === "free-item") unlocked.push(promotion);
+      return;
+    }
+
+    let discount = 0;
+    discounts.forEach(({ unit, amount }) => {
+      unit.used = true;
+      discount += amount;
+
+      const line = lines.get(unit.item.index);
+      line.discount += amount;
+      line.total -= amount;
+      if (!line.promotions.includes(promotion)) line.promotions.push(promotion);
+    });
+    total -= discount;
+    applied.push({ promotion, discount, units: discounts.length });
+  });
+
+  const discount = applied.reduce((sum, entry) => sum + entry.discount, 0);
+  return {
+    subtotal,
+    discount,
+    total: subtotal - discount,
+    lines,
+    applied,
+    unlocked,
+  };
+}
+
+/**
+ * Promociones vigentes que se anuncian en un producto
+ * Las de regalo solo se anuncian en los productos que se pueden regalar
+ * @param {string} fandomId - ID del fandom del producto
+ * @param {string} productTypeId - ID del tipo de producto
+ * @returns {Array} Promociones
+ */
+function getProductPromotions(fandomId, productTypeId) {
+  const item = { fandomId, productTypeId };
+  return getActivePromotions().filter(
+    (promotion) =>
+      matchesPromotionFilter(promotion.conditions, item) &&
+      (promotion.effect.type !== "free-item" ||
+        matchesPromotionFilter(getFreeItemFilter(promotion), item)),
+  );
+}
+
+/**
+ * Genera las etiquetas de promociones de un producto
+ * Los productos que no se pueden pedir no anuncian promociones
+ * @param {Object} product - Producto del catálogo
+ * @param {string} productTypeId - ID del tipo de producto
+ * @returns {string} HTML de las etiquetas ("" si no hay promociones)
+ */
+function renderPromotionBadges(product, productTypeId) {
+  const entry = findProductById(product.id);
+  if (!entry || !isProductOrderable(product)) return "";
+
+  const promotions = getProductPromotions(entry.fandom.id, productTypeId);
+  if (promotions.length === 0) return "";
+
+  return `
+    <div class="promo-badges">
+      ${promotions
+        .map(
+          (promotion) => `
+            <span class="promo-badge" title="${escapeHTML(localize(promotion, "description") || "")}">
+              ${escapeHTML(localize(promotion, "name"))}
+            </span>
+          `,
+        )
+        .join("")}
+    </div>
+  `;
 }
 
 // ============================================
-// RENDERIZADO DE PRODUCTOS CON PAGINACIÓN
+// RENDERIZADO DE FILTROS DE FANDOM
 // ============================================
 
 /**
- * Renderiza el grid de productos del tipo seleccionado
- * Implementa paginación para mostrar solo itemsPerPage productos
+ * Genera y renderiza los botones de filtro de fandoms
+ * Incluye un botón "Todos" y un botón por cada fandom
  */
-function renderProducts() {
-  if (!state.currentFandom) return;
-
-  // Obtiene los productos del tipo seleccionado
-  const products = state.currentFandom.products[state.currentProductType] || [];
-  const totalPages = Math.ceil(products.length / CONFIG.itemsPerPage);
+function renderFandomFilters() {
+  const filtersContainer = document.getElementById("fandomFilters");
 
-  // Calcula los ídices para la página actual
-  const startIndex = (state.currentPage - 1) * CONFIG.itemsPerPage;
-  const endIndex = startIndex + CONFIG.itemsPerPage;
-  const currentProducts = products.slice(startIndex, endIndex);
+  // Verificación de existencia del contenedor
+  if (!filtersContainer || !state.galleryData) return;
 
-  // Referencia al contenedor del grid
-  const productGrid = document.getElementById("productGrid");
-  if (!productGrid) return;
+  // Construye el HTML con el botón "Todos" (controla la vista de destacados)
+  let filtersHTML = `
+    <button class="filter-btn" role="tab" id="fandom-tab-all" data-fandom="all" aria-controls="featuredView">
+      ${t("gallery.allFandoms")}
+    </button>
+    <button class="filter-btn" role="tab" id="fandom-tab-favorites" data-fandom="favorites" aria-controls="fandomView">
+      ${t("favorites.tab")}
+      <span class="favorites-count">${state.favorites.length}</span>
+    </button>
+  `;
 
-  // Construye el HTML de los productos
-  let productsHTML = "";
-  currentProducts.forEach((product) => {
-    productsHTML += `
-      <div class="product-item" data-product-id="${product.id}">
-        <div class="product-item-image">
-          <img 
-            src="${product.image}" 
-            alt="${product.name}"
-            loading="lazy"
-            onerror="this.parentElement.innerHTML='<div class=\\'placeholder-art\\' style=\\'background: linear-gradient(135deg, var(--fire-orange) 0%, var(--fire-red) 100%);\\'>ðŸ”¥</div>'"
-          />
-        </div>
-        <div class="product-item-info">
-          <h4>${product.name}</h4>
-        </div>
-      </div>
+  // Agrega un botón por cada fandom en los datos
+  state.galleryData.fandoms.forEach((fandom) => {
+    filtersHTML += `
+      <button class="filter-btn" role="tab" id="fandom-tab-${fandom.id}" data-fandom="${fandom.id}" aria-controls="fandomView">
+        ${fandom.name}
+      </button>
     `;
   });
 
-  productGrid.innerHTML = productsHTML;
-
-  // Actualiza los controles de paginación
-  updatePaginationControls(products.length, totalPages);
+  // Inserta el HTML generado (o conserva el pre-renderizado)
+  if (hydratePrerendered(filtersContainer, "")) {
+    filtersContainer.querySelector(".favorites-count").textContent =
+      state.favorites.length;
+  } else {
+    filtersContainer.innerHTML = filtersHTML;
+  }
 
-  // Anima la aparición de los items con stagger
-  const items = productGrid.querySelectorAll(".product-item");
-  items.forEach((item, index) => {
-    item.style.opacity = "0";
-    item.style.transform = "translateY(20px)";
-    setTimeout(() => {
-      item.style.transition = "all 0.4s ease";
-      item.style.opacity = "1";
-      item.style.transform = "translateY(0)";
-    }, index * CONFIG.animationDelay);
+  // Agrega event listeners a todos los botones de filtro
+  const filterButtons = filtersContainer.querySelectorAll(".filter-btn");
+  filterButtons.forEach((btn) => {
+    btn.addEventListener("click", handleFandomFilter);
   });
+
+  // "Todos" queda seleccionado por defecto
+  setActiveFandomFilter("all");
 }
 
 // ============================================
-// ACTUALIZACIÓN DE CONTROLES DE PAGINACIÓN
+// RANKING: FANDOMS DESTACADOS Y MÁS VENDIDOS
 // ============================================
 
 /**
- * Actualiza el estado de los botones de paginación
- * Maneja la habilitación/deshabilitación y eventos
- * @param {number} totalItems - Total de items
- * @param {number} totalPages - Total de páginas
+ * Configuración del ranking del catálogo (gallery-data.json → ranking)
+ *   strategy: "pinned" (fandoms fijados a mano, en ese orden),
+ *             "featured" (los que tienen featured: true) o
+ *             "sales" (más ventas en los últimos salesDays días)
+ *   exclude:  fandoms que nunca entran al ranking (ej: "otros")
+ * Las ventas se cargan con scripts/import-sales.js
+ * @returns {Object} { strategy, pinned, salesDays, exclude }
  */
-function updatePaginationControls(totalItems, totalPages) {
-  const prevBtn = document.getElementById("prevPage");
-  const nextBtn = document.getElementById("nextPage");
-
-  // Deshabilita botones según página actual
-  prevBtn.disabled = state.currentPage === 1;
-  nextBtn.disabled = state.currentPage === totalPages || totalPages === 0;
-
-  // Event listener para botón anterior
-  prevBtn.onclick = () => {
-    if (state.currentPage > 1) {
-      state.currentPage--;
-      renderProducts();
-      scrollToProductGrid();
-    }
-  };
-
-  // Event listener para botón siguiente
-  nextBtn.onclick = () => {
-    if (state.currentPage < totalPages) {
-      state.currentPage++;
-      renderProducts();
-      scrollToProductGrid();
-    }
+function getRankingSettings() {
+  return {
+    strategy: "featured",
+    pinned: [],
+    salesDays: 90,
+    exclude: [],
+    ...(state.galleryData.ranking || {}),
   };
 }
 
-// ============================================
-// SCROLL AL GRID DE PRODUCTOS
-// ============================================
-
 /**
- * Hace scroll suave hasta el grid de productos
- * Se usa al cambiar de página para mantener contexto
+ * Fecha desde la que cuentan las ventas del ranking
+ * @returns {string} Fecha ISO (YYYY-MM-DD)
  */
-function scrollToProductGrid() {
-  const productGrid = document.getElementById("productGrid");
-  if (productGrid) {
-    productGrid.scrollIntoView({ behavior: "smooth", block: "nearest" });
-  }
+function getRankingSalesSince() {
+  const since = new Date();
+  since.setDate(since.getDate() - getRankingSettings().salesDays);
+  return toISODate(since);
 }
 
-// ============================================
-// UTILIDAD: DEBOUNCE
-// ============================================
+/**
+ * Suma las unidades vendidas desde una fecha
+ * @param {Array} [sales] - Registros { date, quantity, event }
+ * @param {string} since - Fecha ISO mínima (inclusive)
+ * @returns {number} Unidades vendidas
+ */
+function countSales(sales, since) {
+  return (sales || [])
+    .filter((sale) => sale.date >= since)
+    .reduce((total, sale) => total + sale.quantity, 0);
+}
 
 /**
- * Función de utilidad para debouncing de eventos
- * Previene ejecuciones excesivas de funciones costosas
- * @param {Function} func - Función a ejecutar
- * @param {number} wait - Tiempo de espera en ms
- * @returns {Function} Función debounced
+ * Unidades vendidas de un fandom: sus ventas sin producto asignado
+ * más las de cada uno de sus productos
+ * @param {Object} fandom - Fandom del catálogo
+ * @param {string} since - Fecha ISO mínima
+ * @returns {number} Unidades vendidas
  */
-function debounce(func, wait) {
-  let timeout;
-  return function executedFunction(...args) {
-    const later = () => {
-      clearTimeout(timeout);
-      func(...args);
-    };
-    clearTimeout(timeout);
-    timeout = setTimeout(later, wait);
-  };
+function countFandomSales(fandom, since) {
+  return Object.values(fandom.products).reduce(
+    (total, products) =>
+      total +
+      products.reduce(
+        (sum, product) => sum + countSales(product.sales, since),
+        0,
+      ),
+    countSales(fandom.sales, since),
+  );
 }
 
-// ============================================
-// CURSOR PERSONALIZADO TIPO POKÉMON
-// ============================================
-// Crear el contenedor del cursor
-const customCursor = document.createElement("div");
-customCursor.className = "custom-cursor";
-customCursor.innerHTML = '<div class="cursor-pokemon"></div>';
-document.body.appendChild(customCursor);
+/**
+ * Elige los fandoms destacados según la estrategia configurada
+ * Si la estrategia no alcanza (sin pins o sin ventas recientes), completa
+ * con los fandoms marcados como featured, en el orden del catálogo
+ * @returns {Array} Fandoms a mostrar (hasta CONFIG.ranking.featuredCount)
+ */
+function getFeaturedFandoms() {
+  const { strategy, pinned, exclude } = getRankingSettings();
+  const candidates = state.galleryData.fandoms.filter(
+    (fandom) => !exclude.includes(fandom.id),
+  );
+  const flagged = candidates.filter((fandom) => fandom.featured);
+
+  let ranked = [];
+  if (strategy === "pinned") {
+    ranked = pinned
+      .map((id) => candidates.find((fandom) => fandom.id === id))
+      .filter(Boolean);
+  } else if (strategy === "sales") {
+    const since = getRankingSalesSince();
+    ranked = candidates
+      .map((fandom, index) => ({
+        fandom,
+        index,
+        sold: countFandomSales(fandom, since),
+      }))
+      .filter(({ sold }) => sold > 0)
+      .sort((a, b) => b.sold - a.sold || a.index - b.index)
+      .map(({ fandom }) => fandom);
+  }
 
-let mouseX = 0;
-let mouseY = 0;
-let cursorX = 0;
-let cursorY = 0;
+  const fandoms = [...new Set([...ranked, ...flagged])];
+  return fandoms.slice(0, CONFIG.ranking.featuredCount);
+}
 
-// Trail de partí­culas
-let trailIndex = 0;
-const trails = [];
+/**
+ * Diseños con más unidades vendidas en los últimos salesDays días
+ * (sin los fandoms excluidos del ranking)
+ * @returns {Array} Items { product, productTypeId, fandom, sold }
+ */
+function getBestSellers() {
+  const { exclude } = getRankingSettings();
+  const since = getRankingSalesSince();
+  const items = [];
+
+  state.productIndex.forEach(({ product, productTypeId, fandom }) => {
+    if (exclude.includes(fandom.id)) return;
+    const sold = countSales(product.sales, since);
+    if (sold > 0) items.push({ product, productTypeId, fandom, sold });
+  });
 
-// Actualizar posición del mouse
-document.addEventListener("mousemove", (e) => {
-  mouseX = e.clientX;
-  mouseY = e.clientY;
+  // A igual cantidad, el orden del catálogo (Map conserva la inserción)
+  return items
+    .sort((a, b) => b.sold - a.sold)
+    .slice(0, CONFIG.ranking.bestSellersCount);
+}
 
-  // Crear estela de fuego cada ciertos frames
-  if (trailIndex % 3 === 0) {
-    createTrail(mouseX, mouseY);
+/**
+ * Renderiza la tira de "Más vendidos" en la vista inicial
+ * Se oculta mientras no haya ventas recientes cargadas
+ */
+function renderBestSellers() {
+  const section = document.getElementById("bestSellers");
+  const strip = document.getElementById("bestSellersStrip");
+  if (!section || !strip || !state.galleryData) return;
+
+  const items = getBestSellers();
+  section.hidden = items.length === 0;
+  if (items.length === 0) {
+    strip.innerHTML = "";
+    return;
   }
-  trailIndex++;
-});
 
-// Animar el cursor suavemente
-function animateCursor() {
-  // Suavizado del movimiento (easing)
-  cursorX += (mouseX - cursorX) * 0.2;
-  cursorY += (mouseY - cursorY) * 0.2;
+  strip.innerHTML = items
+    .map(({ product, productTypeId, fandom }) => {
+      const nameHTML = `
+        ${product.name}
+        <small class="search-result-type">${fandom.name} · ${getProductTypeName(productTypeId)}</small>
+      `;
+      return renderProductItem(product, productTypeId, nameHTML);
+    })
+    .join("");
 
-  customCursor.style.left = cursorX + "px";
-  customCursor.style.top = cursorY + "px";
-  customCursor.style.transform = "translate(-50%, -50%)";
+  bindFavoriteButtons(strip);
+  bindAddToCartButtons(strip);
 
-  requestAnimationFrame(animateCursor);
+  // Abre el producto dentro de su fandom, con el lightbox encima
+  const openItem = (item) => {
+    openProductInGallery(item.getAttribute("data-product-id"));
+  };
+  strip.querySelectorAll(".product-item").forEach((item) => {
+    item.addEventListener("click", () => openItem(item));
+    item.addEventListener("keydown", (e) => {
+      if ((e.key === "Enter" || e.key === " ") && e.target === item) {
+        e.preventDefault();
+        openItem(item);
+      }
+    });
+  });
 }
-animateCursor();
 
-// Crear estela de partí­culas
-function createTrail(x, y) {
-  const trail = document.createElement("div");
-  trail.className = "cursor-trail";
-  trail.style.left = x + "px";
-  trail.style.top = y + "px";
-  document.body.appendChild(trail);
+/**
+ * Muestra un producto en la galería: abre su fandom y tipo, pagina
+ * hasta él y lo abre en el lightbox
+ * @param {string} productId - ID del producto
+ */
+function openProductInGallery(productId) {
+  const entry = findProductById(productId);
+  if (!entry) return;
 
-  // Remover después de la animación
-  setTimeout(() => {
-    trail.remove();
-  }, 800);
+  showFandomDetail(entry.fandom.id, false, entry.productTypeId);
+  setActiveFandomFilter(entry.fandom.id);
+
+  // Puede no estar en el listado si el filtro de disponibilidad lo oculta
+  const index = getCurrentProductList().findIndex(
+    (item) => item.product.id === productId,
+  );
+  if (index > 0) goToPage(Math.floor(index / getItemsPerPage()) + 1);
+  syncRoute();
+
+  if (index !== -1) openLightbox(productId);
 }
 
-// Efecto al hacer click
-document.addEventListener("mousedown", () => {
-  customCursor.querySelector(".cursor-pokemon").style.transform = "scale(0.8)";
-});
+// ============================================
+// RENDERIZADO DE PRODUCTOS DESTACADOS
+// ============================================
 
-document.addEventListener("mouseup", () => {
-  customCursor.querySelector(".cursor-pokemon").style.transform = "scale(1)";
-});
+/**
+ * Muestra los fandoms destacados (vista inicial)
+ * Los elige el ranking del catálogo (ver getFeaturedFandoms)
+ */
+function renderFeaturedProducts() {
+  const featuredGrid = document.getElementById("featuredGrid");
 
-// Ocultar cursor cuando sale de la ventana
-document.addEventListener("mouseleave", () => {
-  customCursor.style.opacity = "0";
-});
+  // Verificación de existencia del contenedor
+  if (!featuredGrid || !state.galleryData) return;
 
-document.addEventListener("mouseenter", () => {
-  customCursor.style.opacity = "1";
-});
+  let productsHTML = "";
 
-// Efecto especial al pasar sobre elementos interactivos
-const interactiveElements = document.querySelectorAll(
-  "a, button, .gallery-item, .product-card",
-);
+  getFeaturedFandoms().forEach((fandom) => {
+    const thumbnail = fandom.thumbnail || "img/placeholder.jpg";
 
-interactiveElements.forEach((element) => {
-  element.addEventListener("mouseenter", () => {
-    customCursor.querySelector(".cursor-pokemon").style.animation =
-      "pokemonExcited 0.4s ease infinite";
-    customCursor.querySelector(".cursor-pokemon").style.transform =
-      "scale(1.3)";
+    productsHTML += `
+      <div class="gallery-item featured-item" data-fandom="${fandom.id}" role="button" tabindex="0" aria-label="${t("gallery.openFandom", { name: fandom.name })}">
+        <div class="gallery-image" ${getImagePlaceholderAttributes(thumbnail)}>
+          <img 
+            src="${thumbnail}" 
+            ${getResponsiveImageAttributes(thumbnail, CONFIG.imageSizes.featured)}
+            alt="${fandom.name}"
+            loading="lazy"
+            onerror="this.src='img/placeholder.jpg'"
+            style="width: 100%; height: 100%; object-fit: cover"
+          />
+        </div>
+        <div class="gallery-overlay">
+          <h3>${fandom.name}</h3>
+          <p>${t("gallery.viewProducts")}</p>
+        </div>
+      </div>
+    `;
   });
 
-  element.addEventListener("mouseleave", () => {
-    customCursor.querySelector(".cursor-pokemon").style.animation =
-      "pokemonFloat 2s ease-in-out infinite";
-    customCursor.querySelector(".cursor-pokemon").style.transform = "scale(1)";
+  featuredGrid.innerHTML = productsHTML;
+
+  // Navega al detalle del fandom con click o Enter/Espacio
+  const openFeaturedFandom = (item) => {
+    const fandomId = item.getAttribute("data-fandom");
+    showFandomDetail(fandomId, true);
+    setActiveFandomFilter(fandomId);
+    syncRoute();
+  };
+
+  const featuredItems = featuredGrid.querySelectorAll(".featured-item");
+  featuredItems.forEach((item) => {
+    item.addEventListener("click", () => openFeaturedFandom(item));
+    item.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault();
+        openFeaturedFandom(item);
+      }
+    });
   });
-});
+}
 
 // ============================================
-// NAVEGACIÓN
+// RENDERIZADO DE TARJETAS "MIS PRODUCTOS"
 // ============================================
 
 /**
- * Manejo de la barra de navegación
- * Incluye efecto de scroll y menú móvil
+ * Genera las tarjetas de la sección "Mis Productos" desde productTypes
+ * Muestra descripción, características y precio base de cada tipo
  */
-
-const nav = document.querySelector(".nav");
-const navToggle = document.querySelector(".nav-toggle");
-const navMenu = document.querySelector(".nav-menu");
-const navLinks = document.querySelectorAll(".nav-menu a");
+function renderProductTypeCards() {
+  const cardsGrid = document.getElementById("productTypesGrid");
+  if (!cardsGrid || !state.galleryData) return;
+
+  let cardsHTML = "";
+  state.galleryData.productTypes.forEach((productType) => {
+    const features = (localize(productType, "features") || [])
+      .map((feature) => `<span class="feature">${feature}</span>`)
+      .join("");
+
+    // Precio base: el del tipo o el mínimo de sus variantes
+    const prices = [productType.price]
+      .concat((productType.variants || []).map((v) => v.price))
+      .filter((price) => typeof price === "number");
+    const priceHTML = prices.length
+      ? `<div class="product-price">${t("price.from", { price: formatPrice(Math.min(...prices)) })}</div>`
+      : "";
+
+    cardsHTML += `
+      <div class="product-card ${productType.popular ? "featured" : ""}" data-type="${productType.id}">
+        ${productType.popular ? `<div class="featured-badge">${t("products.popular")}</div>` : ""}
+        <div class="product-icon"><i data-lucide="${productType.icon}"></i></div>
+        <h3 class="product-title">${localize(productType, "name")}</h3>
+        <p class="product-description">${localize(productType, "description") || ""}</p>
+        <div class="product-features">${features}</div>
+        ${priceHTML}
+        <a class="product-card-link" href="#/tipo/${productType.id}">
+          ${t("products.viewAll", { name: localize(productType, "name") })}
+        </a>
+      </div>
+    `;
+  });
+
+  cardsGrid.innerHTML = cardsHTML;
+  initializeLucideIcons();
+  observeProductCards();
+}
+
+// ============================================
+// MANEJO DE CLICK EN FILTRO DE FANDOM
+// ============================================
 
 /**
- * Añade clase "scrolled" a la navegación al hacer scroll
- * Usa debounce para optimizar rendimiento
+ * Maneja el click en los botones de filtro de fandom
+ * Actualiza el estado activo y cambia la vista
+ * @param {Event} e - Evento de click
  */
-const handleScroll = debounce(() => {
-  if (window.scrollY > 100) {
-    nav.classList.add("scrolled");
+function handleFandomFilter(e) {
+  const fandomId = e.currentTarget.getAttribute("data-fandom");
+
+  // Actualiza el estado visual y aria-selected de los botones
+  setActiveFandomFilter(fandomId);
+
+  // Cambia entre vista destacados o vista de fandom específico
+  if (fandomId === "all") {
+    showFeaturedView();
+  } else if (fandomId === "favorites") {
+    showFavoritesView();
   } else {
-    nav.classList.remove("scrolled");
+    showFandomDetail(fandomId);
   }
-}, 10);
+  syncRoute();
+}
 
-window.addEventListener("scroll", handleScroll);
+/**
+ * Marca como activo el botón de filtro de un fandom
+ * @param {string|null} fandomId - ID del fandom, "all" o null para ninguno
+ */
+function setActiveFandomFilter(fandomId) {
+  updateTabs(
+    document.querySelectorAll("#fandomFilters .filter-btn"),
+    (btn) => btn.getAttribute("data-fandom") === fandomId,
+  );
+}
+
+// ============================================
+// MOSTRAR VISTA DE DESTACADOS
+// ============================================
 
 /**
- * Toggle del menú múvil
- * Anima las lÃ­neas del hamburger
+ * Muestra la vista de productos destacados (inicial)
+ * Oculta la vista de detalle de fandom
  */
-navToggle.addEventListener("click", () => {
-  navMenu.classList.toggle("active");
-  navToggle.classList.toggle("active");
+function showFeaturedView() {
+  document.getElementById("featuredView").style.display = "block";
+  document.getElementById("fandomView").style.display = "none";
+  state.currentFandom = null;
+  paginationState.shownItems.clear();
+  resetSearchInput();
+  resetFavoritesView();
+  resetTypeView();
+}
 
-  // Animación de las lí­neas del botón hamburger
-  const spans = navToggle.querySelectorAll("span");
-  if (navMenu.classList.contains("active")) {
-    spans[0].style.transform = "rotate(45deg) translate(5px, 5px)";
-    spans[1].style.opacity = "0";
-    spans[2].style.transform = "rotate(-45deg) translate(7px, -6px)";
+// ============================================
+// MOSTRAR DETALLE DE FANDOM
+// ============================================
+
+/**
+ * Muestra la vista detallada de un fandom específico
+ * Incluye filtros de tipo de producto y grid de productos
+ * @param {string} fandomId - ID del fandom a mostrar
+ * @param {boolean} [moveFocus] - Lleva el foco al título del fandom
+ *   (cuando el elemento que se activó desaparece con el cambio de vista)
+ * @param {string|null} [productTypeId] - Tipo de producto inicial
+ *   (por defecto el primero del fandom)
+ */
+function showFandomDetail(fandomId, moveFocus = false, productTypeId = null) {
+  // Busca el fandom en los datos
+  const fandom = state.galleryData.fandoms.find((f) => f.id === fandomId);
+  if (!fandom) return;
+
+  // Actualiza el estado
+  state.currentFandom = fandom;
+  state.currentPage = 1;
+  resetSearchInput();
+  resetFavoritesView();
+  resetTypeView();
+
+  // Actualiza la UI
+  document.getElementById("featuredView").style.display = "none";
+  document.getElementById("fandomView").style.display = "block";
+  document.getElementById("selectedFandomName").textContent = fandom.name;
+
+  // Selecciona el tipo pedido o el primero disponible por defecto
+  state.currentProductType =
+    productTypeId && fandom.products[productTypeId]
+      ? productTypeId
+      : Object.keys(fandom.products)[0] || "llaveros";
+
+  // Renderiza los filtros de tipo de producto disponibles
+  renderProductTypeFilters(fandom);
+  renderProducts();
+
+  // Hace scroll suave hacia la galería
+  document
+    .getElementById("galeria")
+    .scrollIntoView({ behavior: "smooth", block: "start" });
+
+  if (moveFocus) {
+    document
+      .getElementById("selectedFandomName")
+      .focus({ preventScroll: true });
+  }
+}
+
+// ============================================
+// RENDERIZADO DE FILTROS DE TIPO DE PRODUCTO
+// ============================================
+
+/**
+ * Genera los botones de filtro por tipo de producto
+ * Solo muestra los tipos que tiene el fandom actual
+ * @param {Object} fandom - Objeto fandom con sus productos, o
+ *   { id: null, products } con los de todos los fandoms (vista por tipo)
+ */
+function renderProductTypeFilters(fandom) {
+  const filtersContainer = document.getElementById("productTypeFilters");
+  if (!filtersContainer) return;
+
+  let filtersHTML = "";
+
+  // Itera sobre los tipos de productos disponibles en el fandom
+  Object.keys(fandom.products).forEach((productTypeId) => {
+    // Busca la información del tipo de producto en los datos globales
+    const productType = state.galleryData.productTypes.find(
+      (pt) => pt.id === productTypeId,
+    );
+    if (!productType) return;
+
+    const visibleCount =
+      fandom.products[productTypeId].filter(isProductVisible).length;
+
+    filtersHTML += `
+      <button class="product-type-btn" role="tab" id="type-tab-${productType.id}" data-type="${productType.id}" aria-controls="productGrid">
+        <span class="product-type-icon"><i data-lucide="${productType.icon}"></i></span>
+        <span class="product-type-name">${localize(productType, "name")}</span>
+        <span class="product-count">${visibleCount}</span>
+      </button>
+    `;
+  });
+
+  if (!hydratePrerendered(filtersContainer, fandom.id)) {
+    filtersContainer.innerHTML = filtersHTML;
+  }
+
+  // Agrega event listeners a los botones
+  const typeButtons = filtersContainer.querySelectorAll(".product-type-btn");
+  typeButtons.forEach((btn) => {
+    btn.addEventListener("click", function () {
+      selectProductType(this.getAttribute("data-type"));
+      syncRoute();
+    });
+  });
+  syncProductTypeTabs();
+
+  // Inicializa iconos de Lucide
+  initializeLucideIcons();
+}
+
+/**
+ * Sincroniza las pestañas de tipo con el tipo actual y etiqueta el grid
+ * En búsqueda y favoritos el grid deja de ser el panel de una pestaña
+ */
+function syncProductTypeTabs() {
+  updateTabs(
+    document.querySelectorAll("#productTypeFilters .product-type-btn"),
+    (btn) => btn.getAttribute("data-type") === state.currentProductType,
+  );
+
+  const productGrid = document.getElementById("productGrid");
+  if (!productGrid) return;
+  if (state.searchQuery || state.favoritesList) {
+    productGrid.removeAttribute("role");
+    productGrid.removeAttribute("aria-labelledby");
   } else {
-    spans[0].style.transform = "none";
-    spans[1].style.opacity = "1";
-    spans[2].style.transform = "none";
+    productGrid.setAttribute("role", "tabpanel");
+    productGrid.setAttribute(
+      "aria-labelledby",
+      `type-tab-${state.currentProductType}`,
+    );
   }
-});
+}
 
 /**
- * Cierra el menú móvil al hacer click en un enlace
+ * Aplica el filtro "ocultar no disponibles" a la vista actual
+ * Recalcula contadores, resultados de búsqueda y vuelve a la página 1
+ * @param {boolean} hide - true para ocultar próximos y agotados
  */
-navLinks.forEach((link) => {
-  link.addEventListener("click", () => {
-    navMenu.classList.remove("active");
-    navToggle.classList.remove("active");
+function setHideUnavailable(hide) {
+  state.hideUnavailable = hide;
+  state.currentPage = 1;
 
-    // Resetea la animación del hamburger
-    const spans = navToggle.querySelectorAll("span");
-    spans[0].style.transform = "none";
-    spans[1].style.opacity = "1";
-    spans[2].style.transform = "none";
+  if (state.searchQuery) {
+    state.searchResults = searchCatalog(state.searchQuery);
+  } else if (state.typeView) {
+    renderTypeViewTabs();
+    renderTypeViewBar();
+  } else if (state.currentFandom) {
+    renderProductTypeFilters(state.currentFandom);
+  }
+  renderProducts();
+  syncRoute();
+}
+
+/**
+ * Selecciona un tipo de producto del fandom actual y re-renderiza
+ * @param {string} productTypeId - ID del tipo de producto
+ */
+function selectProductType(productTypeId) {
+  // Actualiza estado, pestañas y re-renderiza
+  state.currentProductType = productTypeId;
+  state.currentPage = 1;
+  syncProductTypeTabs();
+  renderProducts();
+}
+
+// ============================================
+// RENDERIZADO DE PRODUCTOS CON PAGINACIÓN
+// ============================================
+
+/**
+ * Renderiza el grid de productos del tipo seleccionado
+ * Muestra la página actual, o todas las cargadas hasta ella según
+ * CONFIG.pagination.mode (ver getPageRange)
+ */
+function renderProducts() {
+  // Con una búsqueda activa, el grid muestra sus resultados
+  if (state.searchQuery) {
+    renderSearchResults();
+    return;
+  }
+
+  if (state.favoritesList) {
+    renderFavoritesResults();
+    return;
+  }
+
+  if (state.typeView) {
+    renderTypeViewResults();
+    return;
+  }
+
+  if (!state.currentFandom) return;
+
+  // Obtiene los productos del tipo seleccionado (respetando el filtro de disponibilidad)
+  const products = (
+    state.currentFandom.products[state.currentProductType] || []
+  ).filter(isProductVisible);
+
+  // Calcula los índices a mostrar según la página y el modo de paginación
+  const { start, end, totalPages } = getPageRange(products.length);
+  const currentProducts = products.slice(start, end);
+
+  // Referencia al contenedor del grid
+  const productGrid = document.getElementById("productGrid");
+  if (!productGrid) return;
+
+  // Construye el HTML de los productos
+  let productsHTML = "";
+  currentProducts.forEach((product) => {
+    productsHTML += renderProductItem(product, state.currentProductType);
   });
-});
+
+  // Todos los productos del tipo pueden quedar ocultos por el filtro
+  if (products.length === 0) {
+    productsHTML = `
+      <p class="search-empty">
+        ${t("gallery.emptyType")}
+      </p>
+    `;
+  }
+
+  // La página pre-renderizada ya trae estos items (si las columnas del
+  // viewport dan la misma cantidad): solo falta marcar favoritos
+  const view = `${state.currentFandom.id}/${state.currentProductType}/${start}-${end}`;
+  const hydrated = hydratePrerendered(productGrid, view);
+  if (hydrated) {
+    markProductItemsShown(productGrid);
+    updateFavoriteButtons();
+  } else {
+    productGrid.innerHTML = productsHTML;
+  }
+
+  // Conecta los botones "Agregar" y favoritos de cada producto
+  bindFavoriteButtons(productGrid);
+  bindAddToCartButtons(productGrid);
+
+  // Actualiza los controles de paginación
+  updatePaginationControls(products.length, totalPages);
+
+  // Anima la aparición de los items con stagger (no los que ya se ven)
+  if (!hydrated) animateProductItems(productGrid);
+}
+
+/**
+ * Genera el HTML de la tarjeta de un producto
+ * Se comparte entre la vista de fandom, la búsqueda y los favoritos
+ * @param {Object} product - Producto del catálogo
+ * @param {string} productTypeId - ID del tipo de producto
+ * @param {string} [nameHTML] - Nombre ya formateado (ej: con resaltado)
+ * @returns {string} HTML del item
+ */
+function renderProductItem(product, productTypeId, nameHTML = product.name) {
+  return `
+    <div class="product-item" data-product-id="${product.id}" tabindex="0" aria-label="${t("product.view", { name: product.name })}">
+      <div class="product-item-image" ${getImagePlaceholderAttributes(product.image)}>
+        <img 
+          src="${product.image}" 
+          ${getResponsiveImageAttributes(product.image, CONFIG.imageSizes.product)}
+          alt="${product.name}"
+          loading="lazy"
+          onerror="this.parentElement.innerHTML='<div class=\\'placeholder-art\\' style=\\'background: linear-gradient(135deg, var(--fire-orange) 0%, var(--fire-red) 100%);\\'>🔥</div>'"
+        />
+        ${renderStatusBadge(product)}
+        ${renderFavoriteButton(product.id)}
+        ${renderPromotionBadges(product, productTypeId)}
+      </div>
+      <div class="product-item-info">
+        <h4>${nameHTML}</h4>
+        <p class="product-item-price">
+          ${formatStartingPrice(getProductStartingPrice(product, productTypeId))}
+        </p>
+        ${renderAddToCartControls(product, productTypeId, { withQuantity: true })}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Anima la aparición de los items de un grid con efecto stagger
+ * Solo anima los que no estaban en pantalla antes del re-render (al
+ * agregar una página, cambiar de idioma o marcar un favorito los
+ * anteriores quedan quietos)
+ * @param {HTMLElement} productGrid - Contenedor de los items
+ */
+function animateProductItems(productGrid) {
+  const shown = paginationState.shownItems;
+  const items = [...productGrid.querySelectorAll(".product-item")].filter(
+    (item) => !shown.has(item.getAttribute("data-product-id")),
+  );
+  markProductItemsShown(productGrid);
+
+  items.forEach((item, index) => {
+    item.style.opacity = "0";
+    item.style.transform = "translateY(20px)";
+    setTimeout(() => {
+      item.style.transition = "all 0.4s ease";
+      item.style.opacity = "1";
+      item.style.transform = "translateY(0)";
+    }, index * CONFIG.animationDelay);
+  });
+}
 
 // ============================================
-// SCROLL SUAVE
+// PAGINACIÓN (FLECHAS, "VER MÁS" Y SCROLL INFINITO)
 // ============================================
 
 /**
- * Implementa scroll suave para todos los enlaces ancla
- * Considera el offset del header fijo
+ * Estado de la paginación entre renders
  */
-document.querySelectorAll('a[href^="#"]').forEach((anchor) => {
-  anchor.addEventListener("click", function (e) {
-    e.preventDefault();
-    const target = document.querySelector(this.getAttribute("href"));
+const paginationState = {
+  itemsPerPage: 0, // Items por página usados en el último render
+  totalPages: 0, // Páginas del listado actual
+  shownItems: new Set(), // IDs de los productos que ya están en el grid
+  observer: null, // IntersectionObserver del scroll infinito
+};
+
+/**
+ * Indica si el modo actual agrega páginas al grid en lugar de reemplazarlas
+ * @returns {boolean} true en "see-more" e "infinite"
+ */
+function isAppendPagination() {
+  return CONFIG.pagination.mode !== "arrows";
+}
+
+/**
+ * Cuenta las columnas del grid de productos en el viewport actual
+ * El valor computado viene resuelto ("310px 310px 310px"), o tal como
+ * está declarado ("repeat(3, 1fr)") mientras el grid está oculto
+ * @returns {number} Columnas del grid
+ */
+function getGridColumns() {
+  const productGrid = document.getElementById("productGrid");
+  if (!productGrid) return CONFIG.pagination.fallbackColumns;
+
+  const columns = (
+    window.getComputedStyle(productGrid).gridTemplateColumns || ""
+  ).trim();
+  const repeat = columns.match(/^repeat\(\s*(\d+)/);
+  if (repeat) return Number(repeat[1]);
+  if (!columns || columns === "none") return CONFIG.pagination.fallbackColumns;
+  return columns.split(/\s+/).length;
+}
+
+/**
+ * Items por página: filas completas según las columnas del viewport
+ * @returns {number} Cantidad de items por página
+ */
+function getItemsPerPage() {
+  return getGridColumns() * CONFIG.pagination.rows;
+}
+
+/**
+ * Calcula qué parte del listado se muestra en la página actual
+ * En los modos que agregan páginas se muestran todas hasta la actual
+ * @param {number} totalItems - Total de items del listado
+ * @returns {Object} { start, end, totalPages }
+ */
+function getPageRange(totalItems) {
+  const perPage = getItemsPerPage();
+  paginationState.itemsPerPage = perPage;
+
+  const end = Math.min(state.currentPage * perPage, totalItems);
+  return {
+    start: isAppendPagination() ? 0 : (state.currentPage - 1) * perPage,
+    end,
+    totalPages: Math.ceil(totalItems / perPage),
+  };
+}
+
+/**
+ * Registra los productos que quedaron en el grid
+ * Se usa tanto al animar como al hidratar una página pre-renderizada
+ * @param {HTMLElement} productGrid - Contenedor de los items
+ */
+function markProductItemsShown(productGrid) {
+  paginationState.shownItems = new Set(
+    [...productGrid.querySelectorAll(".product-item")].map((item) =>
+      item.getAttribute("data-product-id"),
+    ),
+  );
+}
+
+/**
+ * Calcula los números de página a mostrar, abreviando con null ("…")
+ * Siempre incluye la primera, la última y las vecinas de la actual, y
+ * ocupa la misma cantidad de lugares en cualquier página
+ * @param {number} current - Página actual
+ * @param {number} total - Total de páginas
+ * @returns {Array<number|null>} Páginas en orden
+ */
+function getVisiblePageNumbers(current, total) {
+  const max = CONFIG.pagination.maxPageButtons;
+  const range = (from, to) =>
+    Array.from({ length: to - from + 1 }, (_, i) => from + i);
+  if (total <= max) return range(1, total);
+
+  // Cerca de un extremo se muestran seguidas las páginas de ese lado
+  const edge = max - 2;
+  if (current < edge) return [...range(1, edge), null, total];
+  if (current > total - edge + 1) {
+    return [1, null, ...range(total - edge + 1, total)];
+  }
+
+  const around = Math.floor((max - 5) / 2);
+  return [1, null, ...range(current - around, current + around), null, total];
+}
+
+/**
+ * Muestra una página del listado actual y la registra en el historial
+ * @param {number} page - Página a mostrar (1-based)
+ */
+function changePage(page) {
+  state.currentPage = page;
+  renderProducts();
+  scrollToProductGrid();
+  syncRoute();
+}
+
+/**
+ * Agrega la página siguiente al grid ("Ver Más" y scroll infinito)
+ * Reemplaza la entrada del historial para no llenarlo con cada carga
+ * @param {boolean} [moveFocus] - Lleva el foco al primer item nuevo
+ */
+function loadMoreProducts(moveFocus = false) {
+  if (state.currentPage >= paginationState.totalPages) return;
+
+  const productGrid = document.getElementById("productGrid");
+  const shownCount = productGrid.querySelectorAll(".product-item").length;
+
+  state.currentPage++;
+  renderProducts();
+  syncRoute({ replace: true });
+
+  if (moveFocus) {
+    const firstNew = productGrid.querySelectorAll(".product-item")[shownCount];
+    if (firstNew) firstNew.focus();
+  }
+}
+
+/**
+ * Actualiza los controles de paginación según el modo configurado
+ * Flechas y números de página, o "Ver Más" / scroll infinito
+ * @param {number} totalItems - Total de items
+ * @param {number} totalPages - Total de páginas
+ */
+function updatePaginationControls(totalItems, totalPages) {
+  const prevBtn = document.getElementById("prevPage");
+  const nextBtn = document.getElementById("nextPage");
+  const container = document.querySelector(".product-pagination-container");
+  const appending = isAppendPagination();
+
+  paginationState.totalPages = totalPages;
+  if (totalItems === 0) paginationState.shownItems.clear();
+
+  // En los modos que agregan páginas no hay flechas
+  prevBtn.hidden = appending;
+  nextBtn.hidden = appending;
+  if (container) container.classList.toggle("pagination-append", appending);
+
+  // Deshabilita botones según página actual
+  prevBtn.disabled = state.currentPage === 1;
+  nextBtn.disabled = state.currentPage === totalPages || totalPages === 0;
+
+  // Anuncia la página actual a lectores de pantalla (solo si hay varias)
+  const pageStatus = document.getElementById("paginationStatus");
+  if (pageStatus) {
+    pageStatus.textContent =
+      totalPages > 1
+        ? t("gallery.pageStatus", {
+            page: state.currentPage,
+            total: totalPages,
+          })
+        : "";
+  }
+
+  renderPaginationInfo(totalItems, totalPages);
+  updateSeeMore(totalPages);
+
+  // Event listener para botón anterior
+  prevBtn.onclick = () => {
+    if (state.currentPage > 1) changePage(state.currentPage - 1);
+  };
+
+  // Event listener para botón siguiente
+  nextBtn.onclick = () => {
+    if (state.currentPage < totalPages) changePage(state.currentPage + 1);
+  };
+}
+
+/**
+ * Renderiza los números de página (modo flechas) o cuántos items se
+ * están viendo (modos que agregan páginas)
+ * @param {number} totalItems - Total de items
+ * @param {number} totalPages - Total de páginas
+ */
+function renderPaginationInfo(totalItems, totalPages) {
+  const info = document.getElementById("paginationInfo");
+  if (!info) return;
+
+  if (totalPages <= 1) {
+    info.innerHTML = "";
+    return;
+  }
+
+  if (isAppendPagination()) {
+    const shown = Math.min(
+      state.currentPage * paginationState.itemsPerPage,
+      totalItems,
+    );
+    info.innerHTML = `
+      <span>${t("gallery.showing", { shown, total: totalItems })}</span>
+    `;
+    return;
+  }
+
+  const pagesHTML = getVisiblePageNumbers(state.currentPage, totalPages)
+    .map((page) => {
+      if (page === null) {
+        return `<span class="page-ellipsis" aria-hidden="true">…</span>`;
+      }
+      if (page === state.currentPage) {
+        return `<span class="page-indicator" aria-current="page">${page}</span>`;
+      }
+      return `<button type="button" class="page-number" data-page="${page}" aria-label="${t("gallery.goToPage", { page })}">${page}</button>`;
+    })
+    .join("");
+
+  info.innerHTML = `
+    <nav class="page-numbers" aria-label="${t("gallery.pagination")}">
+      ${pagesHTML}
+    </nav>
+  `;
+
+  info.querySelectorAll(".page-number").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      changePage(Number(btn.getAttribute("data-page")));
+    });
+  });
+}
+
+/**
+ * Muestra el botón "Ver Más" mientras queden páginas y, en modo
+ * "infinite", observa su contenedor para cargar la siguiente sola
+ * (el botón queda como alternativa si no hay IntersectionObserver)
+ * @param {number} totalPages - Total de páginas
+ */
+function updateSeeMore(totalPages) {
+  const seeMoreContainer = document.getElementById("seeMoreContainer");
+  const seeMoreBtn = document.getElementById("seeMoreBtn");
+  if (!seeMoreContainer || !seeMoreBtn) return;
+
+  const hasMore = isAppendPagination() && state.currentPage < totalPages;
+  seeMoreContainer.style.display = hasMore ? "block" : "none";
+  seeMoreBtn.onclick = () => loadMoreProducts(true);
+
+  if (
+    CONFIG.pagination.mode !== "infinite" ||
+    !("IntersectionObserver" in window)
+  ) {
+    return;
+  }
+
+  if (!paginationState.observer) {
+    paginationState.observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) loadMoreProducts();
+      },
+      { rootMargin: `0px 0px ${CONFIG.pagination.infiniteMargin} 0px` },
+    );
+  }
+
+  // Volver a observar dispara un aviso inicial: si el final del grid
+  // sigue a la vista después de cargar, se carga otra página
+  paginationState.observer.disconnect();
+  if (hasMore) paginationState.observer.observe(seeMoreContainer);
+}
+
+/**
+ * Re-renderiza el listado si al cambiar el tamaño de la ventana cambian
+ * las columnas del grid, manteniendo a la vista los mismos productos
+ */
+const handlePaginationResize = debounce(() => {
+  const galleryActive =
+    state.currentFandom ||
+    state.searchQuery ||
+    state.favoritesList ||
+    state.typeView;
+  const previousPerPage = paginationState.itemsPerPage;
+  if (!galleryActive || !previousPerPage) return;
+
+  const perPage = getItemsPerPage();
+  if (perPage === previousPerPage) return;
+
+  // Primer item visible (flechas) o cantidad de items cargados (agregando)
+  const page = isAppendPagination()
+    ? Math.ceil((state.currentPage * previousPerPage) / perPage)
+    : Math.floor(((state.currentPage - 1) * previousPerPage) / perPage) + 1;
+  const totalPages = Math.ceil(getCurrentProductList().length / perPage);
+  state.currentPage = Math.max(Math.min(page, totalPages), 1);
+  renderProducts();
+  syncRoute({ replace: true });
+}, 200);
+
+window.addEventListener("resize", handlePaginationResize);
+
+// ============================================
+// SCROLL AL GRID DE PRODUCTOS
+// ============================================
+
+/**
+ * Hace scroll suave hasta el grid de productos
+ * Se usa al cambiar de página para mantener contexto
+ */
+function scrollToProductGrid() {
+  const productGrid = document.getElementById("productGrid");
+  if (productGrid) {
+    productGrid.scrollIntoView({ behavior: "smooth", block: "nearest" });
+  }
+}
+
+// ============================================
+// UTILIDAD: DEBOUNCE
+// ============================================
+
+/**
+ * Función de utilidad para debouncing de eventos
+ * Previene ejecuciones excesivas de funciones costosas
+ * @param {Function} func - Función a ejecutar
+ * @param {number} wait - Tiempo de espera en ms
+ * @returns {Function} Función debounced
+ */
+function debounce(func, wait) {
+  let timeout;
+  return function executedFunction(...args) {
+    const later = () => {
+      clearTimeout(timeout);
+      func(...args);
+    };
+    clearTimeout(timeout);
+    timeout = setTimeout(later, wait);
+  };
+}
+
+// ============================================
+// UTILIDAD: ESCAPAR HTML
+// ============================================
+
+/**
+ * Escapa caracteres especiales para insertar texto en HTML
+ * Necesario para texto ingresado por el usuario (búsqueda, formularios)
+ * @param {string} text - Texto sin escapar
+ * @returns {string} Texto seguro para innerHTML
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// ============================================
+// ACCESIBILIDAD: PESTAÑAS Y ANUNCIOS
+// ============================================
+
+/**
+ * Anuncia un mensaje a lectores de pantalla con la región viva global
+ * @param {string} message - Texto a anunciar
+ */
+function announce(message) {
+  const announcer = document.getElementById("srAnnouncer");
+  if (!announcer) return;
+
+  // Se vacía antes para que un mensaje repetido se vuelva a leer
+  announcer.textContent = "";
+  setTimeout(() => {
+    announcer.textContent = message;
+  }, 50);
+}
+
+/**
+ * Actualiza aria-selected, la clase active y el tabindex itinerante
+ * de un grupo de pestañas. Sin pestaña seleccionada (ej: en una búsqueda)
+ * la primera sigue siendo alcanzable con Tab
+ * @param {NodeList|Array<HTMLElement>} tabs - Botones con role="tab"
+ * @param {function(HTMLElement): boolean} isSelected - Criterio de selección
+ */
+function updateTabs(tabs, isSelected) {
+  const tabList = Array.from(tabs);
+  let selectedTab = null;
+
+  tabList.forEach((tab) => {
+    const selected = isSelected(tab);
+    tab.classList.toggle("active", selected);
+    tab.setAttribute("aria-selected", String(selected));
+    tab.tabIndex = -1;
+    if (selected && !selectedTab) selectedTab = tab;
+  });
+
+  const focusableTab = selectedTab || tabList[0];
+  if (focusableTab) focusableTab.tabIndex = 0;
+}
+
+/**
+ * Mueve el foco entre pestañas con flechas, Inicio y Fin
+ * La activación es manual: Enter/Espacio hacen click en la pestaña enfocada
+ * @param {KeyboardEvent} e - Evento keydown del contenedor role="tablist"
+ */
+function handleTablistKeydown(e) {
+  const tabs = Array.from(e.currentTarget.querySelectorAll('[role="tab"]'));
+  const index = tabs.indexOf(e.target);
+  if (index === -1) return;
+
+  const targets = {
+    ArrowRight: index + 1,
+    ArrowDown: index + 1,
+    ArrowLeft: index - 1,
+    ArrowUp: index - 1,
+    Home: 0,
+    End: tabs.length - 1,
+  };
+  if (!(e.key in targets)) return;
+
+  e.preventDefault();
+  tabs[(targets[e.key] + tabs.length) % tabs.length].focus();
+}
+
+["fandomFilters", "productTypeFilters"].forEach((id) => {
+  const tablist = document.getElementById(id);
+  if (tablist) tablist.addEventListener("keydown", handleTablistKeydown);
+});
+
+// ============================================
+// EFECTOS VISUALES: CURSOR, ESTELA Y FONDO
+// ============================================
+
+/**
+ * Los efectos animados (cursor Pokémon, estela, fuego, parallax, contadores)
+ * se apagan por defecto con prefers-reduced-motion y se pueden activar o
+ * desactivar con el botón de la navegación; la elección se guarda en
+ * localStorage. El cursor personalizado solo se usa con mouse.
+ */
+const reducedMotionQuery = window.matchMedia(
+  "(prefers-reduced-motion: reduce)",
+);
+const finePointerQuery = window.matchMedia(
+  "(hover: hover) and (pointer: fine)",
+);
+
+const effects = {
+  enabled: true, // Efectos animados activos
+  cursorActive: false, // Cursor personalizado en uso (efectos + mouse)
+  frameId: null, // requestAnimationFrame del cursor en curso
+  trails: [], // Pool de partículas de la estela (se reutilizan)
+  trailIndex: 0, // Próxima partícula del pool
+  moveCount: 0, // Movimientos del mouse desde la última partícula
+};
+
+// Crear el contenedor del cursor
+const customCursor = document.createElement("div");
+customCursor.className = "custom-cursor";
+customCursor.innerHTML = '<div class="cursor-pokemon"></div>';
+document.body.appendChild(customCursor);
+const cursorPokemon = customCursor.querySelector(".cursor-pokemon");
+
+let mouseX = 0;
+let mouseY = 0;
+let cursorX = 0;
+let cursorY = 0;
+
+/**
+ * Lee la preferencia guardada; sin elección, respeta prefers-reduced-motion
+ * @returns {boolean} true si los efectos deben estar activos
+ */
+function loadEffectsPreference() {
+  try {
+    const saved = localStorage.getItem(CONFIG.effectsStorageKey);
+    if (saved === "on") return true;
+    if (saved === "off") return false;
+  } catch (error) {
+    // Sin localStorage se usa la preferencia del sistema
+  }
+  return !reducedMotionQuery.matches;
+}
+
+/**
+ * Activa o desactiva los efectos y guarda la elección del usuario
+ * @param {boolean} enabled - true para activar los efectos
+ */
+function setEffectsEnabled(enabled) {
+  try {
+    localStorage.setItem(CONFIG.effectsStorageKey, enabled ? "on" : "off");
+  } catch (error) {
+    console.warn("No se pudo guardar la preferencia de efectos:", error);
+  }
+  applyEffects(enabled);
+}
+
+/**
+ * Aplica el estado de los efectos a la página
+ * .effects-off anula animaciones y transiciones en CSS;
+ * .cursor-active oculta el cursor del sistema y muestra el personalizado
+ * @param {boolean} enabled - true para activar los efectos
+ */
+function applyEffects(enabled) {
+  effects.enabled = enabled;
+  effects.cursorActive = enabled && finePointerQuery.matches;
+
+  const root = document.documentElement;
+  root.classList.toggle("effects-off", !enabled);
+  root.classList.toggle("cursor-active", effects.cursorActive);
+
+  if (effects.cursorActive) {
+    startCursorLoop();
+  } else {
+    stopCursorLoop();
+    effects.trails.forEach((trail) => {
+      trail.style.opacity = "0";
+    });
+  }
+
+  // Sin efectos el hero queda en su posición original
+  if (!enabled) {
+    const heroContent = document.querySelector(".hero-content");
+    if (heroContent) {
+      heroContent.style.transform = "";
+      heroContent.style.opacity = "";
+    }
+  }
+
+  const toggle = document.getElementById("effectsToggle");
+  if (toggle) toggle.setAttribute("aria-pressed", String(enabled));
+}
+
+/**
+ * Inicia el loop del cursor si no está corriendo
+ * Se detiene solo cuando el cursor alcanza al mouse o la pestaña se oculta
+ */
+function startCursorLoop() {
+  if (effects.frameId !== null || document.hidden) return;
+  effects.frameId = requestAnimationFrame(animateCursor);
+}
+
+/**
+ * Detiene el loop del cursor
+ */
+function stopCursorLoop() {
+  if (effects.frameId === null) return;
+  cancelAnimationFrame(effects.frameId);
+  effects.frameId = null;
+}
+
+// Animar el cursor suavemente
+function animateCursor() {
+  // Suavizado del movimiento (easing)
+  cursorX += (mouseX - cursorX) * 0.2;
+  cursorY += (mouseY - cursorY) * 0.2;
+
+  customCursor.style.left = cursorX + "px";
+  customCursor.style.top = cursorY + "px";
+  customCursor.style.transform = "translate(-50%, -50%)";
+
+  // En reposo no hace falta seguir pidiendo frames
+  if (Math.abs(mouseX - cursorX) < 0.5 && Math.abs(mouseY - cursorY) < 0.5) {
+    effects.frameId = null;
+    return;
+  }
+  effects.frameId = requestAnimationFrame(animateCursor);
+}
+
+/**
+ * Muestra una partícula de la estela reutilizando un pool fijo de nodos
+ * en lugar de crear y borrar un elemento por partícula
+ * @param {number} x - Posición horizontal (px)
+ * @param {number} y - Posición vertical (px)
+ */
+function createTrail(x, y) {
+  if (effects.trails.length < CONFIG.cursorTrailPoolSize) {
+    const trail = document.createElement("div");
+    trail.className = "cursor-trail";
+    document.body.appendChild(trail);
+    effects.trails.push(trail);
+  }
+
+  const trail = effects.trails[effects.trailIndex];
+  effects.trailIndex = (effects.trailIndex + 1) % CONFIG.cursorTrailPoolSize;
+
+  trail.style.left = x + "px";
+  trail.style.top = y + "px";
+
+  // Reinicia el desvanecimiento de la partícula reutilizada
+  if (trail.animate) {
+    trail.animate(
+      [
+        { opacity: 0.6, transform: "scale(1)" },
+        { opacity: 0, transform: "scale(0)" },
+      ],
+      { duration: 800, easing: "ease-out", fill: "forwards" },
+    );
+  }
+}
+
+// Actualizar posición del mouse
+document.addEventListener("mousemove", (e) => {
+  if (!effects.cursorActive) return;
+  mouseX = e.clientX;
+  mouseY = e.clientY;
+  startCursorLoop();
+
+  // Crear estela de fuego cada ciertos movimientos
+  if (effects.moveCount % 3 === 0) {
+    createTrail(mouseX, mouseY);
+  }
+  effects.moveCount++;
+});
+
+// Efecto al hacer click
+document.addEventListener("mousedown", () => {
+  cursorPokemon.style.transform = "scale(0.8)";
+});
+
+document.addEventListener("mouseup", () => {
+  cursorPokemon.style.transform = "scale(1)";
+});
+
+// Ocultar cursor cuando sale de la ventana
+document.addEventListener("mouseleave", () => {
+  customCursor.style.opacity = "0";
+});
+
+document.addEventListener("mouseenter", () => {
+  customCursor.style.opacity = "1";
+});
+
+// Efecto especial al pasar sobre elementos interactivos
+const interactiveElements = document.querySelectorAll(
+  "a, button, .gallery-item, .product-card",
+);
+
+interactiveElements.forEach((element) => {
+  element.addEventListener("mouseenter", () => {
+    cursorPokemon.style.animation = "pokemonExcited 0.4s ease infinite";
+    cursorPokemon.style.transform = "scale(1.3)";
+  });
+
+  element.addEventListener("mouseleave", () => {
+    cursorPokemon.style.animation = "pokemonFloat 2s ease-in-out infinite";
+    cursorPokemon.style.transform = "scale(1)";
+  });
+});
+
+// Pausa loops y animaciones CSS mientras la pestaña está oculta
+document.addEventListener("visibilitychange", () => {
+  document.documentElement.classList.toggle("effects-paused", document.hidden);
+  if (document.hidden) {
+    stopCursorLoop();
+  } else if (effects.cursorActive) {
+    startCursorLoop();
+  }
+});
+
+// Cambios del sistema: movimiento reducido (si no hay elección) y tipo de puntero
+reducedMotionQuery.addEventListener("change", () => {
+  applyEffects(loadEffectsPreference());
+});
+finePointerQuery.addEventListener("change", () => {
+  applyEffects(effects.enabled);
+});
+
+const effectsToggle = document.getElementById("effectsToggle");
+if (effectsToggle) {
+  effectsToggle.addEventListener("click", () => {
+    setEffectsEnabled(!effects.enabled);
+  });
+}
+
+applyEffects(loadEffectsPreference());
+
+// ============================================
+// NAVEGACIÓN
+// ============================================
+
+/**
+ * Manejo de la barra de navegación
+ * Incluye efecto de scroll y menú móvil
+ */
+
+const nav = document.querySelector(".nav");
+const navToggle = document.querySelector(".nav-toggle");
+const navMenu = document.querySelector(".nav-menu");
+const navLinks = document.querySelectorAll(".nav-menu a");
+
+/**
+ * Añade clase "scrolled" a la navegación al hacer scroll
+ * Usa debounce para optimizar rendimiento
+ */
+const handleScroll = debounce(() => {
+  if (window.scrollY > 100) {
+    nav.classList.add("scrolled");
+  } else {
+    nav.classList.remove("scrolled");
+  }
+}, 10);
+
+window.addEventListener("scroll", handleScroll);
+
+/**
+ * Toggle del menú múvil
+ * Anima las líneas del hamburger
+ */
+navToggle.addEventListener("click", () => {
+  navMenu.classList.toggle("active");
+  navToggle.classList.toggle("active");
+
+  // Animación de las líneas del botón hamburger
+  const spans = navToggle.querySelectorAll("span");
+  if (navMenu.classList.contains("active")) {
+    spans[0].style.transform = "rotate(45deg) translate(5px, 5px)";
+    spans[1].style.opacity = "0";
+    spans[2].style.transform = "rotate(-45deg) translate(7px, -6px)";
+  } else {
+    spans[0].style.transform = "none";
+    spans[1].style.opacity = "1";
+    spans[2].style.transform = "none";
+  }
+});
+
+/**
+ * Cierra el menú móvil al hacer click en un enlace
+ */
+navLinks.forEach((link) => {
+  link.addEventListener("click", () => {
+    navMenu.classList.remove("active");
+    navToggle.classList.remove("active");
+
+    // Resetea la animación del hamburger
+    const spans = navToggle.querySelectorAll("span");
+    spans[0].style.transform = "none";
+    spans[1].style.opacity = "1";
+    spans[2].style.transform = "none";
+  });
+});
+
+// ============================================
+// SCROLL SUAVE
+// ============================================
+
+/**
+ * Implementa scroll suave para todos los enlaces ancla
+ * Considera el offset del header fijo
+ */
+document.querySelectorAll('a[href^="#"]').forEach((anchor) => {
+  anchor.addEventListener("click", function (e) {
+    const href = this.getAttribute("href");
+
+    // Los enlaces de rutas de la galería ("#/...") los maneja el router
+    if (href.startsWith("#/")) return;
+
+    e.preventDefault();
+    const target = href.length > 1 ? document.querySelector(href) : null;
+
+    if (target) {
+      const offsetTop = target.offsetTop - CONFIG.scrollOffset;
+      window.scrollTo({
+        top: offsetTop,
+        behavior: "smooth",
+      });
+    }
+  });
+});
+
+// ============================================
+// INTERSECTION OBSERVER PARA ANIMACIONES
+// ============================================
+
+/**
+ * Observa elementos para animarlos cuando entran en viewport
+ * Mejora la percepción de carga progresiva
+ */
+
+const observerOptions = {
+  threshold: 0.1, // Se activa cuando 10% del elemento es visible
+  rootMargin: "0px 0px -100px 0px", // Offset inferior de 100px
+};
+
+const observer = new IntersectionObserver((entries) => {
+  entries.forEach((entry) => {
+    if (entry.isIntersecting) {
+      // Anima el elemento cuando es visible
+      entry.target.style.opacity = "1";
+      entry.target.style.transform = "translateY(0)";
+    }
+  });
+}, observerOptions);
+
+/**
+ * Observa las tarjetas de productos para animación
+ * Se llama cada vez que se generan las tarjetas de "Mis Productos"
+ */
+function observeProductCards() {
+  const productCards = document.querySelectorAll(".product-card");
+  productCards.forEach((card, index) => {
+    // Estado inicial oculto
+    card.style.opacity = "0";
+    card.style.transform = "translateY(30px)";
+    card.style.transition = `all 0.6s ease ${index * 0.15}s`;
+
+    // Inicia observación
+    observer.observe(card);
+  });
+}
+
+// ============================================
+// FERIAS Y EVENTOS
+// ============================================
+
+/**
+ * Sección "Ferias" armada desde events en gallery-data.json: próximas
+ * ferias (la siguiente también se destaca en el hero) y las anteriores.
+ * Los horarios están en hora local de Buenos Aires; se muestran siempre
+ * en esa zona y se exportan en UTC a archivos .ics (una feria o todas
+ * las próximas) para agregarlas a cualquier calendario.
+ */
+
+const eventsState = {
+  timer: null, // Vuelve a renderizar cuando termina la próxima feria
+};
+
+/**
+ * Convierte un horario del catálogo ("2026-11-14T14:00") en un instante
+ * @param {string} value - Fecha y hora locales del evento
+ * @returns {Date} Instante absoluto
+ */
+function parseEventTime(value) {
+  return new Date(`${value}:00${CONFIG.events.utcOffset}`);
+}
+
+/**
+ * Separa las ferias en próximas y anteriores según la fecha actual
+ * Una feria sigue siendo "próxima" mientras no terminó
+ * @param {Date} [now] - Momento de referencia
+ * @returns {{upcoming: Array, past: Array}} Próximas en orden cronológico
+ *   y anteriores de la más reciente a la más vieja (hasta pastLimit)
+ */
+function getEventsByDate(now = new Date()) {
+  const events = (state.galleryData.events || []).filter(
+    (event) => !isNaN(parseEventTime(event.startsAt)),
+  );
+  const byStart = (a, b) =>
+    parseEventTime(a.startsAt) - parseEventTime(b.startsAt);
+
+  return {
+    upcoming: events
+      .filter((event) => parseEventTime(event.endsAt) >= now)
+      .sort(byStart),
+    past: events
+      .filter((event) => parseEventTime(event.endsAt) < now)
+      .sort((a, b) => byStart(b, a))
+      .slice(0, CONFIG.events.pastLimit),
+  };
+}
+
+/**
+ * Texto del día y horario de una feria en el idioma actual
+ * @param {Object} event - Evento del catálogo
+ * @returns {string} Ej: "sábado, 14 de noviembre, 14:00–20:00"
+ */
+function formatEventDate(event) {
+  const formatter = new Intl.DateTimeFormat(state.locale, {
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+    timeZone: CONFIG.events.timeZone,
+  });
+  const start = parseEventTime(event.startsAt);
+  const end = parseEventTime(event.endsAt);
+
+  // En un mismo día alcanza con el rango de horas; si dura varios días,
+  // inicio y fin completos
+  return event.startsAt.slice(0, 10) === event.endsAt.slice(0, 10)
+    ? formatter.formatRange(start, end)
+    : `${formatter.format(start)} – ${formatter.format(end)}`;
+}
+
+/**
+ * Genera el HTML de una feria
+ * @param {Object} event - Evento del catálogo
+ * @param {Object} [options] - { next: la próxima feria, past: ya terminó }
+ * @returns {string} HTML de la tarjeta
+ */
+function renderEventCard(event, { next = false, past = false } = {}) {
+  const name = escapeHTML(localize(event, "name"));
+  const description = localize(event, "description");
+
+  const fandomChips = (event.fandoms || [])
+    .map(findFandom)
+    .filter(Boolean)
+    .map(
+      (fandom) =>
+        `<li><a class="event-chip" href="#/${fandom.id}">${fandom.name}</a></li>`,
+    )
+    .join("");
+  const typeChips = (event.productTypes || [])
+    .map(
+      (productTypeId) =>
+        `<li><a class="event-chip" href="#/tipo/${productTypeId}">${getProductTypeName(productTypeId)}</a></li>`,
+    )
+    .join("");
+
+  return `
+    <article class="event-card${next ? " event-next" : ""}${past ? " event-past" : ""}">
+      ${next ? `<span class="event-badge">${t("events.next")}</span>` : ""}
+      <h3>${name}</h3>
+      <p class="event-date">
+        <i data-lucide="calendar"></i>
+        <time datetime="${parseEventTime(event.startsAt).toISOString()}">${formatEventDate(event)}</time>
+      </p>
+      <p class="event-address">
+        <i data-lucide="map-pin"></i>
+        <span>${escapeHTML(event.address)}</span>
+      </p>
+      ${description ? `<p class="event-description">${escapeHTML(description)}</p>` : ""}
+      ${
+        !past && (fandomChips || typeChips)
+          ? `
+        <div class="event-stock">
+          <span>${t("events.bringing")}</span>
+          <ul class="event-chips">${fandomChips}${typeChips}</ul>
+        </div>
+      `
+          : ""
+      }
+      ${
+        past
+          ? ""
+          : `
+        <div class="event-actions">
+          ${
+            event.mapUrl
+              ? `<a class="btn btn-secondary" href="${escapeHTML(event.mapUrl)}" target="_blank" rel="noopener">${t("events.map")}</a>`
+              : ""
+          }
+          <button type="button" class="btn btn-primary" data-event-ics="${event.id}" aria-label="${t("events.addToCalendarLabel", { name })}">
+            ${t("events.addToCalendar")}
+          </button>
+        </div>
+      `
+      }
+    </article>
+  `;
+}
+
+/**
+ * Renderiza la sección de ferias y el aviso de la próxima en el hero
+ */
+function renderEvents() {
+  const container = document.getElementById("eventsContent");
+  if (!container || !state.galleryData) return;
+
+  const { upcoming, past } = getEventsByDate();
+
+  let html = upcoming.length
+    ? `
+      <div class="events-grid">
+        ${upcoming.map((event, i) => renderEventCard(event, { next: i === 0 })).join("")}
+      </div>
+      <button type="button" class="events-feed" data-event-ics="all">
+        <i data-lucide="calendar-plus"></i>
+        <span>${t("events.addAll")}</span>
+      </button>
+    `
+    : `<p class="events-empty">${t("events.empty")}</p>`;
+
+  if (past.length) {
+    html += `
+      <details class="events-past">
+        <summary>${t("events.past")}</summary>
+        <div class="events-grid">
+          ${past.map((event) => renderEventCard(event, { past: true })).join("")}
+        </div>
+      </details>
+    `;
+  }
+
+  container.innerHTML = html;
+  initializeLucideIcons();
+
+  renderHeroNextEvent(upcoming[0]);
+  scheduleEventsRefresh(upcoming[0]);
+}
+
+/**
+ * Muestra (u oculta) el enlace a la próxima feria en el hero
+ * @param {Object} [event] - Próxima feria
+ */
+function renderHeroNextEvent(event) {
+  const heroNextEvent = document.getElementById("heroNextEvent");
+  if (!heroNextEvent) return;
+
+  heroNextEvent.hidden = !event;
+  heroNextEvent.textContent = event
+    ? t("events.heroNext", {
+        name: localize(event, "name"),
+        date: formatEventDate(event),
+      })
+    : "";
+}
+
+/**
+ * Programa un nuevo render para cuando termine la próxima feria, así
+ * pasa sola a "anteriores" aunque la página siga abierta
+ * @param {Object} [event] - Próxima feria
+ */
+function scheduleEventsRefresh(event) {
+  clearTimeout(eventsState.timer);
+  if (!event) return;
+
+  // setTimeout no admite esperas de más de ~24 días
+  const delay = parseEventTime(event.endsAt) - Date.now() + 1000;
+  eventsState.timer = setTimeout(renderEvents, Math.min(delay, 2 ** 31 - 1));
+}
+
+/**
+ * Escapa un texto para un campo de iCalendar (RFC 5545)
+ * @param {string} text - Texto sin escapar
+ * @returns {string} Texto escapado
+ */
+function escapeICSText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Corta una línea de iCalendar en tramos de 75 bytes como pide el formato
+ * (las continuaciones empiezan con un espacio)
+ * @param {string} line - Línea completa
+ * @returns {string} Línea plegada
+ */
+function foldICSLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (encoder.encode(current + char).length > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * Formatea un instante en UTC para iCalendar ("20261114T170000Z")
+ * @param {Date} date - Instante
+ * @returns {string} Fecha y hora UTC
+ */
+function formatICSDate(date) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+/**
+ * Genera el archivo .ics con una o varias ferias
+ * @param {Array} events - Eventos del catálogo
+ * @returns {string} Contenido del calendario
+ */
+function buildEventsICS(events) {
+  const stamp = formatICSDate(new Date());
+  const pageUrl = `${window.location.origin}${window.location.pathname}#ferias`;
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Hades Salem//Ferias//ES",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeICSText(t("events.calendarName"))}`,
+  ];
+
+  events.forEach((event) => {
+    const bringing = [
+      ...(event.fandoms || []).map(findFandom).filter(Boolean),
+      ...(event.productTypes || []).map((id) => ({
+        name: getProductTypeName(id),
+      })),
+    ].map((item) => item.name);
+    const description = [
+      localize(event, "description"),
+      bringing.length ? `${t("events.bringing")}: ${bringing.join(", ")}` : "",
+      event.mapUrl,
+      pageUrl,
+    ]
+      .filter(Boolean)
+      .join("\n");
+
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.id}@hades-salem`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatICSDate(parseEventTime(event.startsAt))}`,
+      `DTEND:${formatICSDate(parseEventTime(event.endsAt))}`,
+      `SUMMARY:${escapeICSText(localize(event, "name"))}`,
+      `LOCATION:${escapeICSText(event.address)}`,
+      `DESCRIPTION:${escapeICSText(description)}`,
+      `URL:${event.mapUrl || pageUrl}`,
+      "END:VEVENT",
+    );
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldICSLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Descarga el .ics de una feria o de todas las próximas
+ * @param {string} eventId - Id del evento o "all"
+ */
+function downloadEventsICS(eventId) {
+  const { upcoming } = getEventsByDate();
+  const events =
+    eventId === "all"
+      ? upcoming
+      : (state.galleryData.events || []).filter(
+          (event) => event.id === eventId,
+        );
+  if (events.length === 0) return;
+
+  const fileName =
+    eventId === "all" ? "hades-salem-ferias.ics" : `hades-salem-${eventId}.ics`;
+  const blob = new Blob([buildEventsICS(events)], {
+    type: "text/calendar;charset=utf-8",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  announce(t("events.downloaded", { file: fileName }));
+}
+
+const eventsContent = document.getElementById("eventsContent");
+if (eventsContent) {
+  eventsContent.addEventListener("click", (e) => {
+    const button = e.target.closest("[data-event-ics]");
+    if (button) downloadEventsICS(button.getAttribute("data-event-ics"));
+  });
+}
+
+// ============================================
+// CATÁLOGO COMPLETO IMPRIMIBLE
+// ============================================
+
+/**
+ * El botón de catálogo abre una vista con todos los productos de
+ * gallery-data.json armada como hojas A4 (tapa, índice y una sección por
+ * fandom). catalog-print.css define la vista previa y la impresión; desde
+ * el diálogo de impresión del navegador se guarda como PDF.
+ */
+
+const printCatalog = document.getElementById("printCatalog");
+
+const printCatalogState = {
+  opener: null, // Elemento que abrió la vista (recibe el foco al cerrar)
+};
+
+/**
+ * Genera el HTML de la tapa del catálogo
+ * @returns {string} HTML de la tapa
+ */
+function renderPrintCatalogCover() {
+  const { fandoms } = state.galleryData;
+  const designs = state.productIndex.size;
+  const today = new Intl.DateTimeFormat(state.locale, {
+    dateStyle: "long",
+  }).format(new Date());
+
+  return `
+    <section class="print-page print-cover">
+      <img class="print-cover-logo" src="img/logo-principal.png" alt="" />
+      <h1>Hades Salem</h1>
+      <p class="print-cover-subtitle">${t("printCatalog.subtitle")}</p>
+      <p class="print-cover-summary">
+        ${t("search.fandoms", { count: fandoms.length })} · ${t("search.designs", { count: designs })}
+      </p>
+      <p class="print-cover-date">${t("printCatalog.date", { date: today })}</p>
+      <p class="print-cover-contact">
+        ${t("printCatalog.contact", { email: CONFIG.orderEmail })}
+      </p>
+    </section>
+  `;
+}
+
+/**
+ * Genera el índice: un fandom por línea con sus tipos de producto
+ * Los enlaces llevan a cada sección (y funcionan en el PDF)
+ * @returns {string} HTML del índice
+ */
+function renderPrintCatalogContents() {
+  const items = state.galleryData.fandoms
+    .map((fandom, index) => {
+      const types = Object.keys(fandom.products)
+        .map((productTypeId) => getProductTypeName(productTypeId))
+        .join(" · ");
+      return `
+        <li>
+          <a href="#print-fandom-${fandom.id}">
+            <span class="print-contents-number">${index + 1}.</span>
+            <span class="print-contents-name">${fandom.name}</span>
+          </a>
+          <small>${types}</small>
+        </li>
+      `;
+    })
+    .join("");
+
+  return `
+    <section class="print-page print-contents">
+      <h2>${t("printCatalog.contents")}</h2>
+      <ol>${items}</ol>
+    </section>
+  `;
+}
+
+/**
+ * Genera la sección de un fandom: cada tipo con su grilla de productos
+ * (miniatura, nombre, código y precio)
+ * @param {Object} fandom - Fandom del catálogo
+ * @param {number} index - Posición del fandom (numera la sección)
+ * @returns {string} HTML de la sección
+ */
+function renderPrintCatalogFandom(fandom, index) {
+  const typesHTML = Object.entries(fandom.products)
+    .map(([productTypeId, products]) => {
+      const productsHTML = products
+        .map((product) => {
+          const status = getProductStatus(product);
+          return `
+            <li class="print-product">
+              <img
+                src="${product.image}"
+                ${getResponsiveImageAttributes(product.image, CONFIG.imageSizes.print)}
+                alt=""
+                loading="eager"
+              />
+              <strong>${product.name}</strong>
+              <code>${product.id}</code>
+              <span class="print-product-price">
+                ${formatStartingPrice(getProductStartingPrice(product, productTypeId))}
+              </span>
+              ${status !== "available" ? `<span class="print-product-status">${t(`status.${status}`)}</span>` : ""}
+            </li>
+          `;
+        })
+        .join("");
+
+      return `
+        <div class="print-type">
+          <h3>${getProductTypeName(productTypeId)}</h3>
+          <ul class="print-products">${productsHTML}</ul>
+        </div>
+      `;
+    })
+    .join("");
+
+  return `
+    <section class="print-page print-fandom" id="print-fandom-${fandom.id}">
+      <h2><span>${index + 1}.</span> ${fandom.name}</h2>
+      ${typesHTML}
+    </section>
+  `;
+}
+
+/**
+ * Renderiza el catálogo completo en la vista imprimible
+ */
+function renderPrintCatalog() {
+  const pages = document.getElementById("printCatalogPages");
+  if (!pages || !state.galleryData) return;
+
+  pages.innerHTML =
+    renderPrintCatalogCover() +
+    renderPrintCatalogContents() +
+    state.galleryData.fandoms.map(renderPrintCatalogFandom).join("");
+}
+
+/**
+ * Abre la vista del catálogo completo
+ */
+function openPrintCatalog() {
+  if (!printCatalog || !state.galleryData) return;
+
+  printCatalogState.opener = document.activeElement;
+  renderPrintCatalog();
+
+  printCatalog.classList.add("open");
+  printCatalog.setAttribute("aria-hidden", "false");
+  document.body.classList.add("print-catalog-open");
+  document.body.style.overflow = "hidden";
+  printCatalog.scrollTop = 0;
+  document.getElementById("printCatalogClose").focus();
+}
+
+/**
+ * Cierra la vista y devuelve el foco al botón que la abrió
+ */
+function closePrintCatalog() {
+  if (!printCatalog || !printCatalog.classList.contains("open")) return;
+
+  printCatalog.classList.remove("open");
+  printCatalog.setAttribute("aria-hidden", "true");
+  document.body.classList.remove("print-catalog-open");
+  document.body.style.overflow = "";
+
+  const { opener } = printCatalogState;
+  if (opener && opener.focus) opener.focus();
+}
+
+const catalogBtn = document.getElementById("catalogBtn");
+if (catalogBtn && printCatalog) {
+  catalogBtn.addEventListener("click", function (e) {
+    e.preventDefault();
+    openPrintCatalog();
+  });
+
+  document
+    .getElementById("printCatalogClose")
+    .addEventListener("click", closePrintCatalog);
+  document
+    .getElementById("printCatalogPrint")
+    .addEventListener("click", () => window.print());
+
+  // Los enlaces del índice se desplazan dentro de la vista (sin tocar el hash)
+  printCatalog.addEventListener("click", (e) => {
+    const link = e.target.closest('a[href^="#print-fandom-"]');
+    if (!link) return;
+    e.preventDefault();
+    const section = document.getElementById(link.getAttribute("href").slice(1));
+    if (section) section.scrollIntoView({ behavior: "smooth", block: "start" });
+  });
+
+  printCatalog.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      e.stopPropagation();
+      closePrintCatalog();
+    } else if (e.key === "Tab") {
+      trapFocus(e, printCatalog);
+    }
+  });
+}
+
+// ============================================
+// MANEJO DEL FORMULARIO DE CONTACTO
+// ============================================
+
+/**
+ * El formulario envía la consulta a CONFIG.contactEndpoint (scripts/server.js)
+ * Si no hay conexión o el servidor falla, la consulta queda en una cola
+ * de localStorage y se reintenta más tarde
+ */
+const contactForm = document.querySelector(".contact-form");
+const CONTACT_FIELDS = ["name", "email", "product", "message"];
+let contactRetryTimer = null;
+let contactQueueFlushing = false; // Evita dos envíos de la cola en paralelo
+
+/**
+ * Lee y limpia los datos del formulario de contacto
+ * @returns {Object} Datos de la consulta (incluye el honeypot "website")
+ */
+function getContactFormData() {
+  const value = (id) => {
+    const field = document.getElementById(id);
+    return field ? field.value.trim() : "";
+  };
+
+  return {
+    name: value("name"),
+    email: value("email"),
+    product: value("product"),
+    message: value("message"),
+    website: value("website"),
+  };
+}
+
+/**
+ * Valida la consulta antes de enviarla
+ * Usa el mismo formato de errores que devuelve el servidor
+ * @param {Object} formData - Datos de la consulta
+ * @returns {Array<{field: string, code: string}>} Errores por campo
+ */
+function validateContactForm(formData) {
+  const errors = [];
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  if (!formData.name) {
+    errors.push({ field: "name", code: "name-required" });
+  }
+  if (!formData.email) {
+    errors.push({ field: "email", code: "email-required" });
+  } else if (!emailRegex.test(formData.email)) {
+    errors.push({ field: "email", code: "email-invalid" });
+  }
+  if (!formData.message) {
+    errors.push({ field: "message", code: "message-required" });
+  }
+
+  return errors;
+}
+
+/**
+ * Quita los errores y el estado mostrados en el formulario
+ */
+function clearContactErrors() {
+  CONTACT_FIELDS.forEach((field) => {
+    const input = document.getElementById(field);
+    const error = document.getElementById(`${field}-error`);
+    if (input) input.removeAttribute("aria-invalid");
+    if (error) error.textContent = "";
+  });
+  setContactStatus("");
+}
+
+/**
+ * Texto de un error del formulario en el idioma activo
+ * Los errores del servidor traen code y un message en español de respaldo
+ * @param {Object} error - { code, message }
+ * @returns {string} Mensaje a mostrar
+ */
+function getContactErrorMessage(error) {
+  const key = `contact.error.${error.code}`;
+  return error.code && hasTranslation(key) ? t(key) : error.message;
+}
+
+/**
+ * Muestra los errores junto a cada campo
+ * Los errores sin campo (field: null) se muestran como estado general
+ * @param {Array<{field: string|null, code: string, message: string}>} errors - Errores
+ */
+function showContactErrors(errors) {
+  clearContactErrors();
+  let firstInvalid = null;
+
+  errors.forEach((contactError) => {
+    const { field } = contactError;
+    const message = getContactErrorMessage(contactError);
+    const input = field ? document.getElementById(field) : null;
+    const error = field ? document.getElementById(`${field}-error`) : null;
+
+    if (!input || !error) {
+      setContactStatus(message, "error");
+      return;
+    }
+
+    input.setAttribute("aria-invalid", "true");
+    error.textContent = message;
+    if (!firstInvalid) firstInvalid = input;
+  });
+
+  // El foco lee el error del primer campo; el resumen avisa cuántos hay
+  if (firstInvalid) {
+    announce(t("contact.errorSummary", { count: errors.length }));
+    firstInvalid.focus();
+  }
+}
+
+/**
+ * Muestra un mensaje de estado general debajo del formulario
+ * @param {string} message - Texto ("" para ocultarlo)
+ * @param {string} type - "error" o "info"
+ */
+function setContactStatus(message, type = "info") {
+  const status = document.getElementById("contactFormStatus");
+  if (!status) return;
+  status.textContent = message;
+  status.className = `form-status ${message ? `form-status-${type}` : ""}`;
+}
+
+/**
+ * Muestra el mensaje flotante de confirmación
+ * @param {string} title - Título del mensaje
+ * @param {string} text - Detalle del mensaje
+ */
+function showContactSuccess(title, text) {
+  // Crea y muestra mensaje de éxito
+  const successMessage = document.createElement("div");
+  successMessage.style.cssText = `
+    position: fixed;
+    top: 50%;
+    left: 50%;
+    transform: translate(-50%, -50%);
+    background: linear-gradient(135deg, #ff6b35, #e63946);
+    color: white;
+    padding: 30px 50px;
+    border-radius: 15px;
+    box-shadow: 0 20px 60px rgba(255, 107, 53, 0.4);
+    z-index: 10000;
+    text-align: center;
+    animation: successFadeIn 0.3s ease;
+  `;
+
+  successMessage.innerHTML = `
+    <h3 style="font-family: 'Cinzel', serif; font-size: 24px; margin-bottom: 10px;">${title}</h3>
+    <p style="margin: 0;">${text}</p>
+  `;
+
+  // Agrega animación CSS
+  const style = document.createElement("style");
+  style.textContent = `
+    @keyframes successFadeIn {
+      from {
+        opacity: 0;
+        transform: translate(-50%, -50%) scale(0.8);
+      }
+      to {
+        opacity: 1;
+        transform: translate(-50%, -50%) scale(1);
+      }
+    }
+  `;
+  document.head.appendChild(style);
+
+  // Muestra el mensaje y lo anuncia (el cartel flotante no es una región viva)
+  document.body.appendChild(successMessage);
+  announce(successMessage.textContent.replace(/\s+/g, " ").trim());
+
+  // Oculta y elimina el mensaje después de 3 segundos
+  setTimeout(() => {
+    successMessage.style.animation = "successFadeIn 0.3s ease reverse";
+    setTimeout(() => {
+      successMessage.remove();
+    }, 300);
+  }, 3000);
+}
+
+// ============================================
+// ENVÍO Y COLA DE REINTENTOS DE CONSULTAS
+// ============================================
+
+/**
+ * Envía una consulta al endpoint de contacto
+ * @param {Object} inquiry - Consulta con clientId
+ * @returns {Promise<{ok: boolean, retry: boolean, errors: Array}>}
+ *   retry = true si conviene volver a intentar (sin conexión, error del
+ *   servidor o límite de envíos alcanzado); cualquier otro rechazo vuelve
+ *   con errores para mostrar (ej: un hosting estático sin /api/contact)
+ */
+async function sendInquiry(inquiry) {
+  let response;
+  try {
+    response = await fetch(CONFIG.contactEndpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(inquiry),
+    });
+  } catch (error) {
+    return { ok: false, retry: true, errors: [] };
+  }
+
+  let body = null;
+  try {
+    body = await response.json();
+  } catch (error) {
+    // Respuesta sin JSON (ej: página de error del hosting)
+  }
+
+  if (response.ok && body && body.ok) {
+    return { ok: true, retry: false, errors: [] };
+  }
+
+  // Servidor caído o límite de envíos (429): se resuelve solo esperando
+  if (response.status >= 500 || response.status === 429) {
+    return { ok: false, retry: true, errors: [] };
+  }
+
+  // Errores de validación (los corrige el usuario) o un endpoint que no
+  // existe: reintentar no serviría de nada
+  if (body && Array.isArray(body.errors) && body.errors.length > 0) {
+    return { ok: false, retry: false, errors: body.errors };
+  }
+  return {
+    ok: false,
+    retry: false,
+    errors: [
+      {
+        field: null,
+        code: "unavailable",
+        message: "No se pudo enviar tu mensaje",
+      },
+    ],
+  };
+}
+
+/**
+ * Lee la cola de consultas pendientes
+ * @returns {Array<Object>} Consultas sin enviar
+ */
+function loadContactQueue() {
+  try {
+    const queue = JSON.parse(localStorage.getItem(CONFIG.contactQueueKey));
+    return Array.isArray(queue) ? queue : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Guarda la cola de consultas pendientes
+ * @param {Array<Object>} queue - Consultas sin enviar
+ * @returns {boolean} false si no se pudo guardar (ej: cuota llena)
+ */
+function saveContactQueue(queue) {
+  try {
+    if (queue.length === 0) {
+      localStorage.removeItem(CONFIG.contactQueueKey);
+    } else {
+      localStorage.setItem(CONFIG.contactQueueKey, JSON.stringify(queue));
+    }
+    return true;
+  } catch (error) {
+    console.warn("No se pudo guardar la cola de consultas:", error);
+    return false;
+  }
+}
+
+/**
+ * Programa un nuevo intento de envío de la cola
+ */
+function scheduleContactRetry() {
+  if (contactRetryTimer) return;
+  contactRetryTimer = setTimeout(() => {
+    contactRetryTimer = null;
+    flushContactQueue();
+  }, CONFIG.contactRetryDelay);
+}
+
+/**
+ * Reintenta enviar las consultas pendientes, en orden
+ * Se detiene en la primera que vuelve a fallar por conexión o servidor.
+ * La cola se relee antes de cada cambio: mientras se envía, el formulario
+ * o el asistente de comisiones pueden agregar consultas nuevas
+ */
+async function flushContactQueue() {
+  if (contactQueueFlushing) return;
+  contactQueueFlushing = true;
+
+  try {
+    let [inquiry] = loadContactQueue();
+    while (inquiry) {
+      const result = await sendInquiry(inquiry);
+      if (result.retry) {
+        scheduleContactRetry();
+        return;
+      }
+
+      // Enviada, o rechazada por el servidor (no tiene sentido reintentar)
+      if (!result.ok) {
+        console.warn("Consulta pendiente rechazada:", result.errors);
+      }
+      const { clientId } = inquiry;
+      const saved = saveContactQueue(
+        loadContactQueue().filter((queued) => queued.clientId !== clientId),
+      );
+      if (!saved) return;
+      [inquiry] = loadContactQueue();
+    }
+  } finally {
+    contactQueueFlushing = false;
+  }
+}
+
+/**
+ * Genera un id para la consulta; el servidor lo usa para no duplicarla
+ * si un reintento llega dos veces
+ * @returns {string} Id (ej: "lw3k9x2a-5f8h1q0z")
+ */
+function generateInquiryId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+if (contactForm) {
+  contactForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    const formData = getContactFormData();
+    const errors = validateContactForm(formData);
+    if (errors.length > 0) {
+      showContactErrors(errors);
+      return;
+    }
+    clearContactErrors();
+
+    // Honeypot completado: se descarta sin avisar
+    if (formData.website) {
+      contactForm.reset();
+      return;
+    }
+
+    const inquiry = { ...formData, clientId: generateInquiryId() };
+    const submitBtn = contactForm.querySelector(".btn-submit");
+    submitBtn.disabled = true;
+    setContactStatus(t("contact.sending"));
+
+    const result = await sendInquiry(inquiry);
+    submitBtn.disabled = false;
+
+    if (result.ok) {
+      setContactStatus("");
+      contactForm.reset();
+      showContactSuccess(
+        t("contact.successTitle"),
+        t("contact.successText", { name: escapeHTML(formData.name) }),
+      );
+      return;
+    }
+
+    if (!result.retry) {
+      showContactErrors(result.errors);
+      return;
+    }
+
+    // Sin conexión o servidor caído: se guarda y se reintenta después
+    // (si localStorage está lleno, el mensaje queda en el formulario)
+    if (!saveContactQueue([...loadContactQueue(), inquiry])) {
+      setContactStatus(t("contact.queueFailed"), "error");
+      return;
+    }
+    scheduleContactRetry();
+    contactForm.reset();
+    setContactStatus(t("contact.queued"));
+  });
+
+  // Los errores de un campo se limpian al corregirlo
+  CONTACT_FIELDS.forEach((field) => {
+    const input = document.getElementById(field);
+    if (!input) return;
+    input.addEventListener("input", () => {
+      input.removeAttribute("aria-invalid");
+      const error = document.getElementById(`${field}-error`);
+      if (error) error.textContent = "";
+    });
+  });
+}
+
+// Reintenta la cola al recuperar la conexión y al cargar la página
+window.addEventListener("online", flushContactQueue);
+flushContactQueue();
+
+// ============================================
+// ASISTENTE DE COMISIONES
+// ============================================
+
+/**
+ * Pedido de comisión en pasos: formato, detalles, referencias, fecha y
+ * contacto, y un resumen final. El resumen se envía como una consulta más
+ * (mismo endpoint y misma cola sin conexión que el formulario de contacto),
+ * con los datos estructurados en "commission" y las imágenes en "attachments"
+ */
+
+const commissionWizard = document.getElementById("commissionWizard");
+const commissionForm = document.getElementById("commissionForm");
+
+const commissionState = {
+  step: 0, // Paso visible (índice de .commission-step)
+  images: [], // Referencias elegidas: { name, type, size, dataUrl }
+  opener: null, // Elemento que tenía el foco antes de abrir
+};
+
+// Campos del asistente que corresponden a los errores del servidor
+const COMMISSION_SERVER_FIELDS = {
+  name: "commissionName",
+  email: "commissionEmail",
+  attachments: "commissionImages",
+};
+
+/**
+ * Lee los datos cargados en el asistente
+ * @returns {Object} Datos de la comisión y de contacto
+ */
+function getCommissionData() {
+  const value = (id) => document.getElementById(id).value.trim();
+  const checkedFormat = commissionForm.querySelector(
+    'input[name="commissionFormat"]:checked',
+  );
+  const format = checkedFormat ? checkedFormat.value : "";
+  const formatConfig = CONFIG.commission.formats[format];
+  const characterCount = parseInt(value("commissionCharacterCount"), 10) || 1;
+
+  return {
+    format,
+    size: value("commissionSize"),
+    doubleSided: Boolean(
+      formatConfig &&
+      formatConfig.doubleSided &&
+      document.getElementById("commissionDoubleSided").checked,
+    ),
+    fandom: value("commissionFandom"),
+    characters: value("commissionCharacters"),
+    characterCount: Math.min(
+      Math.max(characterCount, 1),
+      CONFIG.commission.maxCharacters,
+    ),
+    deadline: value("commissionDeadline"),
+    name: value("commissionName"),
+    email: value("commissionEmail"),
+    notes: value("commissionNotes"),
+  };
+}
+
+// ============================================
+// PRESUPUESTO ESTIMADO
+// ============================================
+
+/**
+ * Calcula el presupuesto orientativo de una comisión
+ * Parte del precio publicado ("Desde $10.000") y suma formato, tamaño,
+ * personajes adicionales y doble cara; las fechas cercanas tienen recargo
+ * @param {Object} data - Resultado de getCommissionData()
+ * @returns {{total: number, rush: boolean}} Total en pesos y si hay recargo
+ */
+function estimateCommission(data) {
+  const pricing = CONFIG.commission;
+  const format = pricing.formats[data.format];
+
+  let total = pricing.basePrice;
+  if (format) {
+    total += format.price + (format.sizes[data.size] || 0);
+  }
+  total += (data.characterCount - 1) * pricing.extraCharacterPrice;
+  if (data.doubleSided) total += pricing.doubleSidedPrice;
+
+  const rush =
+    Boolean(data.deadline) && daysUntil(data.deadline) < pricing.rushDays;
+  if (rush) {
+    total = Math.round((total * (1 + pricing.rushSurcharge)) / 100) * 100;
+  }
+
+  return { total, rush };
+}
+
+/**
+ * Días que faltan hasta una fecha "AAAA-MM-DD" (hora local)
+ * @param {string} isoDate - Fecha del input date
+ * @returns {number} Días enteros (negativo si ya pasó)
+ */
+function daysUntil(isoDate) {
+  const [year, month, day] = isoDate.split("-").map(Number);
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return Math.round((new Date(year, month - 1, day) - today) / 86400000);
+}
+
+/**
+ * Fecha local en formato "AAAA-MM-DD" (atributo min del input date)
+ * @param {Date} date - Fecha
+ * @returns {string} Fecha formateada
+ */
+function toISODate(date) {
+  const pad = (number) => String(number).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Actualiza el presupuesto visible con los datos actuales
+ */
+function updateCommissionEstimate() {
+  const estimate = estimateCommission(getCommissionData());
+  document.getElementById("commissionEstimate").textContent = estimate.rush
+    ? `${formatPrice(estimate.total)} ${t("commission.rushIncluded")}`
+    : formatPrice(estimate.total);
+}
+
+// ============================================
+// RENDERIZADO DE LOS PASOS
+// ============================================
+
+/**
+ * Genera las opciones que dependen del catálogo y del idioma:
+ * formatos, tamaños, fandoms sugeridos y textos de ayuda
+ */
+function renderCommissionWizard() {
+  const { format } = getCommissionData();
+  const pricing = CONFIG.commission;
+
+  document.getElementById("commissionFormat").innerHTML = Object.entries(
+    pricing.formats,
+  )
+    .map(([id, config]) => {
+      const productType = getProductType(id);
+      const from =
+        pricing.basePrice +
+        config.price +
+        Math.min(...Object.values(config.sizes));
+      return `
+        <label class="commission-format">
+          <input type="radio" name="commissionFormat" value="${id}" ${id === format ? "checked" : ""} />
+          <span class="commission-format-icon"><i data-lucide="${productType ? productType.icon : "sparkles"}"></i></span>
+          <span class="commission-format-name">${getProductTypeName(id)}</span>
+          <span class="commission-format-price">${t("price.from", { price: formatPrice(from) })}</span>
+        </label>
+      `;
+    })
+    .join("");
+
+  const fandoms = state.galleryData ? state.galleryData.fandoms : [];
+  document.getElementById("commissionFandomList").innerHTML = fandoms
+    .map((fandom) => `<option value="${escapeHTML(fandom.name)}"></option>`)
+    .join("");
+
+  document.getElementById("commissionCharacterCount").max =
+    pricing.maxCharacters;
+  document.getElementById("commissionImagesHint").textContent = t(
+    "commission.imagesHint",
+    { max: pricing.maxImages, size: formatFileSize(pricing.maxImageBytes) },
+  );
+
+  const deadline = document.getElementById("commissionDeadline");
+  const minDate = new Date();
+  minDate.setDate(minDate.getDate() + pricing.minDays);
+  deadline.min = toISODate(minDate);
+  document.getElementById("commissionDeadlineHint").textContent = t(
+    "commission.deadlineHint",
+    {
+      days: pricing.minDays,
+      rushDays: pricing.rushDays,
+      percent: Math.round(pricing.rushSurcharge * 100),
+    },
+  );
+
+  renderCommissionSizes();
+  renderCommissionPreviews();
+  initializeLucideIcons();
+}
+
+/**
+ * Completa los tamaños del formato elegido y muestra la opción de doble cara
+ * solo si el formato la admite; conserva el tamaño elegido si sigue existiendo
+ */
+function renderCommissionSizes() {
+  const { format, size } = getCommissionData();
+  const config = CONFIG.commission.formats[format];
+  const sizeSelect = document.getElementById("commissionSize");
+  const sizes = config ? Object.entries(config.sizes) : [];
+
+  sizeSelect.innerHTML = sizes
+    .map(([label, price]) => {
+      const priceLabel = price > 0 ? ` (+${formatPrice(price)})` : "";
+      return `<option value="${label}" ${label === size ? "selected" : ""}>${label}${priceLabel}</option>`;
+    })
+    .join("");
+  sizeSelect.disabled = sizes.length < 2;
+
+  document.getElementById("commissionDoubleSidedField").hidden = !(
+    config && config.doubleSided
+  );
+}
+
+/**
+ * Muestra un paso del asistente y ajusta los botones de navegación
+ * @param {number} step - Índice del paso
+ * @param {boolean} [moveFocus] - Lleva el foco al primer campo del paso
+ */
+function showCommissionStep(step, moveFocus = true) {
+  const steps = commissionForm.querySelectorAll(".commission-step");
+  const lastStep = steps.length - 1;
+  commissionState.step = Math.min(Math.max(step, 0), lastStep);
+
+  steps.forEach((fieldset, index) => {
+    fieldset.hidden = index !== commissionState.step;
+  });
+  document.querySelectorAll("#commissionSteps li").forEach((item, index) => {
+    item.classList.toggle("done", index < commissionState.step);
+    if (index === commissionState.step) {
+      item.setAttribute("aria-current", "step");
+    } else {
+      item.removeAttribute("aria-current");
+    }
+  });
+
+  const isLast = commissionState.step === lastStep;
+  document.getElementById("commissionPrev").hidden = commissionState.step === 0;
+  document.getElementById("commissionNext").hidden = isLast;
+  document.getElementById("commissionSubmit").hidden = !isLast;
+  if (isLast) renderCommissionSummary();
+
+  setCommissionStatus("");
+  updateCommissionEstimate();
+
+  if (moveFocus) {
+    const current = steps[commissionState.step];
+    const target = isLast
+      ? document.getElementById("commissionSummary")
+      : current.querySelector("input:not([type='hidden']), select, textarea");
+    if (target) target.focus();
+  }
+}
+
+/**
+ * Filas del resumen final (también forman el mensaje de la consulta)
+ * @param {Object} data - Resultado de getCommissionData()
+ * @param {Object} estimate - Resultado de estimateCommission()
+ * @returns {Array<{label: string, value: string}>} Filas en orden
+ */
+function buildCommissionSummary(data, estimate) {
+  const config = CONFIG.commission.formats[data.format];
+  const rows = [
+    {
+      label: t("commission.step.format"),
+      value: getProductTypeName(data.format),
+    },
+    { label: t("commission.size"), value: data.size },
+  ];
+
+  if (config && config.doubleSided) {
+    rows.push({
+      label: t("commission.summary.doubleSided"),
+      value: t(data.doubleSided ? "commission.yes" : "commission.no"),
+    });
+  }
+
+  rows.push(
+    { label: t("commission.fandom"), value: data.fandom },
+    {
+      label: t("commission.characters"),
+      value: `${data.characters} (${data.characterCount})`,
+    },
+    {
+      label: t("commission.step.references"),
+      value: t("commission.summary.images", {
+        count: commissionState.images.length,
+      }),
+    },
+    {
+      label: t("commission.summary.deadline"),
+      value: data.deadline
+        ? formatDeadline(data.deadline)
+        : t("commission.summary.noDeadline"),
+    },
+    { label: t("contact.name"), value: data.name },
+    { label: t("contact.email"), value: data.email },
+  );
+
+  if (data.notes) {
+    rows.push({ label: t("commission.summary.notes"), value: data.notes });
+  }
+
+  rows.push({
+    label: t("commission.summary.estimate"),
+    value: estimate.rush
+      ? `${formatPrice(estimate.total)} ${t("commission.rushIncluded")}`
+      : formatPrice(estimate.total),
+  });
+
+  return rows;
+}
+
+/**
+ * Fecha límite legible en el idioma activo
+ * @param {string} isoDate - Fecha "AAAA-MM-DD"
+ * @returns {string} Fecha formateada (ej: "15 de noviembre de 2026")
+ */
+function formatDeadline(isoDate) {
+  const [year, month, day] = isoDate.split("-").map(Number);
+  return new Intl.DateTimeFormat(state.locale, { dateStyle: "long" }).format(
+    new Date(year, month - 1, day),
+  );
+}
+
+/**
+ * Renderiza el resumen final del pedido
+ */
+function renderCommissionSummary() {
+  const data = getCommissionData();
+  const rows = buildCommissionSummary(data, estimateCommission(data));
+
+  document.getElementById("commissionSummary").innerHTML = rows
+    .map(
+      ({ label, value }) => `
+        <dt>${label}</dt>
+        <dd>${escapeHTML(value)}</dd>
+      `,
+    )
+    .join("");
+}
+
+/**
+ * Texto de la consulta: el mismo resumen, una fila por línea
+ * @param {Object} data - Resultado de getCommissionData()
+ * @param {Object} estimate - Resultado de estimateCommission()
+ * @returns {string} Mensaje para el campo message
+ */
+function buildCommissionMessage(data, estimate) {
+  const lines = buildCommissionSummary(data, estimate).map(
+    ({ label, value }) => `${label}: ${value}`,
+  );
+  return [t("commission.messageTitle"), ...lines].join("\n");
+}
+
+// ============================================
+// IMÁGENES DE REFERENCIA
+// ============================================
+
+/**
+ * Tamaño de archivo legible (KB o MB)
+ * @param {number} bytes - Tamaño en bytes
+ * @returns {string} Tamaño formateado (ej: "1 MB", "350 KB")
+ */
+function formatFileSize(bytes) {
+  const format = (value) =>
+    new Intl.NumberFormat(state.locale, { maximumFractionDigits: 1 }).format(
+      value,
+    );
+  return bytes >= 1024 * 1024
+    ? `${format(bytes / 1024 / 1024)} MB`
+    : `${format(Math.max(bytes / 1024, 1))} KB`;
+}
+
+/**
+ * Lee un archivo como data URL (sirve para la vista previa y para el envío)
+ * @param {File} file - Archivo elegido
+ * @returns {Promise<string>} data URL
+ */
+function readFileAsDataURL(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Agrega imágenes de referencia respetando cantidad, formato y tamaño
+ * Los archivos rechazados se informan sin descartar los válidos
+ * @param {FileList} files - Archivos del input
+ */
+async function addCommissionImages(files) {
+  const { maxImages, maxImageBytes, imageTypes } = CONFIG.commission;
+  const errors = [];
+
+  for (const file of files) {
+    if (commissionState.images.length >= maxImages) {
+      errors.push(t("commission.error.images-too-many", { max: maxImages }));
+      break;
+    }
+    if (!imageTypes.includes(file.type)) {
+      errors.push(t("commission.error.image-type", { name: file.name }));
+      continue;
+    }
+    if (file.size > maxImageBytes) {
+      errors.push(
+        t("commission.error.image-too-large", {
+          name: file.name,
+          size: formatFileSize(maxImageBytes),
+        }),
+      );
+      continue;
+    }
+
+    try {
+      commissionState.images.push({
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        dataUrl: await readFileAsDataURL(file),
+      });
+    } catch (error) {
+      console.error("Error leyendo la imagen de referencia:", error);
+      errors.push(t("commission.error.image-read", { name: file.name }));
+    }
+  }
+
+  document.getElementById("commissionImages-error").textContent =
+    errors.join(" ");
+  renderCommissionPreviews();
+}
+
+/**
+ * Muestra las vistas previas de las referencias con su botón para quitarlas
+ */
+function renderCommissionPreviews() {
+  const previews = document.getElementById("commissionPreviews");
+  const input = document.getElementById("commissionImages");
+
+  previews.innerHTML = commissionState.images
+    .map(
+      (image, index) => `
+        <li class="commission-preview">
+          <img src="${image.dataUrl}" alt="${escapeHTML(image.name)}" />
+          <span>${escapeHTML(image.name)} · ${formatFileSize(image.size)}</span>
+          <button type="button" data-index="${index}" aria-label="${t("commission.removeImage", { name: escapeHTML(image.name) })}">×</button>
+        </li>
+      `,
+    )
+    .join("");
+
+  // El input vuelve a vacío para poder elegir otra vez el mismo archivo
+  input.value = "";
+  input.disabled = commissionState.images.length >= CONFIG.commission.maxImages;
+}
+
+// ============================================
+// VALIDACIÓN Y ERRORES
+// ============================================
+
+/**
+ * Valida los campos de un paso
+ * Los errores usan el mismo formato que el formulario de contacto
+ * @param {number} step - Índice del paso
+ * @param {Object} data - Resultado de getCommissionData()
+ * @returns {Array<{field: string, code: string}>} Errores por campo
+ */
+function validateCommissionStep(step, data) {
+  const errors = [];
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  if (step === 0 && !data.format) {
+    errors.push({ field: "commissionFormat", code: "format-required" });
+  }
+
+  if (step === 1) {
+    if (!data.fandom) {
+      errors.push({ field: "commissionFandom", code: "fandom-required" });
+    }
+    if (!data.characters) {
+      errors.push({
+        field: "commissionCharacters",
+        code: "characters-required",
+      });
+    }
+  }
+
+  if (step === 3) {
+    if (data.deadline && daysUntil(data.deadline) < CONFIG.commission.minDays) {
+      errors.push({ field: "commissionDeadline", code: "deadline-too-soon" });
+    }
+    if (!data.name) {
+      errors.push({ field: "commissionName", code: "name-required" });
+    }
+    if (!data.email) {
+      errors.push({ field: "commissionEmail", code: "email-required" });
+    } else if (!emailRegex.test(data.email)) {
+      errors.push({ field: "commissionEmail", code: "email-invalid" });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Texto de un error del asistente en el idioma activo
+ * Los códigos compartidos con el contacto (nombre, email, servidor)
+ * usan los textos de contact.error.*
+ * @param {Object} error - { code, message }
+ * @returns {string} Mensaje a mostrar
+ */
+function getCommissionErrorMessage(error) {
+  const key = `commission.error.${error.code}`;
+  return hasTranslation(key)
+    ? t(key, { days: CONFIG.commission.minDays })
+    : getContactErrorMessage(error);
+}
+
+/**
+ * Quita los errores marcados en el asistente
+ */
+function clearCommissionErrors() {
+  commissionForm.querySelectorAll("[aria-invalid]").forEach((field) => {
+    field.removeAttribute("aria-invalid");
+  });
+  commissionForm.querySelectorAll(".form-error").forEach((error) => {
+    error.textContent = "";
+  });
+  setCommissionStatus("");
+}
+
+/**
+ * Muestra los errores junto a cada campo y lleva al paso del primero
+ * Los errores sin campo del asistente se muestran como estado general
+ * @param {Array<{field: string|null, code: string, message?: string}>} errors - Errores
+ */
+function showCommissionErrors(errors) {
+  // Primero se va al paso del primer campo con error (cambiar de paso limpia el estado)
+  const fieldError = errors.find(
+    (error) => error.field && document.getElementById(error.field),
+  );
+  if (fieldError) {
+    const step = Number(
+      document.getElementById(fieldError.field).closest(".commission-step")
+        .dataset.step,
+    );
+    if (step !== commissionState.step) showCommissionStep(step, false);
+  }
+
+  clearCommissionErrors();
+  let firstInvalid = null;
+
+  errors.forEach((commissionError) => {
+    const message = getCommissionErrorMessage(commissionError);
+    const field = commissionError.field
+      ? document.getElementById(commissionError.field)
+      : null;
+    const error = field
+      ? document.getElementById(`${commissionError.field}-error`)
+      : null;
+
+    if (!field || !error) {
+      setCommissionStatus(message, "error");
+      return;
+    }
+
+    field.setAttribute("aria-invalid", "true");
+    error.textContent = message;
+    if (!firstInvalid) firstInvalid = field;
+  });
+
+  if (firstInvalid) {
+    announce(t("contact.errorSummary", { count: errors.length }));
+    // Los formatos son un grupo de radios: el foco va al primero
+    const focusTarget = firstInvalid.matches("input, select, textarea")
+      ? firstInvalid
+      : firstInvalid.querySelector("input");
+    if (focusTarget) focusTarget.focus();
+  }
+}
+
+/**
+ * Muestra un mensaje de estado general en el asistente
+ * @param {string} message - Texto ("" para ocultarlo)
+ * @param {string} type - "error" o "info"
+ */
+function setCommissionStatus(message, type = "info") {
+  const status = document.getElementById("commissionStatus");
+  if (!status) return;
+  status.textContent = message;
+  status.className = `form-status ${message ? `form-status-${type}` : ""}`;
+}
+
+// ============================================
+// APERTURA, NAVEGACIÓN Y ENVÍO
+// ============================================
+
+/**
+ * Abre el asistente (conserva lo cargado si se cerró sin enviar)
+ */
+function openCommissionWizard() {
+  if (!commissionWizard) return;
+
+  commissionState.opener = document.activeElement;
+  renderCommissionWizard();
+
+  commissionWizard.classList.add("open");
+  commissionWizard.setAttribute("aria-hidden", "false");
+  document.body.style.overflow = "hidden";
+
+  showCommissionStep(commissionState.step);
+}
+
+/**
+ * Cierra el asistente y devuelve el foco al botón que lo abrió
+ */
+function closeCommissionWizard() {
+  if (!commissionWizard || !commissionWizard.classList.contains("open")) {
+    return;
+  }
+
+  commissionWizard.classList.remove("open");
+  commissionWizard.setAttribute("aria-hidden", "true");
+  document.body.style.overflow = "";
+
+  const { opener } = commissionState;
+  if (opener && opener.focus) opener.focus();
+}
+
+/**
+ * Vacía el asistente después de enviar el pedido
+ */
+function resetCommissionWizard() {
+  commissionForm.reset();
+  commissionState.images = [];
+  clearCommissionErrors();
+  renderCommissionWizard();
+  showCommissionStep(0, false);
+}
+
+/**
+ * Valida el paso actual y avanza al siguiente
+ */
+function nextCommissionStep() {
+  const errors = validateCommissionStep(
+    commissionState.step,
+    getCommissionData(),
+  );
+  if (errors.length > 0) {
+    showCommissionErrors(errors);
+    return;
+  }
+  clearCommissionErrors();
+  showCommissionStep(commissionState.step + 1);
+}
+
+/**
+ * Envía el pedido por el mismo camino que el formulario de contacto
+ * Sin conexión queda en la cola de consultas pendientes
+ */
+async function submitCommission() {
+  const data = getCommissionData();
+  const steps = commissionForm.querySelectorAll(".commission-step").length;
+
+  // Revalida todo: los datos pudieron cambiar al volver atrás
+  for (let step = 0; step < steps; step++) {
+    const errors = validateCommissionStep(step, data);
+    if (errors.length > 0) {
+      showCommissionErrors(errors);
+      return;
+    }
+  }
+
+  const estimate = estimateCommission(data);
+  const inquiry = {
+    name: data.name,
+    email: data.email,
+    product: "comision",
+    message: buildCommissionMessage(data, estimate),
+    commission: {
+      format: data.format,
+      size: data.size,
+      doubleSided: data.doubleSided,
+      fandom: data.fandom,
+      characters: data.characters,
+      characterCount: data.characterCount,
+      deadline: data.deadline,
+      estimate: estimate.total,
+    },
+    clientId: generateInquiryId(),
+  };
+  if (commissionState.images.length > 0) {
+    // Solo el base64, sin el prefijo "data:image/...;base64,"
+    inquiry.attachments = commissionState.images.map((image) => ({
+      name: image.name,
+      type: image.type,
+      data: image.dataUrl.slice(image.dataUrl.indexOf(",") + 1),
+    }));
+  }
+
+  const submitBtn = document.getElementById("commissionSubmit");
+  submitBtn.disabled = true;
+  setCommissionStatus(t("contact.sending"));
+
+  const result = await sendInquiry(inquiry);
+  submitBtn.disabled = false;
+
+  if (result.ok) {
+    resetCommissionWizard();
+    closeCommissionWizard();
+    showContactSuccess(
+      t("contact.successTitle"),
+      t("contact.successText", { name: escapeHTML(data.name) }),
+    );
+    return;
+  }
+
+  if (!result.retry) {
+    showCommissionErrors(
+      result.errors.map((error) => ({
+        ...error,
+        field: COMMISSION_SERVER_FIELDS[error.field] || null,
+      })),
+    );
+    return;
+  }
+
+  // Con imágenes la consulta puede no entrar en localStorage
+  if (!saveContactQueue([...loadContactQueue(), inquiry])) {
+    setCommissionStatus(t("commission.queueFailed"), "error");
+    return;
+  }
+  scheduleContactRetry();
+  resetCommissionWizard();
+  setCommissionStatus(t("contact.queued"));
+}
+
+if (commissionWizard && commissionForm) {
+  // "Consultar Comisión" abre el asistente en lugar de ir al contacto
+  const commissionCta = document.getElementById("commissionCta");
+  if (commissionCta) {
+    commissionCta.addEventListener("click", (e) => {
+      e.preventDefault();
+      openCommissionWizard();
+    });
+  }
+
+  document
+    .getElementById("commissionClose")
+    .addEventListener("click", closeCommissionWizard);
+  commissionWizard
+    .querySelector(".commission-wizard-backdrop")
+    .addEventListener("click", closeCommissionWizard);
+  document
+    .getElementById("commissionPrev")
+    .addEventListener("click", () =>
+      showCommissionStep(commissionState.step - 1),
+    );
+  document
+    .getElementById("commissionNext")
+    .addEventListener("click", nextCommissionStep);
+
+  // Enter avanza de paso; en el resumen envía
+  commissionForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const lastStep =
+      commissionForm.querySelectorAll(".commission-step").length - 1;
+    if (commissionState.step === lastStep) {
+      submitCommission();
+    } else {
+      nextCommissionStep();
+    }
+  });
+
+  // Presupuesto en vivo; el formato cambia tamaños y doble cara
+  commissionForm.addEventListener("change", (e) => {
+    if (e.target.name === "commissionFormat") {
+      document
+        .getElementById("commissionFormat")
+        .removeAttribute("aria-invalid");
+      document.getElementById("commissionFormat-error").textContent = "";
+      renderCommissionSizes();
+    }
+    updateCommissionEstimate();
+  });
+  commissionForm.addEventListener("input", (e) => {
+    if (e.target.getAttribute("aria-invalid")) {
+      e.target.removeAttribute("aria-invalid");
+      const error = document.getElementById(`${e.target.id}-error`);
+      if (error) error.textContent = "";
+    }
+    updateCommissionEstimate();
+  });
+
+  document
+    .getElementById("commissionImages")
+    .addEventListener("change", (e) => addCommissionImages(e.target.files));
+  document
+    .getElementById("commissionPreviews")
+    .addEventListener("click", (e) => {
+      const button = e.target.closest("button[data-index]");
+      if (!button) return;
+      commissionState.images.splice(Number(button.dataset.index), 1);
+      document.getElementById("commissionImages-error").textContent = "";
+      renderCommissionPreviews();
+      document.getElementById("commissionImages").focus();
+    });
+
+  commissionWizard.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      e.stopPropagation();
+      closeCommissionWizard();
+    } else if (e.key === "Tab") {
+      trapFocus(e, commissionForm);
+    }
+  });
+
+  // En el formulario de contacto, "Comisión" ofrece pasar al asistente
+  const productSelect = document.getElementById("product");
+  const commissionShortcut = document.getElementById("commissionShortcut");
+  if (productSelect && commissionShortcut) {
+    productSelect.addEventListener("change", () => {
+      commissionShortcut.hidden = productSelect.value !== "comision";
+    });
+    commissionShortcut.addEventListener("click", () => {
+      // Lleva lo ya escrito para no pedirlo de nuevo
+      [
+        ["name", "commissionName"],
+        ["email", "commissionEmail"],
+        ["message", "commissionNotes"],
+      ].forEach(([from, to]) => {
+        const target = document.getElementById(to);
+        if (!target.value) target.value = document.getElementById(from).value;
+      });
+      openCommissionWizard();
+    });
+  }
+}
+
+// ============================================
+// EFECTO PARALLAX EN EL HERO
+// ============================================
+
+/**
+ * Aplica efecto parallax al contenido del hero
+ * Usa debounce para optimizar rendimiento
+ */
+const handleParallax = debounce(() => {
+  if (!effects.enabled) return;
+
+  const scrolled = window.pageYOffset;
+  const heroContent = document.querySelector(".hero-content");
+
+  if (heroContent) {
+    // Mueve el contenido más lento que el scroll (parallax)
+    heroContent.style.transform = `translateY(${scrolled * 0.2}px)`;
+
+    // Fade out progresivo
+    heroContent.style.opacity = 1 - scrolled / 600;
+  }
+}, 10);
+
+window.addEventListener("scroll", handleParallax);
+
+// ============================================
+// CONTADOR ANIMADO DE ESTADÍSTICAS
+// ============================================
+
+/**
+ * Anima los números de las estadísticas cuando son visibles
+ * Cuenta desde 0 hasta el valor final
+ */
+const stats = document.querySelectorAll(".stat-number");
+const statsSection = document.querySelector(".about-stats");
+
+const statsObserver = new IntersectionObserver(
+  (entries) => {
+    entries.forEach((entry) => {
+      if (entry.isIntersecting) {
+        // Sin efectos los números quedan con su valor final
+        if (!effects.enabled) {
+          statsObserver.unobserve(entry.target);
+          return;
+        }
+
+        // Anima cada estadística
+        stats.forEach((stat) => {
+          const targetText = stat.textContent.trim();
+          const hasPlus = targetText.includes("+");
+          const target = parseInt(targetText.replace("+", ""));
+          let count = 0;
+          const increment = target / 60; // 60 frames para la animación
+
+          /**
+           * Función recursiva para actualizar el contador
+           */
+          const updateCount = () => {
+            if (count < target) {
+              count += increment;
+              stat.textContent = Math.ceil(count) + (hasPlus ? "+" : "");
+              requestAnimationFrame(updateCount);
+            } else {
+              stat.textContent = target + (hasPlus ? "+" : "");
+            }
+          };
+
+          updateCount();
+        });
+
+        // Deja de observar después de animar
+        statsObserver.unobserve(entry.target);
+      }
+    });
+  },
+  { threshold: 0.5 }, // Se activa cuando 50% es visible
+);
+
+// Inicia observación si existe la sección de stats
+if (statsSection) {
+  statsObserver.observe(statsSection);
+}
+
+// ============================================
+// EFECTO RIPPLE EN BOTONES
+// ============================================
+
+/**
+ * Agrega efecto de onda (ripple) a todos los botones
+ * Similar al Material Design
+ */
+document.querySelectorAll(".btn").forEach((button) => {
+  button.addEventListener("click", function (e) {
+    if (!effects.enabled) return;
+
+    // Crea el elemento ripple
+    const ripple = document.createElement("span");
+    const rect = this.getBoundingClientRect();
+    const size = Math.max(rect.width, rect.height);
+    const x = e.clientX - rect.left - size / 2;
+    const y = e.clientY - rect.top - size / 2;
+
+    // Estiliza el ripple
+    ripple.style.cssText = `
+      position: absolute;
+      width: ${size}px;
+      height: ${size}px;
+      border-radius: 50%;
+      background: rgba(255, 255, 255, 0.5);
+      top: ${y}px;
+      left: ${x}px;
+      transform: scale(0);
+      animation: ripple 0.6s ease-out;
+      pointer-events: none;
+    `;
+
+    // Agrega y remueve después de la animación
+    this.appendChild(ripple);
+    setTimeout(() => ripple.remove(), 600);
+  });
+});
+
+// Agrega la animación CSS del ripple
+const rippleStyle = document.createElement("style");
+rippleStyle.textContent = `
+  @keyframes ripple {
+    to {
+      transform: scale(4);
+      opacity: 0;
+    }
+  }
+`;
+document.head.appendChild(rippleStyle);
+
+// ============================================
+// CARRITO DE COMPRAS
+// ============================================
+
+/**
+ * Carrito persistente en localStorage
+ * Cada línea se identifica por id de producto + variante elegida
+ */
+
+/**
+ * Lee el carrito guardado en localStorage
+ * Descarta líneas malformadas para no romper la página
+ * @returns {Array} Líneas del carrito
+ */
+function loadCart() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CONFIG.cartStorageKey));
+    if (!Array.isArray(saved)) return [];
+
+    return saved
+      .filter((line) => line && typeof line.productId === "string")
+      .map((line) => ({
+        productId: getCurrentProductId(line.productId),
+        variant: line.variant || null,
+        quantity: clampCartQuantity(line.quantity),
+      }));
+  } catch (error) {
+    console.error("Error leyendo el carrito guardado:", error);
+    return [];
+  }
+}
+
+/**
+ * Guarda el carrito actual en localStorage
+ */
+function saveCart() {
+  try {
+    localStorage.setItem(CONFIG.cartStorageKey, JSON.stringify(state.cart));
+  } catch (error) {
+    // localStorage puede no estar disponible (modo privado, cuota llena)
+    console.error("Error guardando el carrito:", error);
+  }
+}
+
+/**
+ * Limita una cantidad al rango permitido por línea
+ * @param {number} quantity - Cantidad solicitada
+ * @returns {number} Cantidad entre 1 y CONFIG.cartMaxQuantity
+ */
+function clampCartQuantity(quantity) {
+  const value = parseInt(quantity, 10);
+  if (isNaN(value) || value < 1) return 1;
+  return Math.min(value, CONFIG.cartMaxQuantity);
+}
+
+/**
+ * Busca la posición de una línea del carrito
+ * @param {string} productId - ID del producto
+ * @param {string|null} variant - ID de la variante (o null)
+ * @returns {number} Índice de la línea o -1
+ */
+function findCartLineIndex(productId, variant) {
+  return state.cart.findIndex(
+    (line) =>
+      line.productId === productId && line.variant === (variant || null),
+  );
+}
+
+/**
+ * Agrega un producto al carrito (o suma cantidad si ya estaba)
+ * @param {string} productId - ID del producto
+ * @param {string|null} variant - ID de la variante elegida
+ * @param {number} quantity - Cantidad a agregar
+ */
+function addToCart(productId, variant = null, quantity = 1) {
+  const index = findCartLineIndex(productId, variant);
+
+  if (index === -1) {
+    state.cart.push({
+      productId,
+      variant: variant || null,
+      quantity: clampCartQuantity(quantity),
+    });
+  } else {
+    state.cart[index].quantity = clampCartQuantity(
+      state.cart[index].quantity + quantity,
+    );
+  }
+
+  saveCart();
+  renderCart();
+}
+
+/**
+ * Cambia la cantidad de una línea del carrito
+ * @param {number} index - Índice de la línea
+ * @param {number} quantity - Nueva cantidad
+ */
+function updateCartQuantity(index, quantity) {
+  if (!state.cart[index]) return;
+  state.cart[index].quantity = clampCartQuantity(quantity);
+  saveCart();
+  renderCart();
+}
+
+/**
+ * Cambia la variante de una línea del carrito
+ * Si ya existe otra línea con esa variante, las fusiona
+ * @param {number} index - Índice de la línea
+ * @param {string} variant - ID de la nueva variante
+ */
+function updateCartVariant(index, variant) {
+  const line = state.cart[index];
+  if (!line) return;
+
+  const existingIndex = findCartLineIndex(line.productId, variant);
+  if (existingIndex !== -1 && existingIndex !== index) {
+    state.cart[existingIndex].quantity = clampCartQuantity(
+      state.cart[existingIndex].quantity + line.quantity,
+    );
+    state.cart.splice(index, 1);
+  } else {
+    line.variant = variant || null;
+  }
+
+  saveCart();
+  renderCart();
+}
+
+/**
+ * Quita una línea del carrito
+ * @param {number} index - Índice de la línea
+ */
+function removeFromCart(index) {
+  state.cart.splice(index, 1);
+  saveCart();
+  renderCart();
+}
+
+/**
+ * Vacía el carrito completo
+ */
+function clearCart() {
+  state.cart = [];
+  saveCart();
+  renderCart();
+}
+
+/**
+ * Resuelve las líneas del carrito contra el catálogo actual
+ * Los productos que ya no existen se marcan como no disponibles
+ * @returns {Array} Líneas con { line, index, entry, available }
+ */
+function getCartDetails() {
+  return state.cart.map((line, index) => {
+    const entry = findProductById(line.productId);
+    return {
+      line,
+      index,
+      entry,
+      available: Boolean(entry) && isProductOrderable(entry.product),
+    };
+  });
+}
+
+/**
+ * Total de unidades en el carrito
+ * @returns {number} Suma de cantidades
+ */
+function getCartItemCount() {
+  return state.cart.reduce((total, line) => total + line.quantity, 0);
+}
+
+/**
+ * Calcula el total del carrito con los precios del catálogo actual y las
+ * promociones vigentes
+ * Las líneas sin precio o no disponibles no suman ni participan de
+ * promociones, y se informan aparte
+ * @returns {Object} Resultado de applyPromotions() más unpricedLines
+ */
+function getCartTotals() {
+  const items = [];
+  let unpricedLines = 0;
+
+  getCartDetails().forEach(({ line, index, entry, available }) => {
+    if (!available) return;
+
+    const price = getProductPrice(
+      entry.product,
+      entry.productTypeId,
+      line.variant,
+    );
+    if (price === null) {
+      unpricedLines++;
+      return;
+    }
+    items.push({
+      index,
+      fandomId: entry.fandom.id,
+      productTypeId: entry.productTypeId,
+      unitPrice: price,
+      quantity: line.quantity,
+    });
+  });
+
+  return {
+    ...applyPromotions(items, getActivePromotions()),
+    unpricedLines,
+  };
+}
+
+// ============================================
+// CONTROLES "AGREGAR AL CARRITO"
+// ============================================
+
+/**
+ * Genera el selector de variante y el botón "Agregar" de un producto
+ * @param {Object} product - Producto del catálogo
+ * @param {string} productTypeId - ID del tipo de producto
+ * @param {Object} [options] - { withQuantity } para incluir selector de cantidad
+ * @returns {string} HTML de los controles
+ */
+function renderAddToCartControls(product, productTypeId, options = {}) {
+  const variants = getProductVariants(product, productTypeId);
+
+  const variantSelect = variants.length
+    ? `
+      <select class="product-variant-select" aria-label="${t("product.variantOf", { name: product.name })}">
+        ${variants
+          .map((v) => {
+            const price = getProductPrice(product, productTypeId, v.id);
+            const priceLabel = price !== null ? ` · ${formatPrice(price)}` : "";
+            return `<option value="${v.id}">${localize(v, "name")}${priceLabel}</option>`;
+          })
+          .join("")}
+      </select>
+    `
+    : "";
+
+  const quantityInput = options.withQuantity
+    ? `
+      <input class="product-quantity-input" type="number" min="1" max="${CONFIG.cartMaxQuantity}" value="1" aria-label="${t("cart.quantity")}" />
+    `
+    : "";
+
+  // Productos próximos o agotados no se pueden agregar
+  if (!isProductOrderable(product)) {
+    return `
+      <div class="product-cart-controls">
+        <button class="product-add-btn" disabled>${t("product.unavailable")}</button>
+      </div>
+    `;
+  }
+
+  return `
+    <div class="product-cart-controls">
+      ${variantSelect}
+      ${quantityInput}
+      <button class="product-add-btn" data-product-id="${product.id}">
+        <i data-lucide="shopping-bag"></i> ${t("product.add")}
+      </button>
+    </div>
+  `;
+}
+
+/**
+ * Conecta los botones "Agregar" dentro de un contenedor
+ * @param {HTMLElement} container - Contenedor con los controles renderizados
+ */
+function bindAddToCartButtons(container) {
+  container.querySelectorAll(".product-add-btn").forEach((btn) => {
+    btn.addEventListener("click", function (e) {
+      // Evita que el click llegue a la tarjeta del producto
+      e.stopPropagation();
+
+      const controls = this.closest(".product-cart-controls");
+      const variantSelect = controls.querySelector(".product-variant-select");
+      const quantityInput = controls.querySelector(".product-quantity-input");
+
+      addToCart(
+        this.getAttribute("data-product-id"),
+        variantSelect ? variantSelect.value : null,
+        quantityInput ? clampCartQuantity(quantityInput.value) : 1,
+      );
+
+      // Feedback visual breve en el botón
+      this.classList.add("added");
+      setTimeout(() => this.classList.remove("added"), 800);
+    });
+  });
+
+  // Los selects tampoco deben disparar el click de la tarjeta
+  container
+    .querySelectorAll(".product-variant-select, .product-quantity-input")
+    .forEach((input) => {
+      input.addEventListener("click", (e) => e.stopPropagation());
+    });
+
+  initializeLucideIcons();
+}
+
+// ============================================
+// PANEL LATERAL DEL CARRITO
+// ============================================
+
+const cartPanel = document.getElementById("cartPanel");
+const cartOverlay = document.getElementById("cartOverlay");
+const cartToggle = document.getElementById("cartToggle");
+
+/**
+ * Abre el panel lateral del carrito
+ */
+function openCart() {
+  if (!cartPanel) return;
+  cartPanel.classList.add("open");
+  cartPanel.setAttribute("aria-hidden", "false");
+  cartOverlay.classList.add("active");
+  document.getElementById("cartClose").focus();
+}
+
+/**
+ * Cierra el panel lateral del carrito
+ */
+function closeCart() {
+  if (!cartPanel) return;
+  cartPanel.classList.remove("open");
+  cartPanel.setAttribute("aria-hidden", "true");
+  cartOverlay.classList.remove("active");
+}
+
+/**
+ * Renderiza el contenido del carrito y el contador de la navegación
+ */
+function renderCart() {
+  const cartCount = document.getElementById("cartCount");
+  if (cartCount) {
+    const count = getCartItemCount();
+    cartCount.textContent = count;
+    cartCount.style.display = count > 0 ? "flex" : "none";
+  }
+
+  // Sin catálogo cargado no se puede saber qué productos siguen disponibles
+  const cartItems = document.getElementById("cartItems");
+  if (!cartItems || !state.galleryData) return;
+
+  if (state.cart.length === 0) {
+    cartItems.innerHTML = `
+      <p class="cart-empty">${t("cart.empty")}</p>
+    `;
+    document.getElementById("cartFooter").style.display = "none";
+    return;
+  }
+
+  const totals = getCartTotals();
+  let itemsHTML = "";
+  getCartDetails().forEach(({ line, index, entry, available }) => {
+    // Producto eliminado del catálogo: se muestra pero sin opciones
+    if (!available) {
+      // Puede haber salido del catálogo o cambiado a agotado/próximamente
+      const status = entry
+        ? t(`status.${getProductStatus(entry.product)}`)
+        : t("cart.unavailable");
+      itemsHTML += `
+        <div class="cart-line unavailable" data-index="${index}">
+          <div class="cart-line-info">
+            <h4>${entry ? entry.product.name : line.productId}</h4>
+            <p class="cart-line-status">${status}</p>
+          </div>
+          <button class="cart-line-remove" aria-label="${t("cart.remove")}">×</button>
+        </div>
+      `;
+      return;
+    }
+
+    const { product, fandom, productTypeId } = entry;
+    const variants = getProductVariants(product, productTypeId);
+    const pricing = totals.lines.get(index);
+    let subtotal = t("cart.priceOnRequest");
+    if (pricing && pricing.discount > 0) {
+      subtotal = `<s>${formatPrice(pricing.subtotal)}</s> ${formatPrice(pricing.total)}`;
+    } else if (pricing) {
+      subtotal = formatPrice(pricing.subtotal);
+    }
+
+    // Promociones que descontaron unidades de esta línea
+    const promotionNote =
+      pricing && pricing.promotions.length
+        ? `<p class="cart-line-promo">${pricing.promotions
+            .map((promotion) => escapeHTML(localize(promotion, "name")))
+            .join(" · ")}</p>`
+        : "";
+
+    const variantSelect = variants.length
+      ? `
+        <select class="cart-line-variant" aria-label="${t("cart.variant")}">
+          ${variants
+            .map(
+              (v) =>
+                `<option value="${v.id}" ${v.id === line.variant ? "selected" : ""}>${localize(v, "name")}</option>`,
+            )
+            .join("")}
+        </select>
+      `
+      : "";
+
+    itemsHTML += `
+      <div class="cart-line" data-index="${index}">
+        <img class="cart-line-image" src="${product.image}" alt="${product.name}" loading="lazy" />
+        <div class="cart-line-info">
+          <h4>${product.name}</h4>
+          <p>${fandom.name} · ${getProductTypeName(productTypeId)}</p>
+          ${promotionNote}
+          ${variantSelect}
+          <div class="cart-line-quantity">
+            <button class="cart-qty-btn" data-delta="-1" aria-label="${t("cart.decrease")}">−</button>
+            <input class="cart-qty-input" type="number" min="1" max="${CONFIG.cartMaxQuantity}" value="${line.quantity}" aria-label="${t("cart.quantity")}" />
+            <button class="cart-qty-btn" data-delta="1" aria-label="${t("cart.increase")}">+</button>
+            <span class="cart-line-subtotal">${subtotal}</span>
+          </div>
+        </div>
+        <button class="cart-line-remove" aria-label="${t("cart.remove")}">×</button>
+      </div>
+    `;
+  });
+
+  cartItems.innerHTML = itemsHTML;
+  document.getElementById("cartFooter").style.display = "block";
+  document.getElementById("cartTotalItems").textContent = getCartItemCount();
+
+  renderCartPromotions(totals);
+  document.getElementById("cartTotalPrice").textContent =
+    formatPrice(totals.total) +
+    (totals.unpricedLines > 0 ? t("cart.plusOnRequest") : "");
+
+  bindCartLineEvents(cartItems);
+}
+
+/**
+ * Explica en el pie del carrito qué promociones se aplicaron
+ * También avisa de los regalos ganados que todavía no están en el carrito
+ * @param {Object} totals - Resultado de getCartTotals()
+ */
+function renderCartPromotions(totals) {
+  const container = document.getElementById("cartPromotions");
+  if (!container) return;
+
+  const items = totals.applied.map(
+    ({ promotion, discount }) => `
+      <li title="${escapeHTML(localize(promotion, "description") || "")}">
+        <span>${escapeHTML(localize(promotion, "name"))}</span>
+        <strong>−${formatPrice(discount)}</strong>
+      </li>
+    `,
+  );
+  if (items.length) {
+    items.unshift(`
+      <li class="cart-promo-subtotal">
+        <span>${t("cart.subtotal")}</span>
+        <strong>${formatPrice(totals.subtotal)}</strong>
+      </li>
+    `);
+  }
+  totals.unlocked.forEach((promotion) => {
+    items.push(`
+      <li class="cart-promo-unlocked">
+        ${t("cart.promoUnlocked", {
+          name: escapeHTML(localize(promotion, "name")),
+          description: escapeHTML(localize(promotion, "description") || ""),
+        })}
+      </li>
+    `);
+  });
+
+  container.innerHTML = items.join("");
+  container.hidden = items.length === 0;
+}
+
+/**
+ * Conecta los controles de cantidad, variante y borrado de cada línea
+ * @param {HTMLElement} cartItems - Contenedor de líneas del carrito
+ */
+function bindCartLineEvents(cartItems) {
+  cartItems.querySelectorAll(".cart-line").forEach((lineEl) => {
+    const index = parseInt(lineEl.getAttribute("data-index"), 10);
+
+    lineEl.querySelector(".cart-line-remove").addEventListener("click", () => {
+      removeFromCart(index);
+    });
+
+    lineEl.querySelectorAll(".cart-qty-btn").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const delta = parseInt(btn.getAttribute("data-delta"), 10);
+        const newQuantity = state.cart[index].quantity + delta;
+
+        // Bajar de 1 equivale a quitar la línea
+        if (newQuantity < 1) {
+          removeFromCart(index);
+        } else {
+          updateCartQuantity(index, newQuantity);
+        }
+      });
+    });
+
+    const quantityInput = lineEl.querySelector(".cart-qty-input");
+    if (quantityInput) {
+      quantityInput.addEventListener("change", () => {
+        updateCartQuantity(index, quantityInput.value);
+      });
+    }
+
+    const variantSelect = lineEl.querySelector(".cart-line-variant");
+    if (variantSelect) {
+      variantSelect.addEventListener("change", () => {
+        updateCartVariant(index, variantSelect.value);
+      });
+    }
+  });
+}
+
+// Eventos de apertura y cierre del panel
+if (cartPanel) {
+  cartToggle.addEventListener("click", openCart);
+  cartOverlay.addEventListener("click", closeCart);
+  document.getElementById("cartClose").addEventListener("click", closeCart);
+  document.getElementById("cartClear").addEventListener("click", () => {
+    if (confirm(t("cart.clearConfirm"))) {
+      clearCart();
+    }
+  });
+
+  // Cierra el panel con Escape
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && cartPanel.classList.contains("open")) {
+      closeCart();
+    }
+  });
+
+  // Sincroniza el carrito si se modifica en otra pestaña
+  window.addEventListener("storage", (e) => {
+    if (e.key === CONFIG.cartStorageKey) {
+      state.cart = loadCart();
+      renderCart();
+    }
+  });
+}
+
+// Restaura el carrito guardado (el contador se muestra antes de cargar el catálogo)
+state.cart = loadCart();
+renderCart();
+
+// ============================================
+// CHECKOUT: PEDIDO POR WHATSAPP O EMAIL
+// ============================================
+
+/**
+ * Los pedidos se cierran por WhatsApp o email
+ * Se arma un resumen del carrito con un código de referencia y se abre
+ * como enlace wa.me o mailto:
+ */
+
+/**
+ * Genera un código de referencia corto para el pedido
+ * Formato: HS-AAMMDD-XXXX (fecha + sufijo aleatorio)
+ * @param {Date} date - Fecha del pedido
+ * @returns {string} Código de referencia
+ */
+function generateOrderReference(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  const datePart =
+    String(date.getFullYear()).slice(-2) +
+    pad(date.getMonth() + 1) +
+    pad(date.getDate());
+  const randomPart = Math.random().toString(36).slice(2, 6).toUpperCase();
+  return `HS-${datePart}-${randomPart.padEnd(4, "0")}`;
+}
+
+/**
+ * Arma el objeto de pedido a partir del carrito y los datos del checkout
+ * Los productos que ya no existen en el catálogo quedan fuera del pedido
+ * @param {Object} details - { customerName, delivery, payment, notes }
+ * @returns {Object} Pedido con referencia, líneas y totales
+ */
+function buildOrder(details) {
+  const lines = [];
+  let skipped = 0;
+  const totals = getCartTotals();
+
+  getCartDetails().forEach(({ line, index, entry, available }) => {
+    if (!available) {
+      skipped++;
+      return;
+    }
+
+    const { product, fandom, productTypeId } = entry;
+    const variant = getProductVariants(product, productTypeId).find(
+      (v) => v.id === line.variant,
+    );
+    const pricing = totals.lines.get(index);
+
+    lines.push({
+      productId: product.id,
+      name: product.name,
+      fandom: fandom.name,
+      productType: getProductTypeName(productTypeId),
+      variant: variant ? localize(variant, "name") : null,
+      quantity: line.quantity,
+      unitPrice: getProductPrice(product, productTypeId, line.variant),
+      discount: pricing ? pricing.discount : 0,
+    });
+  });
+
+  return {
+    reference: generateOrderReference(),
+    customerName: details.customerName || "",
+    delivery: details.delivery,
+    payment: details.payment,
+    notes: details.notes || "",
+    lines,
+    skipped,
+    totalUnits: lines.reduce((sum, l) => sum + l.quantity, 0),
+    subtotal: totals.subtotal,
+    promotions: totals.applied.map(({ promotion, discount }) => ({
+      name: localize(promotion, "name"),
+      discount,
+    })),
+    total: totals.total,
+    hasUnpricedLines: totals.unpricedLines > 0,
+  };
+}
+
+/**
+ * Formatea una línea del pedido para el mensaje
+ * @param {Object} line - Línea del pedido
+ * @param {number} position - Número de línea (1-based)
+ * @returns {string} Texto de la línea
+ */
+function formatOrderLine(line, position) {
+  const variant = line.variant ? ` · ${line.variant}` : "";
+  let price = t("order.linePriceOnRequest");
+  if (line.unitPrice !== null) {
+    price = ` = ${formatPrice(line.unitPrice * line.quantity - line.discount)}`;
+    if (line.discount > 0) {
+      price += t("order.lineDiscount", { price: formatPrice(line.discount) });
+    }
+  }
+  return (
+    `${position}. ${line.fandom} · ${line.productType}\n` +
+    `   ${line.name} (${line.productId})${variant} x${line.quantity}${price}`
+  );
+}
+
+// Espacio mínimo (codificado) para las líneas de productos de cada parte
+const ORDER_MIN_ITEMS_LENGTH = 200;
+
+/**
+ * Genera el/los mensajes de texto del pedido
+ * Si el pedido supera el largo máximo de URL se divide en partes,
+ * cada una con la referencia del pedido para poder unirlas
+ * @param {Object} order - Pedido generado por buildOrder()
+ * @param {number} maxEncodedLength - Largo máximo del texto codificado
+ * @returns {Array<string>} Mensajes listos para codificar
+ */
+function buildOrderMessages(order, maxEncodedLength) {
+  const header = (part, total) => {
+    const partLabel = total > 1 ? t("order.part", { part, total }) : "";
+    const greeting = order.customerName
+      ? t("order.greetingNamed", { name: order.customerName })
+      : t("order.greeting");
+    const reference = t("order.reference", { reference: order.reference });
+    return `${greeting}\n${reference}${partLabel}\n`;
+  };
+
+  const footerLines = [
+    t("order.delivery", { value: t(`delivery.${order.delivery}`) }),
+    t("order.payment", { value: t(`payment.${order.payment}`) }),
+    t("order.totalUnits", { count: order.totalUnits }),
+  ];
+  // Subtotal y descuentos explican el total cuando hubo promociones
+  if (order.promotions.length) {
+    footerLines.push(
+      t("order.subtotal", { price: formatPrice(order.subtotal) }),
+      ...order.promotions.map(({ name, discount }) =>
+        t("order.promotion", { name, price: formatPrice(discount) }),
+      ),
+    );
+  }
+  footerLines.push(
+    t("order.total", { price: formatPrice(order.total) }) +
+      (order.hasUnpricedLines ? t("order.plusOnRequest") : ""),
+  );
+  if (order.skipped > 0) {
+    footerLines.push(t("order.skipped", { count: order.skipped }));
+  }
+
+  const encodedLength = (text) => encodeURIComponent(text).length;
+  // Recorta un texto (por caracteres completos, con "…") hasta que
+  // codificado no supere maxLength
+  const truncateEncoded = (text, maxLength) => {
+    if (encodedLength(text) <= maxLength) return text;
+    let chars = [...text];
+    while (
+      chars.length > 0 &&
+      encodedLength(chars.join("") + "…") > maxLength
+    ) {
+      chars = chars.slice(0, -10);
+    }
+    return chars.join("") + "…";
+  };
+
+  // Las notas van después del total y se recortan para que el pie deje
+  // lugar a los productos dentro del largo máximo
+  if (order.notes) {
+    const notesBudget =
+      maxEncodedLength -
+      ORDER_MIN_ITEMS_LENGTH -
+      encodedLength(header(99, 99)) -
+      encodedLength("\n" + footerLines.join("\n") + "\n") -
+      encodedLength(t("order.notes", { notes: "" }));
+    if (notesBudget > 0) {
+      const notes = truncateEncoded(order.notes, notesBudget);
+      const totalIndex = footerLines.length - (order.skipped > 0 ? 1 : 0);
+      footerLines.splice(totalIndex, 0, t("order.notes", { notes }));
+    }
+  }
+  const footer = "\n" + footerLines.join("\n");
+
+  const itemLines = order.lines.map((line, i) => formatOrderLine(line, i + 1));
+
+  // Reparte las líneas en partes que respeten el largo máximo.
+  // Se reserva espacio para el encabezado más largo ("parte 99/99")
+  const reserved = encodedLength(header(99, 99)) + encodedLength(footer);
+  const budget = Math.max(maxEncodedLength - reserved, ORDER_MIN_ITEMS_LENGTH);
+  const chunks = [[]];
+  let currentLength = 0;
+
+  itemLines.forEach((text) => {
+    // Una línea sola más larga que el límite se recorta
+    const lineText = truncateEncoded(text, budget);
+
+    const lineLength = encodedLength(lineText + "\n");
+    if (
+      currentLength + lineLength > budget &&
+      chunks[chunks.length - 1].length
+    ) {
+      chunks.push([]);
+      currentLength = 0;
+    }
+    chunks[chunks.length - 1].push(lineText);
+    currentLength += lineLength;
+  });
+
+  // El pie (entrega, pago, total) va solo en la última parte
+  return chunks.map((chunk, i) => {
+    const isLast = i === chunks.length - 1;
+    return (
+      header(i + 1, chunks.length) +
+      "\n" +
+      chunk.join("\n") +
+      "\n" +
+      (isLast ? footer : `\n${t("order.continues")}`)
+    );
+  });
+}
+
+/**
+ * Construye el enlace wa.me para un mensaje
+ * @param {string} message - Texto del mensaje
+ * @returns {string} URL de WhatsApp
+ */
+function buildWhatsAppLink(message) {
+  return `https://wa.me/${CONFIG.orderWhatsApp}?text=${encodeURIComponent(message)}`;
+}
+
+/**
+ * Construye el enlace mailto: para un mensaje
+ * @param {string} message - Cuerpo del email
+ * @param {string} subject - Asunto del email
+ * @returns {string} URL mailto
+ */
+function buildMailtoLink(message, subject) {
+  return (
+    `mailto:${CONFIG.orderEmail}` +
+    `?subject=${encodeURIComponent(subject)}` +
+    `&body=${encodeURIComponent(message)}`
+  );
+}
+
+/**
+ * Genera los enlaces de envío del pedido para un canal
+ * @param {Object} order - Pedido generado por buildOrder()
+ * @param {string} channel - "whatsapp" o "email"
+ * @returns {Array<string>} Un enlace por parte del mensaje
+ */
+function buildOrderLinks(order, channel) {
+  const subject = t("order.subject", { reference: order.reference });
+  const baseLength =
+    channel === "whatsapp"
+      ? buildWhatsAppLink("").length
+      : buildMailtoLink("", subject + t("order.part", { part: 99, total: 99 }))
+          .length;
+  const messages = buildOrderMessages(
+    order,
+    CONFIG.orderMaxUrlLength - baseLength,
+  );
+
+  return messages.map((message, i) => {
+    if (channel === "whatsapp") return buildWhatsAppLink(message);
+
+    const partLabel =
+      messages.length > 1
+        ? t("order.part", { part: i + 1, total: messages.length })
+        : "";
+    return buildMailtoLink(message, subject + partLabel);
+  });
+}
+
+/**
+ * Abre un enlace de pedido en la app correspondiente
+ * @param {string} url - Enlace wa.me o mailto:
+ */
+function openOrderLink(url) {
+  if (url.startsWith("mailto:")) {
+    window.location.href = url;
+  } else {
+    window.open(url, "_blank", "noopener");
+  }
+}
+
+// ============================================
+// PASO DE CHECKOUT EN EL PANEL DEL CARRITO
+// ============================================
+
+const checkoutForm = document.getElementById("checkoutForm");
+
+/**
+ * Completa los selects de entrega y pago desde la configuración
+ * Conserva la opción elegida al re-generarlos (cambio de idioma)
+ */
+function populateCheckoutOptions() {
+  const fillSelect = (id, values, prefix) => {
+    const select = document.getElementById(id);
+    if (!select) return;
+    const selected = select.value;
+    select.innerHTML = values
+      .map(
+        (value) =>
+          `<option value="${value}">${t(`${prefix}.${value}`)}</option>`,
+      )
+      .join("");
+    if (values.includes(selected)) select.value = selected;
+  };
+
+  fillSelect("checkoutDelivery", CONFIG.deliveryMethods, "delivery");
+  fillSelect("checkoutPayment", CONFIG.paymentMethods, "payment");
+}
+
+/**
+ * Muestra u oculta el paso de checkout dentro del panel
+ * @param {boolean} visible - true para mostrar el checkout
+ */
+function toggleCheckout(visible) {
+  document.getElementById("cartItems").style.display = visible ? "none" : "";
+  document.getElementById("cartFooter").style.display = visible ? "none" : "";
+  checkoutForm.style.display = visible ? "flex" : "none";
+  document.getElementById("checkoutParts").innerHTML = "";
+}
+
+/**
+ * Envía el pedido por el canal elegido
+ * Si el mensaje se dividió en partes, muestra un botón por parte
+ * (los navegadores bloquean abrir varias ventanas a la vez)
+ * @param {string} channel - "whatsapp" o "email"
+ */
+function submitOrder(channel) {
+  const order = buildOrder({
+    customerName: document.getElementById("checkoutName").value.trim(),
+    delivery: document.getElementById("checkoutDelivery").value,
+    payment: document.getElementById("checkoutPayment").value,
+    notes: document.getElementById("checkoutNotes").value.trim(),
+  });
+
+  if (order.lines.length === 0) {
+    alert(t("checkout.nothingToOrder"));
+    return;
+  }
+
+  const links = buildOrderLinks(order, channel);
+  const partsContainer = document.getElementById("checkoutParts");
+
+  if (links.length === 1) {
+    partsContainer.innerHTML = "";
+    openOrderLink(links[0]);
+    return;
+  }
+
+  partsContainer.innerHTML = `
+    <p>${t("checkout.multipart", { reference: `<strong>${order.reference}</strong>`, count: links.length })}</p>
+    ${links
+      .map(
+        (url, i) => `
+          <a class="checkout-part-link" href="${url}" target="_blank" rel="noopener">
+            ${t("checkout.sendPart", { part: i + 1, total: links.length })}
+          </a>
+        `,
+      )
+      .join("")}
+  `;
+}
+
+if (checkoutForm) {
+  populateCheckoutOptions();
+
+  document
+    .getElementById("cartCheckout")
+    .addEventListener("click", () => toggleCheckout(true));
+  document
+    .getElementById("checkoutBack")
+    .addEventListener("click", () => toggleCheckout(false));
+
+  checkoutForm.querySelectorAll("[data-channel]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      submitOrder(btn.getAttribute("data-channel"));
+    });
+  });
+}
+
+// ============================================
+// BÚSQUEDA GLOBAL EN LA GALERÍA
+// ============================================
+
+/**
+ * Búsqueda sobre nombres de fandoms, productos y tipos de producto
+ * Ignora mayúsculas y acentos, y tolera pequeños errores de tipeo
+ */
+
+/**
+ * Normaliza un texto para comparar: minúsculas y sin acentos
+ * @param {string} text - Texto original
+ * @returns {string} Texto normalizado
+ */
+function normalizeSearchText(text) {
+  return String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+/**
+ * Separa un texto normalizado en palabras
+ * @param {string} text - Texto normalizado
+ * @returns {Array<string>} Palabras
+ */
+function tokenizeSearchText(text) {
+  return text.split(/[^a-z0-9ñ]+/).filter(Boolean);
+}
+
+/**
+ * Distancia de edición entre dos palabras (Damerau-Levenshtein restringida)
+ * Corta antes si se supera el máximo permitido
+ * @param {string} a - Primera palabra
+ * @param {string} b - Segunda palabra
+ * @param {number} max - Distancia máxima que interesa
+ * @returns {number} Distancia (max + 1 si se supera el máximo)
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+      // Transposición de letras vecinas ("pokmeon" vs "pokemon")
+      if (
+        previousRow &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+}
+
+/**
+ * Cantidad de errores tolerados según el largo de la palabra buscada
+ * @param {string} token - Palabra buscada
+ * @returns {number} Errores permitidos
+ */
+function allowedTypos(token) {
+  if (token.length <= 3) return 0;
+  if (token.length <= 6) return 1;
+  return 2;
+}
+
+/**
+ * Puntúa qué tan bien una palabra buscada coincide con una palabra del texto
+ * @param {string} token - Palabra buscada (normalizada)
+ * @param {string} word - Palabra del texto (normalizada)
+ * @returns {number} 0 si no coincide; mayor es mejor
+ */
+function scoreTokenMatch(token, word) {
+  if (word === token) return 3;
+  if (word.startsWith(token)) return 2;
+  if (token.length >= 3 && word.includes(token)) return 1.5;
+
+  // Tolerancia a errores contra la palabra o su comienzo
+  const max = allowedTypos(token);
+  if (max === 0) return 0;
+  const candidate =
+    word.length > token.length + max ? word.slice(0, token.length) : word;
+  return editDistance(token, candidate, max) <= max ? 1 : 0;
+}
+
+/**
+ * Busca productos en todo el catálogo
+ * Cada palabra buscada debe coincidir con el producto, su fandom o su tipo
+ * @param {string} query - Texto ingresado por el usuario
+ * @returns {Array} Grupos { fandom, score, results: [{ product, productTypeId, score }] }
+ */
+function searchCatalog(query) {
+  const tokens = tokenizeSearchText(normalizeSearchText(query));
+  if (tokens.length === 0 || !state.galleryData) return [];
+
+  const groups = [];
+
+  state.galleryData.fandoms.forEach((fandom) => {
+    const fandomWords = tokenizeSearchText(normalizeSearchText(fandom.name));
+    const results = [];
+
+    Object.entries(fandom.products || {}).forEach(
+      ([productTypeId, products]) => {
+        const productType = getProductType(productTypeId);
+        const typeWords = tokenizeSearchText(
+          normalizeSearchText(
+            `${productTypeId} ${productType ? `${productType.name} ${localize(productType, "name")}` : ""}`,
+          ),
+        );
+
+        products.filter(isProductVisible).forEach((product) => {
+          const nameWords = tokenizeSearchText(
+            normalizeSearchText(product.name),
+          );
+          let score = 0;
+
+          // Todas las palabras buscadas tienen que aparecer en algún campo
+          const allMatch = tokens.every((token) => {
+            const best = Math.max(
+              ...nameWords.map((w) => scoreTokenMatch(token, w) + 0.5),
+              ...fandomWords.map((w) => scoreTokenMatch(token, w)),
+              ...typeWords.map((w) => scoreTokenMatch(token, w)),
+              0,
+            );
+            // +0.5 solo cuenta si hubo coincidencia con el nombre
+            const tokenScore = best > 0.5 ? best : 0;
+            score += tokenScore;
+            return tokenScore > 0;
+          });
+
+          if (allMatch) results.push({ product, productTypeId, score });
+        });
+      },
+    );
+
+    if (results.length) {
+      results.sort((a, b) => b.score - a.score);
+      groups.push({ fandom, score: results[0].score, results });
+    }
+  });
+
+  return groups.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Resalta en un texto las palabras que coinciden con la búsqueda
+ * Las coincidencias exactas resaltan solo el fragmento; las aproximadas,
+ * la palabra completa
+ * @param {string} text - Texto original
+ * @param {string} query - Texto buscado
+ * @returns {string} HTML escapado con <mark> en las coincidencias
+ */
+function highlightSearchMatches(text, query) {
+  const tokens = tokenizeSearchText(normalizeSearchText(query));
+  const ranges = [];
+
+  // Recorre las palabras del texto original conservando sus posiciones
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let match;
+  while ((match = wordPattern.exec(text)) !== null) {
+    const word = normalizeSearchText(match[0]);
+
+    tokens.forEach((token) => {
+      const index = word.indexOf(token);
+      if (index !== -1 && word.length === match[0].length) {
+        ranges.push([match.index + index, match.index + index + token.length]);
+      } else if (scoreTokenMatch(token, word) > 0) {
+        ranges.push([match.index, match.index + match[0].length]);
+      }
+    });
+  }
+
+  if (ranges.length === 0) return escapeHTML(text);
+
+  // Une rangos superpuestos y arma el HTML
+  ranges.sort((a, b) => a[0] - b[0]);
+  let html = "";
+  let cursor = 0;
+  ranges.forEach(([start, end]) => {
+    if (end <= cursor) return;
+    start = Math.max(start, cursor);
+    html += escapeHTML(text.slice(cursor, start));
+    html += `<mark>${escapeHTML(text.slice(start, end))}</mark>`;
+    cursor = end;
+  });
+  return html + escapeHTML(text.slice(cursor));
+}
+
+// ============================================
+// VISTA DE RESULTADOS DE BÚSQUEDA
+// ============================================
+
+const gallerySearch = document.getElementById("gallerySearch");
+
+/**
+ * Ejecuta una búsqueda y muestra los resultados
+ * Con texto vacío vuelve a la vista anterior
+ * @param {string} query - Texto buscado
+ */
+function runSearch(query) {
+  const trimmed = query.trim();
+
+  if (trimmed.length < CONFIG.searchMinLength) {
+    if (state.searchQuery) clearSearch();
+    return;
+  }
+
+  resetFavoritesView();
+  resetTypeView();
+  state.searchQuery = trimmed;
+  state.searchResults = searchCatalog(trimmed);
+  state.currentPage = 1;
+
+  // Ningún filtro de fandom queda activo mientras se busca
+  setActiveFandomFilter(null);
+  syncProductTypeTabs();
+
+  document.getElementById("featuredView").style.display = "none";
+  document.getElementById("fandomView").style.display = "block";
+  document.getElementById("fandomView").classList.add("search-mode");
+  document.getElementById("selectedFandomName").textContent = t(
+    "search.resultsFor",
+    { query: trimmed },
+  );
+
+  renderProducts();
+}
+
+/**
+ * Limpia la búsqueda y restaura la vista de fandom o de destacados
+ */
+function clearSearch() {
+  resetSearchInput();
+
+  setActiveFandomFilter(state.currentFandom ? state.currentFandom.id : "all");
+
+  if (state.currentFandom) {
+    document.getElementById("selectedFandomName").textContent =
+      state.currentFandom.name;
+    state.currentPage = 1;
+    syncProductTypeTabs();
+    renderProducts();
+  } else {
+    showFeaturedView();
+  }
+  syncRoute();
+}
+
+/**
+ * Renderiza los resultados de búsqueda agrupados por fandom
+ * Usa la misma paginación que renderProducts()
+ */
+function renderSearchResults() {
+  const productGrid = document.getElementById("productGrid");
+  if (!productGrid) return;
+
+  // Aplana los grupos para paginar por producto
+  const flatResults = [];
+  state.searchResults.forEach((group) => {
+    group.results.forEach((result) => {
+      flatResults.push({ ...result, group });
+    });
+  });
+
+  const { start, end, totalPages } = getPageRange(flatResults.length);
+  const currentResults = flatResults.slice(start, end);
+
+  document.getElementById("searchSummary").textContent =
+    flatResults.length === 0
+      ? ""
+      : t("search.summary", {
+          designs: t("search.designs", { count: flatResults.length }),
+          fandoms: t("search.fandoms", { count: state.searchResults.length }),
+        });
+
+  if (flatResults.length === 0) {
+    productGrid.innerHTML = `
+      <p class="search-empty">
+        ${t("search.empty", { query: escapeHTML(state.searchQuery) })}
+      </p>
+    `;
+    updatePaginationControls(0, 0);
+    return;
+  }
+
+  // Inserta un encabezado cada vez que cambia el fandom dentro de la página
+  let resultsHTML = "";
+  let lastGroup = null;
+  currentResults.forEach(({ product, productTypeId, group }) => {
+    if (group !== lastGroup) {
+      resultsHTML += `
+        <div class="search-group-header">
+          <h4>${highlightSearchMatches(group.fandom.name, state.searchQuery)}</h4>
+          <span>${t("search.groupResults", { count: group.results.length })}</span>
+          <button class="search-group-link" data-fandom="${group.fandom.id}">${t("search.viewFandom")}</button>
+        </div>
+      `;
+      lastGroup = group;
+    }
+
+    const typeLabel = getProductTypeName(productTypeId);
+    const nameHTML = `
+      ${highlightSearchMatches(product.name, state.searchQuery)}
+      <small class="search-result-type">${highlightSearchMatches(typeLabel, state.searchQuery)}</small>
+    `;
+    resultsHTML += renderProductItem(product, productTypeId, nameHTML);
+  });
+
+  productGrid.innerHTML = resultsHTML;
+
+  // "Ver fandom" sale de la búsqueda y abre el detalle
+  productGrid.querySelectorAll(".search-group-link").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const fandomId = btn.getAttribute("data-fandom");
+      resetSearchInput();
+      showFandomDetail(fandomId, true);
+      setActiveFandomFilter(fandomId);
+      syncRoute();
+    });
+  });
+
+  bindFavoriteButtons(productGrid);
+  bindAddToCartButtons(productGrid);
+  updatePaginationControls(flatResults.length, totalPages);
+  animateProductItems(productGrid);
+}
+
+/**
+ * Sale del modo búsqueda sin re-renderizar (la vista nueva se encarga)
+ * Se usa al elegir un fandom o volver a destacados
+ */
+function resetSearchInput() {
+  state.searchQuery = "";
+  state.searchResults = [];
+  if (gallerySearch) gallerySearch.value = "";
+
+  document.getElementById("fandomView").classList.remove("search-mode");
+  const searchSummary = document.getElementById("searchSummary");
+  if (searchSummary) searchSummary.textContent = "";
+}
+
+// Toggle "ocultar no disponibles"
+const hideUnavailableToggle = document.getElementById("hideUnavailable");
+if (hideUnavailableToggle) {
+  hideUnavailableToggle.addEventListener("change", () => {
+    setHideUnavailable(hideUnavailableToggle.checked);
+  });
+}
+
+// Búsqueda mientras se escribe, con debounce
+if (gallerySearch) {
+  gallerySearch.addEventListener(
+    "input",
+    debounce(() => {
+      runSearch(gallerySearch.value);
+      syncRoute();
+    }, CONFIG.searchDebounce),
+  );
+
+  gallerySearch.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && state.searchQuery) clearSearch();
+  });
+}
+
+// ============================================
+// FAVORITOS Y LISTAS COMPARTIDAS
+// ============================================
+
+/**
+ * Los favoritos son ids de productos guardados en localStorage
+ * "Compartir lista" los codifica en la URL (#/favoritos/<código>) y
+ * quien abre el enlace ve la misma lista; los ids que ya no están
+ * en el catálogo se informan en un aviso en lugar de descartarse
+ */
+
+// Formato de id de producto (mismo patrón que scripts/catalog.schema.json)
+const PRODUCT_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Lee los favoritos guardados, descartando valores inválidos
+ * @returns {string[]} IDs sin repetir
+ */
+function loadFavorites() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CONFIG.favoritesStorageKey));
+    if (!Array.isArray(saved)) return [];
+
+    return [
+      ...new Set(
+        saved.filter((id) => typeof id === "string").map(getCurrentProductId),
+      ),
+    ];
+  } catch (error) {
+    console.error("Error leyendo los favoritos guardados:", error);
+    return [];
+  }
+}
+
+/**
+ * Guarda los favoritos actuales en localStorage
+ */
+function saveFavorites() {
+  try {
+    localStorage.setItem(
+      CONFIG.favoritesStorageKey,
+      JSON.stringify(state.favorites),
+    );
+  } catch (error) {
+    console.error("Error guardando los favoritos:", error);
+  }
+}
+
+/**
+ * Indica si un producto está entre los favoritos
+ * @param {string} productId - ID del producto
+ * @returns {boolean} true si es favorito
+ */
+function isFavorite(productId) {
+  return state.favorites.includes(productId);
+}
+
+/**
+ * Agrega o quita un producto de favoritos y actualiza la interfaz
+ * @param {string} productId - ID del producto
+ */
+function toggleFavorite(productId) {
+  const index = state.favorites.indexOf(productId);
+  if (index === -1) {
+    state.favorites.push(productId);
+  } else {
+    state.favorites.splice(index, 1);
+  }
+  saveFavorites();
+
+  const entry = findProductById(productId);
+  const name = entry ? entry.product.name : productId;
+  announce(t(index === -1 ? "favorites.added" : "favorites.removed", { name }));
+
+  updateFavoriteButtons();
+  // En la lista propia, un producto quitado desaparece de la vista
+  if (state.favoritesList && !state.favoritesList.shared) renderProducts();
+}
+
+/**
+ * Genera el botón corazón de un producto
+ * @param {string} productId - ID del producto
+ * @param {boolean} [withLabel] - Muestra el texto además del ícono (lightbox)
+ * @returns {string} HTML del botón
+ */
+function renderFavoriteButton(productId, withLabel = false) {
+  const active = isFavorite(productId);
+  const label = t("favorites.toggle");
+
+  return `
+    <button type="button" class="favorite-btn${active ? " active" : ""}" data-product-id="${productId}" aria-pressed="${active}" ${withLabel ? "" : `aria-label="${label}" title="${label}"`}>
+      <i data-lucide="heart"></i>${withLabel ? ` <span>${label}</span>` : ""}
+    </button>
+  `;
+}
+
+/**
+ * Conecta los botones corazón dentro de un contenedor
+ * @param {HTMLElement} container - Contenedor con los botones renderizados
+ */
+function bindFavoriteButtons(container) {
+  container.querySelectorAll(".favorite-btn").forEach((btn) => {
+    btn.addEventListener("click", (e) => {
+      // Evita que el click llegue a la tarjeta del producto
+      e.stopPropagation();
+      toggleFavorite(btn.getAttribute("data-product-id"));
+    });
+  });
+}
+
+/**
+ * Sincroniza todos los corazones visibles y el contador de la pestaña
+ */
+function updateFavoriteButtons() {
+  document.querySelectorAll(".favorite-btn").forEach((btn) => {
+    const active = isFavorite(btn.getAttribute("data-product-id"));
+    btn.classList.toggle("active", active);
+    btn.setAttribute("aria-pressed", String(active));
+  });
+
+  const count = document.querySelector(
+    "#fandom-tab-favorites .favorites-count",
+  );
+  if (count) count.textContent = state.favorites.length;
+}
+
+// ============================================
+// CÓDIGO COMPACTO PARA COMPARTIR LA LISTA
+// ============================================
+
+/**
+ * Codifica una lista de ids para la URL
+ * Cada id se escribe como la cantidad de caracteres que comparte con el
+ * anterior (un dígito base 36) seguida del resto, separados por ".":
+ *   ["isaac-llavero-2", "isaac-llavero-5"] -> "0isaac-llavero-2.e5"
+ * @param {string[]} ids - IDs de productos
+ * @returns {string} Código sin caracteres que haya que escapar
+ */
+function encodeFavoriteIds(ids) {
+  let previous = "";
+  return ids
+    .map((id) => {
+      const maxShared = Math.min(id.length, previous.length, 35);
+      let shared = 0;
+      while (shared < maxShared && id[shared] === previous[shared]) shared++;
+
+      previous = id;
+      return shared.toString(36) + id.slice(shared);
+    })
+    .join(".");
+}
+
+/**
+ * Decodifica un código generado por encodeFavoriteIds()
+ * Las partes mal formadas se conservan tal cual para informarlas
+ * como faltantes en lugar de perderlas
+ * @param {string} code - Código de la URL
+ * @returns {string[]} IDs sin repetir, en el orden original
+ */
+function decodeFavoriteIds(code) {
+  const ids = [];
+  let previous = "";
+
+  code.split(".").forEach((part) => {
+    if (!part) return;
+
+    const shared = parseInt(part[0], 36);
+    const id =
+      shared <= previous.length
+        ? previous.slice(0, shared) + part.slice(1)
+        : part;
+
+    if (!ids.includes(id)) ids.push(id);
+    previous = id;
+  });
+
+  return ids;
+}
+
+/**
+ * Arma el enlace que reconstruye una lista de favoritos
+ * @param {string[]} ids - IDs de productos
+ * @returns {string} URL absoluta con la ruta #/favoritos/<código>
+ */
+function buildFavoritesShareUrl(ids) {
+  return (
+    window.location.origin +
+    window.location.pathname +
+    `#/favoritos/${encodeFavoriteIds(ids)}`
+  );
+}
+
+// ============================================
+// VISTA "MIS FAVORITOS" Y LISTA COMPARTIDA
+// ============================================
+
+/**
+ * Muestra los favoritos propios o una lista compartida por enlace
+ * @param {string|null} [shareCode] - Código de la URL (null = favoritos propios)
+ */
+function showFavoritesView(shareCode = null) {
+  const shared = Boolean(shareCode);
+  state.favoritesList = shared
+    ? { shared, ids: decodeFavoriteIds(shareCode), code: shareCode }
+    : { shared, ids: null, code: null };
+  state.currentFandom = null;
+  state.currentPage = 1;
+  resetSearchInput();
+  resetTypeView();
+
+  setActiveFandomFilter(shared ? null : "favorites");
+  document.getElementById("featuredView").style.display = "none";
+  const fandomView = document.getElementById("fandomView");
+  fandomView.style.display = "block";
+  fandomView.classList.add("favorites-mode");
+
+  renderFavoritesHeader();
+  syncProductTypeTabs();
+  renderProducts();
+
+  document
+    .getElementById("galeria")
+    .scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+/**
+ * Sale de la vista de favoritos sin re-renderizar (la vista nueva se encarga)
+ */
+function resetFavoritesView() {
+  state.favoritesList = null;
+  document.getElementById("fandomView").classList.remove("favorites-mode");
+
+  const favoritesBar = document.getElementById("favoritesBar");
+  if (favoritesBar) favoritesBar.innerHTML = "";
+}
+
+/**
+ * IDs de la lista que se está mostrando
+ * @returns {string[]} Favoritos propios o ids de la lista compartida
+ */
+function getFavoritesListIds() {
+  if (!state.favoritesList) return [];
+  return state.favoritesList.shared ? state.favoritesList.ids : state.favorites;
+}
+
+/**
+ * Separa los ids que existen en el catálogo de los que ya no están
+ * @param {string[]} ids - IDs de productos
+ * @returns {Object} { items: [{ product, productTypeId, fandom }], missing: string[] }
+ */
+function resolveFavoriteIds(ids) {
+  const items = [];
+  const missing = [];
+
+  ids.forEach((id) => {
+    const entry = PRODUCT_ID_PATTERN.test(id) && findProductById(id);
+    if (entry) {
+      items.push(entry);
+    } else {
+      missing.push(id);
+    }
+  });
+
+  return { items, missing };
+}
+
+/**
+ * Renderiza el título y las acciones de la lista (compartir / guardar)
+ */
+function renderFavoritesHeader() {
+  const { shared } = state.favoritesList;
+
+  document.getElementById("selectedFandomName").textContent = t(
+    shared ? "favorites.sharedTitle" : "favorites.title",
+  );
+
+  const favoritesBar = document.getElementById("favoritesBar");
+  if (!favoritesBar) return;
+
+  favoritesBar.innerHTML = `
+    <div class="favorites-actions">
+      <button type="button" class="favorites-action" id="shareFavorites">
+        <i data-lucide="share-2"></i> ${t("favorites.share")}
+      </button>
+      ${
+        shared
+          ? `<button type="button" class="favorites-action" id="saveSharedFavorites">
+              <i data-lucide="heart"></i> ${t("favorites.saveShared")}
+            </button>`
+          : ""
+      }
+    </div>
+    <p class="favorites-notice" id="favoritesNotice" role="status"></p>
+    <p class="favorites-share-status" id="favoritesShareStatus" aria-live="polite"></p>
+  `;
+
+  document
+    .getElementById("shareFavorites")
+    .addEventListener("click", shareFavorites);
+  const saveButton = document.getElementById("saveSharedFavorites");
+  if (saveButton) {
+    saveButton.addEventListener("click", saveSharedFavorites);
+  }
+  initializeLucideIcons();
+}
+
+/**
+ * Renderiza los productos de la lista de favoritos
+ * Usa la misma paginación que renderProducts()
+ */
+function renderFavoritesResults() {
+  const productGrid = document.getElementById("productGrid");
+  if (!productGrid) return;
+
+  const ids = getFavoritesListIds();
+  const { missing } = resolveFavoriteIds(ids);
+  const items = getCurrentProductList();
+
+  renderFavoritesNotice(missing);
+  const shareButton = document.getElementById("shareFavorites");
+  if (shareButton) shareButton.disabled = ids.length === 0;
+
+  // Al quitar favoritos la página actual puede dejar de existir
+  const lastPage = Math.ceil(items.length / getItemsPerPage());
+  state.currentPage = Math.min(state.currentPage, Math.max(lastPage, 1));
+  const { start, end, totalPages } = getPageRange(items.length);
+
+  document.getElementById("searchSummary").textContent = items.length
+    ? t("search.designs", { count: items.length })
+    : "";
+
+  if (items.length === 0) {
+    productGrid.innerHTML = `
+      <p class="search-empty">
+        ${t(state.favoritesList.shared ? "favorites.sharedEmpty" : "favorites.empty")}
+      </p>
+    `;
+    updatePaginationControls(0, 0);
+    return;
+  }
+
+  productGrid.innerHTML = items
+    .slice(start, end)
+    .map(({ product, productTypeId, fandom }) => {
+      const nameHTML = `
+        ${product.name}
+        <small class="search-result-type">${fandom.name} · ${getProductTypeName(productTypeId)}</small>
+      `;
+      return renderProductItem(product, productTypeId, nameHTML);
+    })
+    .join("");
+
+  bindFavoriteButtons(productGrid);
+  bindAddToCartButtons(productGrid);
+  updatePaginationControls(items.length, totalPages);
+  animateProductItems(productGrid);
+}
+
+/**
+ * Informa los ids de la lista que ya no existen en el catálogo
+ * En la lista propia ofrece quitarlos
+ * @param {string[]} missing - IDs no encontrados
+ */
+function renderFavoritesNotice(missing) {
+  const notice = document.getElementById("favoritesNotice");
+  if (!notice) return;
+
+  if (missing.length === 0) {
+    notice.innerHTML = "";
+    return;
+  }
+
+  const message = t("favorites.missing", {
+    count: missing.length,
+    ids: escapeHTML(missing.join(", ")),
+  });
+  notice.innerHTML = state.favoritesList.shared
+    ? message
+    : `${message} <button type="button" class="favorites-notice-action">${t("favorites.removeMissing")}</button>`;
+
+  const removeButton = notice.querySelector(".favorites-notice-action");
+  if (removeButton) {
+    removeButton.addEventListener("click", () => {
+      state.favorites = state.favorites.filter((id) => !missing.includes(id));
+      saveFavorites();
+      updateFavoriteButtons();
+      renderProducts();
+    });
+  }
+}
+
+/**
+ * Comparte el enlace de la lista actual
+ * Usa el menú nativo de compartir si existe; si no, copia el enlace
+ */
+async function shareFavorites() {
+  const ids = getFavoritesListIds();
+  if (ids.length === 0) return;
+
+  const url = buildFavoritesShareUrl(ids);
+  const status = document.getElementById("favoritesShareStatus");
+
+  if (navigator.share) {
+    try {
+      await navigator.share({ title: t("favorites.shareTitle"), url });
+      return;
+    } catch (error) {
+      // Cancelar el menú nativo no es un error
+      if (error.name === "AbortError") return;
+    }
+  }
+
+  try {
+    await navigator.clipboard.writeText(url);
+    status.textContent = t("favorites.copied");
+  } catch (error) {
+    // Sin portapapeles: el enlace queda visible para copiarlo a mano
+    status.innerHTML = `
+      ${t("favorites.copyManual")}
+      <input class="favorites-share-url" type="text" readonly value="${escapeHTML(url)}" aria-label="${t("favorites.share")}" />
+    `;
+    const input = status.querySelector("input");
+    input.focus();
+    input.select();
+  }
+}
+
+/**
+ * Suma a los favoritos propios los productos de la lista compartida
+ * que existen en el catálogo
+ */
+function saveSharedFavorites() {
+  const { items } = resolveFavoriteIds(state.favoritesList.ids);
+  const added = items
+    .map((item) => item.product.id)
+    .filter((id) => !isFavorite(id));
+
+  state.favorites.push(...added);
+  saveFavorites();
+  updateFavoriteButtons();
+
+  document.getElementById("favoritesShareStatus").textContent = t(
+    "favorites.savedShared",
+    { count: added.length },
+  );
+}
+
+// Sincroniza los favoritos si se modifican en otra pestaña
+window.addEventListener("storage", (e) => {
+  if (e.key !== CONFIG.favoritesStorageKey) return;
+
+  state.favorites = loadFavorites();
+  updateFavoriteButtons();
+  if (state.favoritesList && !state.favoritesList.shared) renderProducts();
+});
+
+// Restaura los favoritos guardados antes del primer render
+state.favorites = loadFavorites();
+
+// ============================================
+// VISTA POR TIPO DE PRODUCTO
+// ============================================
+
+/**
+ * Muestra un tipo de producto de todos los fandoms juntos (ej: todos los
+ * pines), con filtro opcional por fandom y orden. El tipo elegido es
+ * state.currentProductType; las pestañas de tipo cambian de tipo y la
+ * paginación es la misma que en la vista de fandom.
+ * Ruta: #/tipo/<tipo>[/<página>][?fandom=<id>&orden=<orden>]
+ */
+
+/**
+ * Agrupa los productos de todos los fandoms por tipo
+ * @returns {Object} ID de tipo -> productos, en el orden de productTypes
+ */
+function getProductsByType() {
+  const productsByType = {};
+  state.galleryData.productTypes.forEach((productType) => {
+    const products = state.galleryData.fandoms.flatMap(
+      (fandom) => fandom.products[productType.id] || [],
+    );
+    if (products.length) productsByType[productType.id] = products;
+  });
+  return productsByType;
+}
+
+/**
+ * Fandoms que tienen productos del tipo actual
+ * @returns {Array} Fandoms en el orden del catálogo
+ */
+function getTypeViewFandoms() {
+  return state.galleryData.fandoms.filter(
+    (fandom) => (fandom.products[state.currentProductType] || []).length,
+  );
+}
+
+/**
+ * Ordena los productos de la vista por tipo
+ * "nuevos" usa addedAt y, sin fecha, el orden del catálogo (los últimos
+ * agregados van al final de cada lista)
+ * @param {Array} items - { product, productTypeId, fandom, position }
+ * @param {string} sort - Orden de CONFIG.typeViewSorts
+ * @returns {Array} Items ordenados (copia)
+ */
+function sortTypeViewItems(items, sort) {
+  const priceOf = (item) => {
+    const startingPrice = getProductStartingPrice(
+      item.product,
+      item.productTypeId,
+    );
+    return startingPrice ? startingPrice.amount : null;
+  };
+  const byName = (a, b) =>
+    a.product.name.localeCompare(b.product.name, state.locale);
+
+  return items.slice().sort((a, b) => {
+    if (sort === "nombre") return byName(a, b);
+
+    if (sort === "precio-asc" || sort === "precio-desc") {
+      const priceA = priceOf(a);
+      const priceB = priceOf(b);
+      // Los productos sin precio van al final en ambos sentidos
+      if (priceA === null || priceB === null) {
+        if (priceA === priceB) return byName(a, b);
+        return priceA === null ? 1 : -1;
+      }
+      const diff = sort === "precio-asc" ? priceA - priceB : priceB - priceA;
+      return diff || byName(a, b);
+    }
+
+    const dateA = a.product.addedAt || "";
+    const dateB = b.product.addedAt || "";
+    if (dateA !== dateB) return dateA < dateB ? 1 : -1;
+    return b.position - a.position;
+  });
+}
+
+/**
+ * Productos visibles de la vista por tipo, filtrados y ordenados
+ * @returns {Array} Items { product, productTypeId, fandom, position }
+ */
+function getTypeViewItems() {
+  const { fandomId, sort } = state.typeView;
+  const items = [];
+
+  state.galleryData.fandoms.forEach((fandom) => {
+    (fandom.products[state.currentProductType] || []).forEach((product) => {
+      items.push({
+        product,
+        productTypeId: state.currentProductType,
+        fandom,
+        position: items.length,
+      });
+    });
+  });
+
+  return sortTypeViewItems(
+    items.filter(
+      (item) =>
+        isProductVisible(item.product) &&
+        (!fandomId || item.fandom.id === fandomId),
+    ),
+    sort,
+  );
+}
+
+/**
+ * Abre la vista de un tipo de producto
+ * @param {string} productTypeId - ID del tipo de producto
+ * @param {Object} [options] - { fandomId, sort } (filtro y orden iniciales)
+ */
+function showProductTypeView(productTypeId, options = {}) {
+  state.currentFandom = null;
+  state.currentProductType = productTypeId;
+  state.currentPage = 1;
+  state.typeView = {
+    fandomId: options.fandomId || null,
+    sort: CONFIG.typeViewSorts.includes(options.sort)
+      ? options.sort
+      : CONFIG.typeViewSorts[0],
+  };
+  resetSearchInput();
+  resetFavoritesView();
+
+  // Ningún fandom queda seleccionado: se ven todos
+  setActiveFandomFilter(null);
+  document.getElementById("featuredView").style.display = "none";
+  const fandomView = document.getElementById("fandomView");
+  fandomView.style.display = "block";
+  fandomView.classList.add("type-mode");
+
+  renderTypeViewTabs();
+  renderTypeViewBar();
+  renderProducts();
+
+  document
+    .getElementById("galeria")
+    .scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+/**
+ * Sale de la vista por tipo (al elegir un fandom, buscar, etc.)
+ */
+function resetTypeView() {
+  state.typeView = null;
+  document.getElementById("fandomView").classList.remove("type-mode");
+
+  const typeViewBar = document.getElementById("typeViewBar");
+  if (typeViewBar) {
+    typeViewBar.innerHTML = "";
+    typeViewBar.removeAttribute("data-type");
+  }
+}
+
+/**
+ * Pestañas de tipos de producto con el total de todos los fandoms
+ */
+function renderTypeViewTabs() {
+  renderProductTypeFilters({ id: null, products: getProductsByType() });
+}
+
+/**
+ * Renderiza el filtro por fandom y el orden del tipo actual
+ * Si el fandom elegido no tiene productos del tipo, se quita el filtro
+ */
+function renderTypeViewBar() {
+  const typeViewBar = document.getElementById("typeViewBar");
+  if (!typeViewBar) return;
+
+  const fandoms = getTypeViewFandoms();
+  if (!fandoms.some((fandom) => fandom.id === state.typeView.fandomId)) {
+    state.typeView.fandomId = null;
+  }
+
+  const fandomOptions = fandoms
+    .map((fandom) => {
+      const count =
+        fandom.products[state.currentProductType].filter(
+          isProductVisible,
+        ).length;
+      const selected = fandom.id === state.typeView.fandomId ? "selected" : "";
+      return `<option value="${fandom.id}" ${selected}>${fandom.name} (${count})</option>`;
+    })
+    .join("");
+  const sortOptions = CONFIG.typeViewSorts
+    .map(
+      (sort) =>
+        `<option value="${sort}" ${sort === state.typeView.sort ? "selected" : ""}>${t(`typeView.sort.${sort}`)}</option>`,
+    )
+    .join("");
+
+  typeViewBar.innerHTML = `
+    <label class="type-view-control">
+      <span>${t("typeView.fandom")}</span>
+      <select id="typeViewFandom">
+        <option value="">${t("typeView.allFandoms")}</option>
+        ${fandomOptions}
+      </select>
+    </label>
+    <label class="type-view-control">
+      <span>${t("typeView.sortBy")}</span>
+      <select id="typeViewSort">${sortOptions}</select>
+    </label>
+  `;
+  typeViewBar.setAttribute("data-type", state.currentProductType);
+
+  document.getElementById("typeViewFandom").addEventListener("change", (e) => {
+    state.typeView.fandomId = e.target.value || null;
+    state.currentPage = 1;
+    renderProducts();
+    syncRoute();
+  });
+  document.getElementById("typeViewSort").addEventListener("change", (e) => {
+    state.typeView.sort = e.target.value;
+    state.currentPage = 1;
+    renderProducts();
+    syncRoute();
+  });
+}
+
+/**
+ * Renderiza la página actual de la vista por tipo
+ */
+function renderTypeViewResults() {
+  const productGrid = document.getElementById("productGrid");
+  if (!productGrid) return;
+
+  // Al cambiar de tipo desde las pestañas cambian los fandoms del filtro
+  const typeViewBar = document.getElementById("typeViewBar");
+  if (
+    typeViewBar &&
+    typeViewBar.getAttribute("data-type") !== state.currentProductType
+  ) {
+    renderTypeViewBar();
+  }
+
+  document.getElementById("selectedFandomName").textContent =
+    getProductTypeName(state.currentProductType);
+
+  const items = getCurrentProductList();
+  const { start, end, totalPages } = getPageRange(items.length);
+  document.getElementById("searchSummary").textContent = items.length
+    ? t("search.designs", { count: items.length })
+    : "";
+
+  if (items.length === 0) {
+    productGrid.innerHTML = `
+      <p class="search-empty">
+        ${t("gallery.emptyType")}
+      </p>
+    `;
+    updatePaginationControls(0, 0);
+    return;
+  }
+
+  productGrid.innerHTML = items
+    .slice(start, end)
+    .map(({ product, productTypeId, fandom }) => {
+      const nameHTML = `
+        ${product.name}
+        <small class="search-result-type">${fandom.name}</small>
+      `;
+      return renderProductItem(product, productTypeId, nameHTML);
+    })
+    .join("");
+
+  bindFavoriteButtons(productGrid);
+  bindAddToCartButtons(productGrid);
+  updatePaginationControls(items.length, totalPages);
+  animateProductItems(productGrid);
+}
+
+// ============================================
+// PÁGINAS PRE-RENDERIZADAS (HIDRATACIÓN)
+// ============================================
+
+/**
+ * scripts/prerender.js genera fandom-<id>.html con la vista del fandom ya
+ * renderizada. El <body> indica fandom, tipo y una clave con el hash del
+ * catálogo, el idioma y las promociones vigentes de la build; los
+ * contenedores generados llevan data-prerendered con la vista que muestran.
+ * Si la clave coincide con la del navegador, el primer render conserva ese
+ * HTML y solo conecta los eventos
+ */
+
+/**
+ * Hash corto de un texto (FNV-1a de 32 bits en base 36)
+ * Debe coincidir con hashText() de scripts/prerender.js
+ * @param {string} text - Texto a resumir
+ * @returns {string} Hash
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Lee los datos de la página pre-renderizada y decide si se puede hidratar
+ * @returns {Object|null} { fandomId, productType, valid } o null en index.html
+ */
+function readPrerender() {
+  const { prerenderFandom, prerenderType, prerenderKey } =
+    document.body.dataset;
+  if (!prerenderFandom) return null;
+
+  const key = [
+    hashText(JSON.stringify(state.galleryData)),
+    state.locale,
+    getActivePromotions()
+      .map((promotion) => promotion.id)
+      .join(","),
+  ].join("|");
+
+  return {
+    fandomId: prerenderFandom,
+    productType: prerenderType,
+    valid: key === prerenderKey && !state.hideUnavailable,
+  };
+}
+
+/**
+ * Ruta de la vista que muestra la página pre-renderizada
+ * Se usa cuando la URL no trae otra ruta en el hash
+ * @returns {Object|null} Ruta como la de parseRoute() o null
+ */
+function getPrerenderedRoute() {
+  if (!state.prerender) return null;
+  return {
+    fandomId: state.prerender.fandomId,
+    productType: state.prerender.productType,
+    page: 1,
+  };
+}
+
+/**
+ * Indica si un contenedor conserva su HTML pre-renderizado para una vista
+ * La marca se consume: los renders siguientes siempre regeneran el HTML
+ * @param {HTMLElement} container - Contenedor con data-prerendered
+ * @param {string} view - Vista que se va a renderizar (ej: "isaac/llaveros/1")
+ * @returns {boolean} true si hay que hidratar en vez de renderizar
+ */
+function hydratePrerendered(container, view) {
+  const prerenderedView = container.getAttribute("data-prerendered");
+  if (prerenderedView === null) return false;
+
+  container.removeAttribute("data-prerendered");
+  return Boolean(
+    state.prerender && state.prerender.valid && prerenderedView === view,
+  );
+}
+
+// ============================================
+// ROUTER: ENLACES COMPARTIBLES DE LA GALERÍA
+// ============================================
+
+/**
+ * Serializa la vista de la galería en el hash de la URL:
+ *   #/isaac/prints/2       -> fandom, tipo de producto y página
+ *   #/buscar/azazel/2      -> búsqueda y página
+ *   #/favoritos            -> favoritos guardados en este navegador
+ *   #/favoritos/<código>   -> lista compartida (ver encodeFavoriteIds)
+ *   #/tipo/pines/2?fandom=isaac&orden=nombre -> vista por tipo de producto
+ * Los hashes de secciones (#galeria, #contacto) no empiezan con "#/"
+ * y siguen funcionando con el scroll suave
+ */
+
+const router = {
+  applying: false, // Evita registrar historial mientras se restaura una ruta
+};
+
+/**
+ * Interpreta un hash de la URL
+ * @param {string} hash - Hash de la URL (ej: "#/isaac/prints/2")
+ * @returns {Object|null} { query }, { favorites, shareCode },
+ *   { typeId, fandomFilter, sort, page } o { fandomId, productType, page };
+ *   null si no es una ruta
+ */
+function parseRoute(hash) {
+  if (!hash || !hash.startsWith("#/")) return null;
+
+  const [path, query = ""] = hash.slice(2).split("?");
+  const parts = path.split("/").map((part) => {
+    try {
+      return decodeURIComponent(part);
+    } catch (error) {
+      return part;
+    }
+  });
+  const toPage = (value) => Math.max(parseInt(value, 10) || 1, 1);
+
+  if (parts[0] === "buscar") {
+    return { query: parts[1] || "", page: toPage(parts[2]) };
+  }
+  if (parts[0] === "favoritos") {
+    return { favorites: true, shareCode: parts[1] || null };
+  }
+  if (parts[0] === "tipo") {
+    const params = new URLSearchParams(query);
+    return {
+      typeId: parts[1] || null,
+      fandomFilter: params.get("fandom"),
+      sort: params.get("orden"),
+      page: toPage(parts[2]),
+    };
+  }
+
+  return {
+    fandomId: parts[0],
+    productType: parts[1] || null,
+    page: toPage(parts[2]),
+  };
+}
+
+/**
+ * Genera el hash correspondiente al estado actual de la galería
+ * @returns {string} Hash de la ruta ("" para la vista de destacados)
+ */
+function serializeRoute() {
+  const pageSuffix = state.currentPage > 1 ? `/${state.currentPage}` : "";
+
+  if (state.searchQuery) {
+    return `#/buscar/${encodeURIComponent(state.searchQuery)}${pageSuffix}`;
+  }
+  // Las listas de favoritos son cortas: la ruta no guarda la página
+  if (state.favoritesList) {
+    return state.favoritesList.shared
+      ? `#/favoritos/${state.favoritesList.code}`
+      : "#/favoritos";
+  }
+  // Filtro y orden solo aparecen si difieren de los predeterminados
+  if (state.typeView) {
+    const params = new URLSearchParams();
+    if (state.typeView.fandomId) params.set("fandom", state.typeView.fandomId);
+    if (state.typeView.sort !== CONFIG.typeViewSorts[0]) {
+      params.set("orden", state.typeView.sort);
+    }
+    const query = params.toString();
+    return (
+      `#/tipo/${encodeURIComponent(state.currentProductType)}${pageSuffix}` +
+      (query ? `?${query}` : "")
+    );
+  }
+  if (state.currentFandom) {
+    return (
+      `#/${encodeURIComponent(state.currentFandom.id)}` +
+      `/${encodeURIComponent(state.currentProductType)}${pageSuffix}`
+    );
+  }
+  return "";
+}
+
+/**
+ * Registra el estado actual de la galería en el historial del navegador
+ * Las búsquedas consecutivas reemplazan la entrada para no llenar el historial
+ * @param {Object} [options]
+ * @param {boolean} [options.replace] - Reemplaza la entrada actual (ej: al
+ *   agregar páginas con "Ver Más" o el scroll infinito)
+ */
+function syncRoute({ replace: replaceEntry = false } = {}) {
+  if (router.applying || !state.galleryData) return;
+
+  const hash = serializeRoute();
+  const currentHash = window.location.hash.startsWith("#/")
+    ? window.location.hash
+    : "";
+  if (hash === currentHash) return;
+
+  const url = window.location.pathname + window.location.search + hash;
+  const previousRoute = parseRoute(currentHash);
+  const replace =
+    replaceEntry ||
+    Boolean(
+      previousRoute && previousRoute.query !== undefined && state.searchQuery,
+    );
+
+  if (replace) {
+    history.replaceState(null, "", url);
+  } else {
+    history.pushState(null, "", url);
+  }
+}
+
+/**
+ * Restaura una vista de la galería a partir de una ruta
+ * Rutas con fandoms, tipos o páginas inexistentes caen al valor más cercano
+ * @param {Object|null} route - Resultado de parseRoute()
+ */
+function applyRoute(route) {
+  if (!state.galleryData) return;
+
+  router.applying = true;
+  try {
+    if (route && route.query !== undefined && route.query.trim()) {
+      if (gallerySearch) gallerySearch.value = route.query;
+      runSearch(route.query);
+      goToPage(route.page);
+    } else if (route && route.favorites) {
+      showFavoritesView(route.shareCode);
+    } else if (route && route.typeId && getProductType(route.typeId)) {
+      showProductTypeView(route.typeId, {
+        fandomId: route.fandomFilter,
+        sort: route.sort,
+      });
+      goToPage(route.page);
+    } else if (route && route.fandomId && findFandom(route.fandomId)) {
+      const fandom = findFandom(route.fandomId);
+      showFandomDetail(fandom.id, false, route.productType);
+      setActiveFandomFilter(fandom.id);
+      goToPage(route.page);
+    } else if (
+      state.currentFandom ||
+      state.searchQuery ||
+      state.favoritesList ||
+      state.typeView
+    ) {
+      showFeaturedView();
+      setActiveFandomFilter("all");
+    }
+  } finally {
+    router.applying = false;
+  }
+}
+
+/**
+ * Busca un fandom por id
+ * @param {string} fandomId - ID del fandom
+ * @returns {Object|undefined} Fandom encontrado
+ */
+function findFandom(fandomId) {
+  return state.galleryData.fandoms.find((f) => f.id === fandomId);
+}
+
+/**
+ * Salta a una página del listado actual, limitada a las existentes
+ * @param {number} page - Página deseada (1-based)
+ */
+function goToPage(page) {
+  if (page <= 1) return;
+
+  const totalItems = getCurrentProductList().length;
+  const totalPages = Math.max(Math.ceil(totalItems / getItemsPerPage()), 1);
+
+  state.currentPage = Math.min(page, totalPages);
+  renderProducts();
+}
+
+/**
+ * Reacciona a atrás/adelante y a cambios manuales del hash
+ * Ignora los hashes de secciones (#contacto, etc.)
+ */
+function handleRouteChange() {
+  const hash = window.location.hash;
+  if (hash && !hash.startsWith("#/")) return;
+  if (hash === serializeRoute()) return;
+
+  applyRoute(parseRoute(hash) || getPrerenderedRoute());
+}
 
-    if (target) {
-      const offsetTop = target.offsetTop - CONFIG.scrollOffset;
-      window.scrollTo({
-        top: offsetTop,
-        behavior: "smooth",
-      });
-    }
-  });
-});
+window.addEventListener("popstate", handleRouteChange);
+window.addEventListener("hashchange", handleRouteChange);
 
 // ============================================
-// INTERSECTION OBSERVER PARA ANIMACIONES
+// LIGHTBOX DE PRODUCTOS
 // ============================================
 
 /**
- * Observa elementos para animarlos cuando entran en viewport
- * Mejora la percepciÃ³n de carga progresiva
+ * Vista ampliada de un producto con zoom (rueda / pellizco),
+ * navegación entre todos los productos del listado actual,
+ * teclado (Esc, flechas), swipe táctil y foco atrapado en el modal
  */
 
-const observerOptions = {
-  threshold: 0.1, // Se activa cuando 10% del elemento es visible
-  rootMargin: "0px 0px -100px 0px", // Offset inferior de 100px
+const lightbox = document.getElementById("lightbox");
+
+const lightboxState = {
+  items: [], // Listado completo que se recorre con anterior/siguiente
+  index: 0, // Posición del producto abierto dentro de items
+  opener: null, // Elemento que tenía el foco antes de abrir
+  scale: 1, // Zoom actual
+  x: 0, // Desplazamiento horizontal de la imagen (px)
+  y: 0, // Desplazamiento vertical de la imagen (px)
+  pointers: new Map(), // Punteros activos (mouse / dedos)
+  gesture: null, // Datos del gesto en curso (pan, pellizco o swipe)
 };
 
-const observer = new IntersectionObserver((entries) => {
-  entries.forEach((entry) => {
-    if (entry.isIntersecting) {
-      // Anima el elemento cuando es visible
-      entry.target.style.opacity = "1";
-      entry.target.style.transform = "translateY(0)";
-    }
-  });
-}, observerOptions);
+/**
+ * Devuelve todos los productos del listado actual (sin paginar)
+ * Es la vista de fandom + tipo, los resultados de búsqueda o los favoritos
+ * @returns {Array} Items { product, productTypeId, fandom }
+ */
+function getCurrentProductList() {
+  if (state.searchQuery) {
+    const items = [];
+    state.searchResults.forEach((group) => {
+      group.results.forEach(({ product, productTypeId }) => {
+        items.push({ product, productTypeId, fandom: group.fandom });
+      });
+    });
+    return items;
+  }
+
+  if (state.favoritesList) {
+    return resolveFavoriteIds(getFavoritesListIds()).items.filter((item) =>
+      isProductVisible(item.product),
+    );
+  }
+
+  if (state.typeView) return getTypeViewItems();
+
+  if (!state.currentFandom) return [];
+  return (state.currentFandom.products[state.currentProductType] || [])
+    .filter(isProductVisible)
+    .map((product) => ({
+      product,
+      productTypeId: state.currentProductType,
+      fandom: state.currentFandom,
+    }));
+}
 
 /**
- * Observa las tarjetas de productos para animación
+ * Abre el lightbox en un producto del listado actual
+ * @param {string} productId - ID del producto clickeado
  */
-const productCards = document.querySelectorAll(".product-card");
-productCards.forEach((card, index) => {
-  // Estado inicial oculto
-  card.style.opacity = "0";
-  card.style.transform = "translateY(30px)";
-  card.style.transition = `all 0.6s ease ${index * 0.15}s`;
+function openLightbox(productId) {
+  if (!lightbox) return;
 
-  // Inicia observación
-  observer.observe(card);
-});
+  const items = getCurrentProductList();
+  const index = items.findIndex((item) => item.product.id === productId);
+  if (index === -1) return;
 
-// ============================================
-// BOTÓN DE CATÁLOGO
-// ============================================
+  lightboxState.items = items;
+  lightboxState.opener = document.activeElement;
+
+  lightbox.classList.add("open");
+  lightbox.setAttribute("aria-hidden", "false");
+  document.body.style.overflow = "hidden";
+
+  showLightboxItem(index);
+  document.getElementById("lightboxClose").focus();
+}
 
 /**
- * Maneja el click en el botón de catálogo completo
- * Muestra información de contacto
+ * Cierra el lightbox y devuelve el foco a la tarjeta de origen
  */
-const catalogBtn = document.getElementById("catalogBtn");
-if (catalogBtn) {
-  catalogBtn.addEventListener("click", function (e) {
-    e.preventDefault();
-    alert(
-      "Por favor, contactÃ¡ a Hades Salem para acceder al catÃ¡logo completo de diseÃ±os.\n\nInstagram: @hades.salem\nWhatsApp: +54 11 2455-7767",
+function closeLightbox() {
+  if (!lightbox || !lightbox.classList.contains("open")) return;
+
+  lightbox.classList.remove("open");
+  lightbox.setAttribute("aria-hidden", "true");
+  document.body.style.overflow = "";
+
+  // La tarjeta original pudo re-renderizarse al cambiar de página
+  const current = lightboxState.items[lightboxState.index];
+  const card =
+    current &&
+    document.querySelector(
+      `#productGrid .product-item[data-product-id="${current.product.id}"]`,
     );
+  const focusTarget = card || lightboxState.opener;
+  if (focusTarget && focusTarget.focus) focusTarget.focus();
+}
+
+/**
+ * Muestra un producto del listado dentro del lightbox
+ * Si el producto está en otra página, sincroniza la paginación del grid
+ * @param {number} index - Posición dentro del listado
+ */
+function showLightboxItem(index) {
+  const total = lightboxState.items.length;
+  if (total === 0) return;
+
+  // Navegación circular
+  lightboxState.index = (index + total) % total;
+  const { product, productTypeId, fandom } =
+    lightboxState.items[lightboxState.index];
+
+  // Mantiene el grid de fondo en la página del producto visible (en los
+  // modos que agregan páginas, solo hace falta cargar hasta esa)
+  const page = Math.floor(lightboxState.index / getItemsPerPage()) + 1;
+  const appending = isAppendPagination();
+  if (appending ? page > state.currentPage : page !== state.currentPage) {
+    state.currentPage = page;
+    renderProducts();
+    syncRoute({ replace: appending });
+  }
+
+  resetLightboxZoom();
+
+  const stage = document.getElementById("lightboxStage");
+  const isPlaceholder = product.image === CONFIG.placeholderImage;
+  stage.classList.toggle("zoom-disabled", isPlaceholder);
+  stage.innerHTML = `
+    <img
+      id="lightboxImage"
+      src="${product.image}"
+      alt="${product.name}"
+      draggable="false"
+      onerror="this.parentElement.classList.add('zoom-disabled'); this.outerHTML='<div class=\\'placeholder-art\\' style=\\'background: linear-gradient(135deg, var(--fire-orange) 0%, var(--fire-red) 100%);\\'>🔥</div>'"
+    />
+  `;
+
+  document.getElementById("lightboxMeta").textContent =
+    `${fandom.name} · ${getProductTypeName(productTypeId)}`;
+  document.getElementById("lightboxTitle").textContent = product.name;
+  document.getElementById("lightboxPrice").textContent = formatStartingPrice(
+    getProductStartingPrice(product, productTypeId),
+  );
+  document.getElementById("lightboxStatus").innerHTML =
+    renderStatusBadge(product) + renderPromotionBadges(product, productTypeId);
+
+  const favorite = document.getElementById("lightboxFavorite");
+  favorite.innerHTML = renderFavoriteButton(product.id, true);
+  bindFavoriteButtons(favorite);
+  document.getElementById("lightboxCounter").textContent =
+    `${lightboxState.index + 1} / ${total}`;
+
+  const actions = document.getElementById("lightboxActions");
+  actions.innerHTML = renderAddToCartControls(product, productTypeId, {
+    withQuantity: true,
   });
+  bindAddToCartButtons(actions);
+
+  // Con un solo producto no hay a dónde navegar
+  document.getElementById("lightboxPrev").disabled = total < 2;
+  document.getElementById("lightboxNext").disabled = total < 2;
 }
 
 // ============================================
-// MANEJO DEL FORMULARIO DE CONTACTO
+// ZOOM Y GESTOS DEL LIGHTBOX
 // ============================================
 
 /**
- * Procesa el enví­o del formulario de contacto
- * Valida datos y muestra mensaje de confirmación
+ * Vuelve el zoom y el desplazamiento a su estado inicial
  */
-const contactForm = document.querySelector(".contact-form");
+function resetLightboxZoom() {
+  lightboxState.scale = 1;
+  lightboxState.x = 0;
+  lightboxState.y = 0;
+  applyLightboxTransform();
+}
 
-contactForm.addEventListener("submit", (e) => {
-  e.preventDefault();
+/**
+ * Aplica el zoom y desplazamiento actuales a la imagen
+ */
+function applyLightboxTransform() {
+  const image = document.getElementById("lightboxImage");
+  if (!image) return;
 
-  // Obtiene y limpia los datos del formulario
-  const formData = {
-    name: document.getElementById("name").value.trim(),
-    email: document.getElementById("email").value.trim(),
-    product: document.getElementById("product").value,
-    message: document.getElementById("message").value.trim(),
-  };
+  image.style.transform = `translate(${lightboxState.x}px, ${lightboxState.y}px) scale(${lightboxState.scale})`;
+  document
+    .getElementById("lightboxStage")
+    .classList.toggle("zoomed", lightboxState.scale > 1);
+}
 
-  // Valida campos obligatorios
-  if (!formData.name || !formData.email || !formData.message) {
-    alert("Por favor completÃ¡ todos los campos obligatorios");
-    return;
-  }
+/**
+ * Cambia el zoom manteniendo fijo el punto bajo el cursor/dedos
+ * @param {number} newScale - Zoom deseado
+ * @param {number} clientX - Coordenada X del punto de origen
+ * @param {number} clientY - Coordenada Y del punto de origen
+ */
+function setLightboxZoom(newScale, clientX, clientY) {
+  const stage = document.getElementById("lightboxStage");
+  if (stage.classList.contains("zoom-disabled")) return;
 
-  // Valida formato de email
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(formData.email)) {
-    alert("Por favor ingresÃ¡ un email vÃ¡lido");
-    return;
+  const scale = Math.min(Math.max(newScale, 1), CONFIG.lightboxMaxZoom);
+  const rect = stage.getBoundingClientRect();
+
+  // Punto de origen relativo al centro del escenario
+  const originX = clientX - rect.left - rect.width / 2;
+  const originY = clientY - rect.top - rect.height / 2;
+  const ratio = scale / lightboxState.scale;
+
+  lightboxState.x = originX - (originX - lightboxState.x) * ratio;
+  lightboxState.y = originY - (originY - lightboxState.y) * ratio;
+  lightboxState.scale = scale;
+
+  if (scale === 1) {
+    lightboxState.x = 0;
+    lightboxState.y = 0;
   }
+  applyLightboxTransform();
+}
 
-  // Crea y muestra mensaje de éxito
-  const successMessage = document.createElement("div");
-  successMessage.style.cssText = `
-    position: fixed;
-    top: 50%;
-    left: 50%;
-    transform: translate(-50%, -50%);
-    background: linear-gradient(135deg, #ff6b35, #e63946);
-    color: white;
-    padding: 30px 50px;
-    border-radius: 15px;
-    box-shadow: 0 20px 60px rgba(255, 107, 53, 0.4);
-    z-index: 10000;
-    text-align: center;
-    animation: successFadeIn 0.3s ease;
-  `;
+/**
+ * Distancia entre los dos primeros punteros activos (pellizco)
+ * @returns {number} Distancia en px
+ */
+function getPointerDistance() {
+  const [a, b] = Array.from(lightboxState.pointers.values());
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
 
-  successMessage.innerHTML = `
-    <h3 style="font-family: 'Cinzel', serif; font-size: 24px; margin-bottom: 10px;">Â¡Mensaje Enviado!</h3>
-    <p style="margin: 0;">Gracias ${formData.name}, te contactarÃ© pronto ðŸ”¥</p>
-  `;
+if (lightbox) {
+  const stage = document.getElementById("lightboxStage");
+
+  // Zoom con la rueda del mouse / trackpad
+  stage.addEventListener(
+    "wheel",
+    (e) => {
+      e.preventDefault();
+      setLightboxZoom(
+        lightboxState.scale * Math.exp(-e.deltaY * 0.002),
+        e.clientX,
+        e.clientY,
+      );
+    },
+    { passive: false },
+  );
+
+  // Doble click alterna entre zoom normal y ampliado
+  stage.addEventListener("dblclick", (e) => {
+    const target = lightboxState.scale > 1 ? 1 : CONFIG.lightboxMaxZoom / 2;
+    setLightboxZoom(target, e.clientX, e.clientY);
+  });
 
-  // Agrega animación CSS
-  const style = document.createElement("style");
-  style.textContent = `
-    @keyframes successFadeIn {
-      from {
-        opacity: 0;
-        transform: translate(-50%, -50%) scale(0.8);
-      }
-      to {
-        opacity: 1;
-        transform: translate(-50%, -50%) scale(1);
+  stage.addEventListener("pointerdown", (e) => {
+    stage.setPointerCapture(e.pointerId);
+    lightboxState.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (lightboxState.pointers.size === 2) {
+      // Comienza un pellizco
+      lightboxState.gesture = {
+        type: "pinch",
+        distance: getPointerDistance(),
+        scale: lightboxState.scale,
+      };
+    } else if (lightboxState.pointers.size === 1) {
+      // Con zoom se arrastra la imagen; sin zoom puede ser un swipe
+      lightboxState.gesture = {
+        type: lightboxState.scale > 1 ? "pan" : "swipe",
+        startX: e.clientX,
+        startY: e.clientY,
+        x: lightboxState.x,
+        y: lightboxState.y,
+      };
+    }
+  });
+
+  stage.addEventListener("pointermove", (e) => {
+    if (!lightboxState.pointers.has(e.pointerId)) return;
+    lightboxState.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    const gesture = lightboxState.gesture;
+    if (!gesture) return;
+
+    if (gesture.type === "pinch" && lightboxState.pointers.size === 2) {
+      const [a, b] = Array.from(lightboxState.pointers.values());
+      setLightboxZoom(
+        gesture.scale * (getPointerDistance() / gesture.distance),
+        (a.x + b.x) / 2,
+        (a.y + b.y) / 2,
+      );
+    } else if (gesture.type === "pan") {
+      lightboxState.x = gesture.x + (e.clientX - gesture.startX);
+      lightboxState.y = gesture.y + (e.clientY - gesture.startY);
+      applyLightboxTransform();
+    }
+  });
+
+  const endPointer = (e) => {
+    const gesture = lightboxState.gesture;
+    lightboxState.pointers.delete(e.pointerId);
+
+    // Swipe horizontal: anterior / siguiente
+    if (gesture && gesture.type === "swipe" && e.type === "pointerup") {
+      const dx = e.clientX - gesture.startX;
+      const dy = e.clientY - gesture.startY;
+      if (
+        Math.abs(dx) > CONFIG.lightboxSwipeThreshold &&
+        Math.abs(dx) > Math.abs(dy)
+      ) {
+        showLightboxItem(lightboxState.index + (dx < 0 ? 1 : -1));
       }
     }
-  `;
-  document.head.appendChild(style);
 
-  // Muestra el mensaje
-  document.body.appendChild(successMessage);
-  contactForm.reset();
+    if (lightboxState.pointers.size === 0) lightboxState.gesture = null;
+  };
+  stage.addEventListener("pointerup", endPointer);
+  stage.addEventListener("pointercancel", endPointer);
 
-  // Oculta y elimina el mensaje después de 3 segundos
-  setTimeout(() => {
-    successMessage.style.animation = "successFadeIn 0.3s ease reverse";
-    setTimeout(() => {
-      successMessage.remove();
-    }, 300);
-  }, 3000);
+  // Botones y fondo
+  document
+    .getElementById("lightboxClose")
+    .addEventListener("click", closeLightbox);
+  lightbox
+    .querySelector(".lightbox-backdrop")
+    .addEventListener("click", closeLightbox);
+  document
+    .getElementById("lightboxPrev")
+    .addEventListener("click", () => showLightboxItem(lightboxState.index - 1));
+  document
+    .getElementById("lightboxNext")
+    .addEventListener("click", () => showLightboxItem(lightboxState.index + 1));
+
+  // Teclado: Esc, flechas, zoom y foco atrapado
+  lightbox.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      e.stopPropagation();
+      closeLightbox();
+    } else if (e.key === "ArrowLeft" && !e.target.matches("input, select")) {
+      showLightboxItem(lightboxState.index - 1);
+    } else if (e.key === "ArrowRight" && !e.target.matches("input, select")) {
+      showLightboxItem(lightboxState.index + 1);
+    } else if (e.key === "+" || e.key === "-") {
+      const rect = stage.getBoundingClientRect();
+      const factor = e.key === "+" ? 1.5 : 1 / 1.5;
+      setLightboxZoom(
+        lightboxState.scale * factor,
+        rect.left + rect.width / 2,
+        rect.top + rect.height / 2,
+      );
+    } else if (e.key === "Tab") {
+      trapFocus(e, lightbox.querySelector(".lightbox-dialog"));
+    }
+  });
 
-  // Log para debugging (en producción se enviarí­a a un backend)
-  console.log("Form submitted:", formData);
-});
+  // Abrir desde cualquier producto del grid (click o Enter/Espacio)
+  const productGrid = document.getElementById("productGrid");
+  productGrid.addEventListener("click", (e) => {
+    const item = e.target.closest(".product-item");
+    if (item) openLightbox(item.getAttribute("data-product-id"));
+  });
+  productGrid.addEventListener("keydown", (e) => {
+    if (
+      (e.key === "Enter" || e.key === " ") &&
+      e.target.classList.contains("product-item")
+    ) {
+      e.preventDefault();
+      openLightbox(e.target.getAttribute("data-product-id"));
+    }
+  });
+}
 
 // ============================================
-// EFECTO PARALLAX EN EL HERO
+// UTILIDAD: FOCO ATRAPADO EN MODALES
 // ============================================
 
 /**
- * Aplica efecto parallax al contenido del hero
- * Usa debounce para optimizar rendimiento
+ * Mantiene el foco con Tab dentro de un contenedor (modales)
+ * @param {KeyboardEvent} e - Evento keydown de la tecla Tab
+ * @param {HTMLElement} container - Contenedor del modal
  */
-const handleParallax = debounce(() => {
-  const scrolled = window.pageYOffset;
-  const heroContent = document.querySelector(".hero-content");
-
-  if (heroContent) {
-    // Mueve el contenido más lento que el scroll (parallax)
-    heroContent.style.transform = `translateY(${scrolled * 0.2}px)`;
-
-    // Fade out progresivo
-    heroContent.style.opacity = 1 - scrolled / 600;
+function trapFocus(e, container) {
+  const focusable = Array.from(
+    container.querySelectorAll(
+      'a[href], button:not([disabled]), input, select, textarea, [tabindex]:not([tabindex="-1"])',
+    ),
+  ).filter((el) => el.offsetParent !== null || el === document.activeElement);
+  if (focusable.length === 0) return;
+
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+
+  if (e.shiftKey && document.activeElement === first) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && document.activeElement === last) {
+    e.preventDefault();
+    first.focus();
   }
-}, 10);
-
-window.addEventListener("scroll", handleParallax);
+}
 
 // ============================================
-// CONTADOR ANIMADO DE ESTADÍSTICAS
+// VISTA PREVIA DEL EDITOR DE CATÁLOGO
 // ============================================
 
 /**
- * Anima los números de las estadí­sticas cuando son visibles
- * Cuenta desde 0 hasta el valor final
+ * El editor (admin/) muestra el sitio en un iframe con "?preview":
+ * en ese modo no se carga gallery-data.json, sino el catálogo en edición
+ * que envía el editor, y se renderiza con las funciones de siempre
  */
-const stats = document.querySelectorAll(".stat-number");
-const statsSection = document.querySelector(".about-stats");
+const isCatalogPreview =
+  window.parent !== window &&
+  new URLSearchParams(window.location.search).has("preview");
 
-const statsObserver = new IntersectionObserver(
-  (entries) => {
-    entries.forEach((entry) => {
-      if (entry.isIntersecting) {
-        // Anima cada estadística
-        stats.forEach((stat) => {
-          const targetText = stat.textContent.trim();
-          const hasPlus = targetText.includes("+");
-          const target = parseInt(targetText.replace("+", ""));
-          let count = 0;
-          const increment = target / 60; // 60 frames para la animación
+/**
+ * Espera los datos del editor y avisa que el iframe está listo
+ */
+async function startCatalogPreview() {
+  state.imageManifest = await loadImageManifest();
+  let firstRender = true;
 
-          /**
-           * Función recursiva para actualizar el contador
-           */
-          const updateCount = () => {
-            if (count < target) {
-              count += increment;
-              stat.textContent = Math.ceil(count) + (hasPlus ? "+" : "");
-              requestAnimationFrame(updateCount);
-            } else {
-              stat.textContent = target + (hasPlus ? "+" : "");
-            }
-          };
+  window.addEventListener("message", (event) => {
+    if (event.origin !== window.location.origin) return;
+    const { type, data } = event.data || {};
+    if (type !== "catalog-preview" || !data) return;
 
-          updateCount();
-        });
+    state.galleryData = data;
+    initializeGallery();
 
-        // Deja de observar después de animar
-        statsObserver.unobserve(entry.target);
-      }
-    });
-  },
-  { threshold: 0.5 }, // Se activa cuando 50% es visible
-);
+    // La primera vez lleva la vista directo a la galería
+    if (firstRender) {
+      firstRender = false;
+      const gallery = document.getElementById("galeria");
+      if (gallery) gallery.scrollIntoView();
+    }
+  });
 
-// Inicia observación si existe la sección de stats
-if (statsSection) {
-  statsObserver.observe(statsSection);
+  window.parent.postMessage(
+    { type: "catalog-preview-ready" },
+    window.location.origin,
+  );
 }
 
 // ============================================
-// EFECTO RIPPLE EN BOTONES
+// MODO SIN CONEXIÓN (SERVICE WORKER)
 // ============================================
 
 /**
- * Agrega efecto de onda (ripple) a todos los botones
- * Similar al Material Design
+ * sw.js guarda el sitio y la última copia de gallery-data.json para que
+ * el catálogo se vea en ferias con mala señal. Las copias guardadas traen
+ * la cabecera X-Cached-At con la fecha; sin conexión se muestra un aviso
  */
-document.querySelectorAll(".btn").forEach((button) => {
-  button.addEventListener("click", function (e) {
-    // Crea el elemento ripple
-    const ripple = document.createElement("span");
-    const rect = this.getBoundingClientRect();
-    const size = Math.max(rect.width, rect.height);
-    const x = e.clientX - rect.left - size / 2;
-    const y = e.clientY - rect.top - size / 2;
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || isCatalogPreview) return;
 
-    // Estiliza el ripple
-    ripple.style.cssText = `
-      position: absolute;
-      width: ${size}px;
-      height: ${size}px;
-      border-radius: 50%;
-      background: rgba(255, 255, 255, 0.5);
-      top: ${y}px;
-      left: ${x}px;
-      transform: scale(0);
-      animation: ripple 0.6s ease-out;
-      pointer-events: none;
-    `;
+  navigator.serviceWorker.register("sw.js").catch((error) => {
+    console.warn("No se pudo registrar el service worker:", error);
+  });
+}
 
-    // Agrega y remueve después de la animación
-    this.appendChild(ripple);
-    setTimeout(() => ripple.remove(), 600);
+/**
+ * Formatea la fecha de la copia guardada en el idioma activo
+ * @param {string} isoDate - Fecha ISO de la cabecera X-Cached-At
+ * @returns {string} Fecha legible (ej: "19 oct 2026, 14:30")
+ */
+function formatCachedDate(isoDate) {
+  return new Intl.DateTimeFormat(state.locale, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  }).format(new Date(isoDate));
+}
+
+/**
+ * Muestra u oculta el aviso de catálogo guardado según el estado
+ */
+function renderOfflineBanner() {
+  const banner = document.getElementById("offlineBanner");
+  if (!banner) return;
+
+  banner.hidden = !state.offlineCatalog;
+  if (!state.offlineCatalog) return;
+
+  banner.textContent = state.catalogCachedAt
+    ? t("offline.banner", { date: formatCachedDate(state.catalogCachedAt) })
+    : t("offline.bannerNoDate");
+}
+
+/**
+ * Marca si el catálogo visible es la copia guardada sin conexión
+ * @param {boolean} offline - true si no se pudo actualizar desde la red
+ */
+function setOfflineCatalog(offline) {
+  state.offlineCatalog = offline;
+  renderOfflineBanner();
+}
+
+// El service worker avisa cuando respondió con la copia y la red falló
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.addEventListener("message", (e) => {
+    if (!e.data || e.data.type !== "catalog-offline") return;
+    if (e.data.cachedAt) state.catalogCachedAt = e.data.cachedAt;
+    setOfflineCatalog(true);
   });
-});
+}
 
-// Agrega la animación CSS del ripple
-const rippleStyle = document.createElement("style");
-rippleStyle.textContent = `
-  @keyframes ripple {
-    to {
-      transform: scale(4);
-      opacity: 0;
-    }
-  }
-`;
-document.head.appendChild(rippleStyle);
+window.addEventListener("offline", () => {
+  if (state.catalogCachedAt) setOfflineCatalog(true);
+});
+window.addEventListener("online", () => setOfflineCatalog(false));
+window.addEventListener("load", registerServiceWorker);
 
 // ============================================
 // INICIALIZACIÓN AL CARGAR EL DOM
@@ -935,6 +7254,10 @@ document.head.appendChild(rippleStyle);
  * Se ejecuta cuando el DOM está completamente cargado
  */
 document.addEventListener("DOMContentLoaded", () => {
+  if (isCatalogPreview) {
+    startCatalogPreview();
+    return;
+  }
   loadGalleryData();
 });
 
@@ -946,11 +7269,11 @@ document.addEventListener("DOMContentLoaded", () => {
  * Mensajes estilizados en la consola para desarrolladores
  */
 console.log(
-  "%cðŸ”¥ Hades Salem - Arte Digital en Llamas ðŸ”¥",
+  "%c🔥 Hades Salem - Arte Digital en Llamas 🔥",
   "font-size: 20px; font-weight: bold; color: #ff6b35;",
 );
 console.log(
-  "%cSitio creado con pasiÃ³n y dedicaciÃ³n",
+  "%cSitio creado con pasión y dedicación",
   "font-size: 14px; color: #f7931e;",
 );
 
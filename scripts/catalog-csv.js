@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+// ============================================
+// COMANDO: CATÁLOGO ↔ PLANILLA (CSV)
+// ============================================
+
+/**
+ * Exporta gallery-data.json a una planilla plana (un producto por fila)
+ * y la vuelve a importar, para mantener el inventario en Excel/Sheets.
+ *
+ * Uso:
+ *   node scripts/catalog-csv.js export [catalogo.csv]
+ *   node scripts/catalog-csv.js import catalogo.csv [--dry-run]
+ *
+ * Columnas: fandom, nombre fandom, tipo, id, nombre, imagen, precio, estado
+ *   - id vacío: se genera al estilo del fandom (ej: isaac-llavero-5)
+ *   - imagen vacía: la de "próximamente"
+ *   - precio vacío: el del tipo de producto (y sus variantes); con precio,
+ *     ese vale para todas las variantes del tipo
+ *   - estado: available, made-to-order, coming-soon o sold-out (también
+ *     "Disponible", "A pedido", "Próximamente", "Agotado"); vacío = automático
+ *
+ * La importación muestra los productos agregados, eliminados y
+ * modificados y valida el catálogo resultante (imágenes incluidas) antes
+ * de escribir. Los tipos de producto, promociones y
+ * ranking, y los datos que la planilla no tiene (variantes, ventas,
+ * traducciones, miniatura del fandom…) se conservan.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const {
+  readCatalog,
+  writeCatalog,
+  validateCatalog,
+  forEachProduct,
+  createIdGenerator,
+} = require("./lib/catalog");
+const { readCSVRecords, formatCSV } = require("./lib/csv");
+
+// Deben coincidir con CONFIG en script.js
+const PLACEHOLDER_IMAGE = "img/proximamente.webp";
+const STATUSES = {
+  available: "disponible",
+  "made-to-order": "a pedido",
+  "coming-soon": "proximamente",
+  "sold-out": "agotado",
+};
+
+const COLUMNS = [
+  "fandom",
+  "nombre fandom",
+  "tipo",
+  "id",
+  "nombre",
+  "imagen",
+  "precio",
+  "estado",
+];
+
+const args = process.argv.slice(2);
+const [command, fileArg] = args.filter((arg) => !arg.startsWith("--"));
+const dryRun = args.includes("--dry-run");
+
+// ============================================
+// EXPORTAR
+// ============================================
+
+/**
+ * Arma las filas de la planilla en el orden del catálogo
+ * @param {Object} data - Catálogo
+ * @returns {Array<Array>} Filas con encabezado
+ */
+function catalogToRows(data) {
+  const rows = [COLUMNS];
+  forEachProduct(data, (product, { fandom, productTypeId }) => {
+    rows.push([
+      fandom.id,
+      fandom.name,
+      productTypeId,
+      product.id,
+      product.name,
+      product.image,
+      product.price,
+      product.status,
+    ]);
+  });
+  return rows;
+}
+
+// ============================================
+// IMPORTAR
+// ============================================
+
+/**
+ * Interpreta un precio de la planilla ("3500", "$ 3.500", "3500,50")
+ * @param {string} value - Celda de precio
+ * @returns {number|null|undefined} Precio, undefined si está vacía o
+ *   null si no es un número
+ */
+function parsePrice(value) {
+  const text = value.replace(/[$\s]/g, "");
+  if (!text) return undefined;
+
+  // Punto de miles y coma decimal (formato argentino)
+  const normalized = /,\d{1,2}$/.test(text)
+    ? text.replace(/\./g, "").replace(",", ".")
+    : text.replace(/[.,](?=\d{3}(\D|$))/g, "");
+  const price = Number(normalized);
+  return Number.isFinite(price) && price >= 0 ? price : null;
+}
+
+/**
+ * Interpreta un estado por id o por su nombre en español
+ * @param {string} value - Celda de estado
+ * @returns {string|null|undefined} Id del estado, undefined si está vacía
+ *   o null si no se reconoce
+ */
+function parseStatus(value) {
+  if (!value) return undefined;
+  const text = value
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+  const match = Object.entries(STATUSES).find(
+    ([id, label]) => id === text || label === text,
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Convierte las filas de la planilla en fandoms con sus productos
+ * @param {Object} data - Catálogo actual (tipos de producto e ids)
+ * @param {Array} records - Registros de readCSVRecords()
+ * Una fila sin id toma el de un producto existente con el mismo fandom,
+ * tipo y nombre (si ninguna otra fila lo reclama), así reimportar la
+ * planilla sin exportarla de nuevo no duplica productos
+ * @returns {{fandoms: Array, errors: string[]}} Fandoms en el orden de
+ *   la planilla; cada producto trae los campos de su fila
+ */
+function recordsToFandoms(data, records) {
+  const productTypeIds = new Set(data.productTypes.map((pt) => pt.id));
+  const generateId = createIdGenerator(data);
+
+  const claimedIds = new Set(records.map(({ values }) => values.id));
+  const unclaimedByName = new Map(); // "fandom/tipo/nombre" → [ids]
+  forEachProduct(data, (product, { fandom, productTypeId }) => {
+    if (claimedIds.has(product.id)) return;
+    const key = `${fandom.id}/${productTypeId}/${product.name}`;
+    if (!unclaimedByName.has(key)) unclaimedByName.set(key, []);
+    unclaimedByName.get(key).push(product.id);
+  });
+  const fandoms = new Map();
+  const seenIds = new Map();
+  const errors = [];
+
+  records.forEach(({ line, values }) => {
+    const fail = (message) => errors.push(`línea ${line}: ${message}`);
+    const fandomId = values.fandom;
+    const productTypeId = values.tipo;
+
+    if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(fandomId || "")) {
+      return fail(`id de fandom inválido "${fandomId || ""}"`);
+    }
+    if (!productTypeIds.has(productTypeId)) {
+      return fail(`tipo de producto "${productTypeId || ""}" no existe`);
+    }
+    if (!values.nombre) return fail("falta el nombre del producto");
+
+    const price = parsePrice(values.precio || "");
+    if (price === null) return fail(`precio inválido "${values.precio}"`);
+    const status = parseStatus(values.estado || "");
+    if (status === null) return fail(`estado desconocido "${values.estado}"`);
+
+    if (!fandoms.has(fandomId)) {
+      fandoms.set(fandomId, {
+        id: fandomId,
+        name: values["nombre fandom"] || "",
+        products: {},
+      });
+    }
+    const fandom = fandoms.get(fandomId);
+    if (!fandom.name && values["nombre fandom"]) {
+      fandom.name = values["nombre fandom"];
+    } else if (
+      values["nombre fandom"] &&
+      values["nombre fandom"] !== fandom.name
+    ) {
+      return fail(
+        `el fandom "${fandomId}" tiene otro nombre en una fila anterior ("${fandom.name}")`,
+      );
+    }
+
+    let id = values.id;
+    if (id && !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(id)) {
+      return fail(`id de producto inválido "${id}"`);
+    }
+    if (id && seenIds.has(id)) {
+      return fail(
+        `id "${id}" repetido (ya usado en la línea ${seenIds.get(id)})`,
+      );
+    }
+    if (!id) {
+      const sameName = unclaimedByName.get(
+        `${fandomId}/${productTypeId}/${values.nombre}`,
+      );
+      id =
+        (sameName && sameName.shift()) || generateId(fandomId, productTypeId);
+    }
+    seenIds.set(id, line);
+
+    if (!fandom.products[productTypeId]) fandom.products[productTypeId] = [];
+    fandom.products[productTypeId].push({
+      id,
+      image: values.imagen || PLACEHOLDER_IMAGE,
+      name: values.nombre,
+      ...(price !== undefined ? { price } : {}),
+      ...(status !== undefined ? { status } : {}),
+    });
+  });
+
+  fandoms.forEach((fandom) => {
+    if (!fandom.name) errors.push(`fandom "${fandom.id}" sin nombre`);
+  });
+
+  return { fandoms: [...fandoms.values()], errors };
+}
+
+/**
+ * Combina la planilla con el catálogo actual: conserva los campos que
+ * la planilla no tiene y arma el resumen de cambios
+ * @param {Object} data - Catálogo actual (se modifica)
+ * @param {Array} importedFandoms - Resultado de recordsToFandoms()
+ * @returns {Object} { added, removed, changed, addedFandoms, removedFandoms }
+ */
+function mergeCatalog(data, importedFandoms) {
+  const previous = new Map();
+  forEachProduct(data, (product, { fandom, productTypeId }) => {
+    previous.set(product.id, { product, fandomId: fandom.id, productTypeId });
+  });
+  const previousFandoms = new Map(data.fandoms.map((f) => [f.id, f]));
+
+  const summary = {
+    added: [],
+    removed: [],
+    changed: [],
+    addedFandoms: [],
+    removedFandoms: [],
+  };
+  const fields = [
+    ["name", "nombre"],
+    ["image", "imagen"],
+    ["price", "precio"],
+    ["status", "estado"],
+  ];
+  const show = (value) => (value === undefined ? "—" : value);
+
+  data.fandoms = importedFandoms.map((imported) => {
+    const current = previousFandoms.get(imported.id);
+    if (!current) summary.addedFandoms.push(imported.id);
+
+    const products = {};
+    Object.entries(imported.products).forEach(([productTypeId, list]) => {
+      products[productTypeId] = list.map((row) => {
+        const old = previous.get(row.id);
+        if (!old) {
+          summary.added.push({ row, fandomId: imported.id, productTypeId });
+          return row;
+        }
+        previous.delete(row.id);
+
+        // Conserva variantes, ventas, traducciones, etc.
+        const product = { ...old.product, ...row };
+        if (row.price === undefined) delete product.price;
+        if (row.status === undefined) delete product.status;
+
+        const changes = fields
+          .filter(([field]) => old.product[field] !== product[field])
+          .map(
+            ([field, label]) =>
+              `${label}: ${show(old.product[field])} → ${show(product[field])}`,
+          );
+        if (
+          old.fandomId !== imported.id ||
+          old.productTypeId !== productTypeId
+        ) {
+          changes.push(
+            `movido: ${old.fandomId}/${old.productTypeId} → ${imported.id}/${productTypeId}`,
+          );
+        }
+        if (changes.length > 0) summary.changed.push({ id: row.id, changes });
+        return product;
+      });
+    });
+
+    if (current && current.name !== imported.name) {
+      summary.changed.push({
+        id: `fandom ${imported.id}`,
+        changes: [`nombre: ${current.name} → ${imported.name}`],
+      });
+    }
+    return current
+      ? { ...current, name: imported.name, products }
+      : { id: imported.id, name: imported.name, featured: false, products };
+  });
+
+  previous.forEach(({ product }, id) => summary.removed.push({ id, product }));
+  previousFandoms.forEach((fandom, id) => {
+    if (!data.fandoms.some((f) => f.id === id)) summary.removedFandoms.push(id);
+  });
+  return summary;
+}
+
+/**
+ * Muestra el resumen de cambios de la importación
+ * @param {Object} summary - Resultado de mergeCatalog()
+ */
+function printSummary(summary) {
+  summary.addedFandoms.forEach((id) => console.log(`+ fandom ${id}`));
+  summary.removedFandoms.forEach((id) => console.log(`- fandom ${id}`));
+  summary.added.forEach(({ row, fandomId, productTypeId }) => {
+    console.log(`+ ${row.id}  ${row.name} (${fandomId}/${productTypeId})`);
+  });
+  summary.removed.forEach(({ id, product }) => {
+    console.log(`- ${id}  ${product.name}`);
+  });
+  summary.changed.forEach(({ id, changes }) => {
+    console.log(`~ ${id}  ${changes.join("; ")}`);
+  });
+
+  const total =
+    summary.added.length + summary.removed.length + summary.changed.length;
+  console.log(
+    total === 0 && summary.addedFandoms.length === 0
+      ? "Sin cambios respecto de gallery-data.json"
+      : `\n${summary.added.length} agregado(s), ${summary.removed.length} eliminado(s), ${summary.changed.length} modificado(s)`,
+  );
+}
+
+// ============================================
+// EJECUCIÓN
+// ============================================
+
+let data;
+try {
+  data = readCatalog();
+} catch (error) {
+  console.error(`✖ ${error.message}`);
+  process.exit(1);
+}
+
+if (command === "export") {
+  const csv = formatCSV(catalogToRows(data));
+  if (fileArg) {
+    fs.writeFileSync(path.resolve(fileArg), csv);
+    console.log(`✔ Catálogo exportado a ${fileArg}`);
+  } else {
+    process.stdout.write(csv);
+  }
+} else if (command === "import" && fileArg) {
+  let text;
+  try {
+    text = fs.readFileSync(path.resolve(fileArg), "utf8");
+  } catch (error) {
+    console.error(`✖ ${error.message}`);
+    process.exit(1);
+  }
+
+  const { columns, records } = readCSVRecords(text);
+  const missing = COLUMNS.filter(
+    (column) => !["id", "precio", "estado"].includes(column),
+  ).filter((column) => !columns.includes(column));
+  if (missing.length > 0) {
+    console.error(`✖ Faltan columnas: ${missing.join(", ")}`);
+    process.exit(1);
+  }
+
+  const { fandoms, errors } = recordsToFandoms(data, records);
+  if (errors.length > 0) {
+    errors.forEach((message) => console.error(`✖ ${message}`));
+    console.error(`\nNo se importó nada: ${errors.length} error(es)`);
+    process.exit(1);
+  }
+
+  const summary = mergeCatalog(data, fandoms);
+  printSummary(summary);
+
+  // Mismos chequeos que al guardar desde el editor: promociones o ranking
+  // pueden apuntar a fandoms que ya no están y una imagen mal escrita en
+  // la planilla no tiene que llegar al catálogo
+  const { errors: catalogErrors } = validateCatalog(data);
+  if (catalogErrors.length > 0) {
+    catalogErrors.forEach(({ path: at, message }) => {
+      console.error(`✖ ${at}: ${message}`);
+    });
+    console.error("\nNo se importó nada: el catálogo resultante no es válido");
+    process.exit(1);
+  }
+
+  if (dryRun) {
+    console.log("(--dry-run: no se modificó gallery-data.json)");
+  } else {
+    writeCatalog(data);
+    console.log("✔ gallery-data.json actualizado");
+  }
+} else {
+  console.error(
+    "Uso:\n" +
+      "  node scripts/catalog-csv.js export [catalogo.csv]\n" +
+      "  node scripts/catalog-csv.js import catalogo.csv [--dry-run]",
+  );
+  process.exit(1);
+}
@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+// ============================================
+// COMANDO: IMPORTAR VENTAS DESDE CSV
+// ============================================
+
+/**
+ * Suma al catálogo las ventas anotadas en una planilla (ferias, tienda)
+ * para el ranking de fandoms destacados y la tira de "Más vendidos".
+ *
+ * Uso:
+ *   node scripts/import-sales.js ventas.csv [--evento "Nombre"] [--dry-run]
+ *
+ * Columnas (primera fila; separador "," o ";"):
+ *   fecha     AAAA-MM-DD o DD/MM/AAAA
+ *   cantidad  unidades vendidas
+ *   producto  id del producto (ej: isaac-llavero-3); vacío si no se anotó
+ *   fandom    id del fandom; obligatorio si no hay producto
+ *   evento    opcional (ej: "Feria Sabaton"); --evento lo completa si falta
+ *
+ * Las filas se agrupan por fecha y evento. Volver a importar el mismo
+ * archivo reemplaza esos registros en lugar de duplicarlos.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const {
+  readCatalog,
+  writeCatalog,
+  validateCatalog,
+  forEachProduct,
+} = require("./lib/catalog");
+const { readCSVRecords } = require("./lib/csv");
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const eventIndex = args.indexOf("--evento");
+const defaultEvent = eventIndex !== -1 ? args[eventIndex + 1] : "";
+const fileArg = args.find(
+  (arg, i) =>
+    !arg.startsWith("--") && (eventIndex === -1 || i !== eventIndex + 1),
+);
+
+if (!fileArg || (eventIndex !== -1 && !defaultEvent)) {
+  console.error(
+    'Uso: node scripts/import-sales.js ventas.csv [--evento "Nombre"] [--dry-run]',
+  );
+  process.exit(1);
+}
+
+/**
+ * Convierte una fecha de la planilla a AAAA-MM-DD
+ * @param {string} value - "2026-09-14" o "14/09/2026"
+ * @returns {string|null} Fecha ISO o null si no es válida
+ */
+function parseSaleDate(value) {
+  let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  let [year, month, day] = match ? match.slice(1) : [];
+  if (!match) {
+    match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (!match) return null;
+    [day, month, year] = match.slice(1);
+  }
+
+  const date = new Date(Number(year), Number(month) - 1, Number(day));
+  if (date.getMonth() !== Number(month) - 1) return null;
+  const pad = (number) => String(number).padStart(2, "0");
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Lee las filas del CSV y las agrupa por destino, fecha y evento
+ * @param {Object} data - Catálogo
+ * @param {Array} records - Registros de readCSVRecords()
+ * @returns {{sales: Map, errors: string[], rows: number}} sales: clave
+ *   "producto:<id>" o "fandom:<id>" → Map("<fecha>|<evento>" → registro)
+ */
+function groupSales(data, records) {
+  const products = new Map();
+  forEachProduct(data, (product, { fandom }) => {
+    products.set(product.id, fandom.id);
+  });
+  const fandomIds = new Set(data.fandoms.map((fandom) => fandom.id));
+
+  const sales = new Map();
+  const errors = [];
+  records.forEach(({ line, values }) => {
+    const fail = (message) => errors.push(`línea ${line}: ${message}`);
+
+    const date = parseSaleDate(values.fecha || "");
+    if (!date) return fail(`fecha inválida "${values.fecha || ""}"`);
+
+    const quantity = Number(values.cantidad);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return fail(`cantidad inválida "${values.cantidad || ""}"`);
+    }
+
+    const productId = values.producto || "";
+    const fandomId = values.fandom || "";
+    let target;
+    if (productId) {
+      if (!products.has(productId)) {
+        return fail(`producto "${productId}" no existe`);
+      }
+      if (fandomId && products.get(productId) !== fandomId) {
+        return fail(
+          `el producto "${productId}" no es del fandom "${fandomId}"`,
+        );
+      }
+      target = `producto:${productId}`;
+    } else if (fandomId) {
+      if (!fandomIds.has(fandomId)) {
+        return fail(`fandom "${fandomId}" no existe`);
+      }
+      target = `fandom:${fandomId}`;
+    } else {
+      return fail("falta el producto o el fandom");
+    }
+
+    const event = values.evento || defaultEvent;
+    const key = `${date}|${event}`;
+    if (!sales.has(target)) sales.set(target, new Map());
+    const byDate = sales.get(target);
+    const record = byDate.get(key) || {
+      date,
+      quantity: 0,
+      ...(event ? { event } : {}),
+    };
+    record.quantity += quantity;
+    byDate.set(key, record);
+  });
+
+  return { sales, errors, rows: records.length };
+}
+
+/**
+ * Reemplaza en una lista de ventas los registros de las mismas
+ * fechas y eventos importados
+ * @param {Array} [current] - Ventas actuales
+ * @param {Map} imported - "<fecha>|<evento>" → registro
+ * @returns {Array} Ventas ordenadas por fecha
+ */
+function mergeSales(current, imported) {
+  const kept = (current || []).filter(
+    (sale) => !imported.has(`${sale.date}|${sale.event || ""}`),
+  );
+  return [...kept, ...imported.values()].sort(
+    (a, b) =>
+      a.date.localeCompare(b.date) ||
+      (a.event || "").localeCompare(b.event || ""),
+  );
+}
+
+let data;
+let text;
+try {
+  data = readCatalog();
+  text = fs.readFileSync(path.resolve(fileArg), "utf8");
+} catch (error) {
+  console.error(`✖ ${error.message}`);
+  process.exit(1);
+}
+
+const { columns, records } = readCSVRecords(text);
+const missing = ["fecha", "cantidad"].filter(
+  (column) => !columns.includes(column),
+);
+if (!columns.includes("producto") && !columns.includes("fandom")) {
+  missing.push("producto o fandom");
+}
+if (missing.length > 0) {
+  console.error(`✖ Faltan columnas: ${missing.join(", ")}`);
+  process.exit(1);
+}
+
+const { sales, errors, rows } = groupSales(data, records);
+if (errors.length > 0) {
+  errors.forEach((message) => console.error(`✖ ${message}`));
+  console.error(`\nNo se importó nada: ${errors.length} fila(s) con errores`);
+  process.exit(1);
+}
+
+// Aplica las ventas y arma el resumen por fandom
+const soldByFandom = new Map();
+const addToSummary = (fandomId, records) => {
+  const units = [...records.values()].reduce((t, r) => t + r.quantity, 0);
+  soldByFandom.set(fandomId, (soldByFandom.get(fandomId) || 0) + units);
+};
+
+forEachProduct(data, (product, { fandom }) => {
+  const imported = sales.get(`producto:${product.id}`);
+  if (!imported) return;
+  product.sales = mergeSales(product.sales, imported);
+  addToSummary(fandom.id, imported);
+});
+data.fandoms.forEach((fandom) => {
+  const imported = sales.get(`fandom:${fandom.id}`);
+  if (!imported) return;
+  fandom.sales = mergeSales(fandom.sales, imported);
+  addToSummary(fandom.id, imported);
+});
+
+console.log(`${rows} fila(s) leídas de ${path.basename(fileArg)}:`);
+[...soldByFandom]
+  .sort((a, b) => b[1] - a[1])
+  .forEach(([fandomId, units]) => {
+    console.log(`  ${fandomId}: ${units} unidad(es)`);
+  });
+
+const { errors: catalogErrors } = validateCatalog(data, {
+  checkImages: false,
+});
+if (catalogErrors.length > 0) {
+  catalogErrors.forEach(({ path: at, message }) => {
+    console.error(`✖ ${at}: ${message}`);
+  });
+  process.exit(1);
+}
+
+if (dryRun) {
+  console.log("\n(--dry-run: no se modificó gallery-data.json)");
+} else {
+  writeCatalog(data);
+  console.log("\n✔ Ventas guardadas en gallery-data.json");
+}
@@ -0,0 +1,533 @@
+// ============================================
+// VALIDACIÓN DEL CATÁLOGO (gallery-data.json)
+// ============================================
+
+/**
+ * Reglas del catálogo que comparten los comandos de Node:
+ * schema formal + chequeos que un schema no puede expresar
+ * (ids duplicados, tipos de producto inexistentes, imágenes faltantes,
+ * iconos de Lucide mal escritos).
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { validateSchema, childPath } = require("./schema");
+const {
+  formatCatalog,
+  createIdGenerator,
+} = require("../../admin/catalog-shared");
+
+const ROOT_DIR = path.resolve(__dirname, "..", "..");
+const CATALOG_PATH = path.join(ROOT_DIR, "gallery-data.json");
+const SCHEMA_PATH = path.join(ROOT_DIR, "scripts", "catalog.schema.json");
+
+/**
+ * Iconos de Lucide conocidos
+ * No es la lista completa de lucide.dev: un icono fuera de esta lista
+ * genera una advertencia (no un error) con la sugerencia más parecida
+ */
+const KNOWN_LUCIDE_ICONS = [
+  "award",
+  "backpack",
+  "badge",
+  "badge-check",
+  "badge-percent",
+  "book",
+  "book-open",
+  "bookmark",
+  "box",
+  "boxes",
+  "brush",
+  "calendar",
+  "camera",
+  "circle",
+  "circle-dot",
+  "clipboard-list",
+  "coffee",
+  "crown",
+  "cup-soda",
+  "diamond",
+  "file-image",
+  "flag",
+  "flame",
+  "flower",
+  "frame",
+  "gamepad",
+  "gamepad-2",
+  "gem",
+  "ghost",
+  "gift",
+  "glasses",
+  "hand-heart",
+  "heart",
+  "image",
+  "images",
+  "key",
+  "key-round",
+  "key-square",
+  "lamp",
+  "layers",
+  "leaf",
+  "magnet",
+  "mail",
+  "map-pin",
+  "medal",
+  "message-circle",
+  "moon",
+  "music",
+  "notebook",
+  "package",
+  "paintbrush",
+  "palette",
+  "paperclip",
+  "pen-tool",
+  "pencil",
+  "pin",
+  "puzzle",
+  "rocket",
+  "ruler",
+  "scissors",
+  "shirt",
+  "shopping-bag",
+  "shopping-cart",
+  "skull",
+  "smartphone",
+  "smile",
+  "sparkle",
+  "sparkles",
+  "square",
+  "star",
+  "sticker",
+  "sticky-note",
+  "sun",
+  "swords",
+  "tag",
+  "tags",
+  "tent",
+  "ticket",
+  "trophy",
+  "truck",
+  "wand",
+  "wand-sparkles",
+  "watch",
+  "zap",
+];
+
+/**
+ * Lee y parsea un archivo JSON del catálogo
+ * @param {string} filePath - Ruta del archivo
+ * @returns {Object} Datos parseados
+ * @throws {Error} Si el archivo no existe o no es JSON válido
+ */
+function readCatalog(filePath = CATALOG_PATH) {
+  const raw = fs.readFileSync(filePath, "utf8");
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(
+      `${path.basename(filePath)} no es JSON válido: ${error.message}`,
+    );
+  }
+}
+
+/**
+ * Escribe el catálogo en disco sin dejar el archivo a medias
+ * @param {Object} data - Catálogo ya validado
+ * @param {string} [filePath] - Ruta de destino
+ */
+function writeCatalog(data, filePath = CATALOG_PATH) {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, formatCatalog(data));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Distancia de edición simple para sugerir iconos parecidos
+ * @param {string} a - Primera palabra
+ * @param {string} b - Segunda palabra
+ * @returns {number} Distancia de Levenshtein
+ */
+function levenshtein(a, b) {
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    for (let j = 1; j <= b.length; j++) {
+      next.push(
+        Math.min(
+          row[j] + 1,
+          next[j - 1] + 1,
+          row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+        ),
+      );
+    }
+    row = next;
+  }
+  return row[b.length];
+}
+
+/**
+ * Recorre todos los productos del catálogo con su ubicación
+ * @param {Object} data - Catálogo
+ * @param {Function} callback - (product, { fandom, fandomIndex, productTypeId, index, path })
+ */
+function forEachProduct(data, callback) {
+  (data.fandoms || []).forEach((fandom, fandomIndex) => {
+    Object.entries((fandom && fandom.products) || {}).forEach(
+      ([productTypeId, products]) => {
+        if (!Array.isArray(products)) return;
+        const listPath = childPath(
+          childPath(`$.fandoms[${fandomIndex}]`, "products"),
+          productTypeId,
+        );
+        products.forEach((product, index) => {
+          callback(product, {
+            fandom,
+            fandomIndex,
+            productTypeId,
+            index,
+            path: childPath(listPath, index),
+          });
+        });
+      },
+    );
+  });
+}
+
+/**
+ * Valida el catálogo completo
+ * @param {Object} data - Catálogo parseado
+ * @param {Object} [options] - { rootDir, checkImages }
+ * @returns {{errors: Array, warnings: Array}} Problemas con { path, message }
+ */
+function validateCatalog(data, options = {}) {
+  const rootDir = options.rootDir || ROOT_DIR;
+  const checkImages = options.checkImages !== false;
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, "utf8"));
+
+  const errors = validateSchema(data, schema);
+  const warnings = [];
+
+  // Si la estructura básica está rota, los chequeos siguientes no tienen sentido
+  if (
+    !data ||
+    !Array.isArray(data.fandoms) ||
+    !Array.isArray(data.productTypes)
+  ) {
+    return { errors, warnings };
+  }
+
+  // Ids duplicados de tipos de producto y fandoms
+  const reportDuplicates = (list, basePath, label) => {
+    const seen = new Map();
+    list.forEach((item, i) => {
+      if (!item || typeof item.id !== "string") return;
+      if (seen.has(item.id)) {
+        errors.push({
+          path: `${basePath}[${i}].id`,
+          message: `${label} duplicado "${item.id}" (ya usado en ${basePath}[${seen.get(item.id)}])`,
+        });
+      } else {
+        seen.set(item.id, i);
+      }
+    });
+  };
+  reportDuplicates(
+    data.productTypes,
+    "$.productTypes",
+    "id de tipo de producto",
+  );
+  reportDuplicates(data.fandoms, "$.fandoms", "id de fandom");
+
+  // Iconos de Lucide
+  data.productTypes.forEach((productType, i) => {
+    if (!productType || typeof productType.icon !== "string") return;
+    if (KNOWN_LUCIDE_ICONS.includes(productType.icon)) return;
+
+    const suggestion = KNOWN_LUCIDE_ICONS.map((icon) => [
+      icon,
+      levenshtein(icon, productType.icon),
+    ]).sort((a, b) => a[1] - b[1])[0];
+    warnings.push({
+      path: `$.productTypes[${i}].icon`,
+      message:
+        `icono "${productType.icon}" desconocido` +
+        (suggestion[1] <= 3 ? ` (¿quisiste decir "${suggestion[0]}"?)` : "") +
+        "; verificalo en https://lucide.dev/icons",
+    });
+  });
+
+  // Tipos de producto usados por los fandoms y listas vacías
+  const productTypeIds = new Set(data.productTypes.map((pt) => pt && pt.id));
+  data.fandoms.forEach((fandom, i) => {
+    if (!fandom || !fandom.products || typeof fandom.products !== "object")
+      return;
+    const productsPath = `$.fandoms[${i}].products`;
+    const entries = Object.entries(fandom.products);
+
+    if (entries.length === 0) {
+      errors.push({
+        path: productsPath,
+        message: `el fandom "${fandom.id}" no tiene productos`,
+      });
+    }
+
+    entries.forEach(([productTypeId, products]) => {
+      const listPath = childPath(productsPath, productTypeId);
+      if (!productTypeIds.has(productTypeId)) {
+        errors.push({
+          path: listPath,
+          message: `tipo de producto "${productTypeId}" no existe en productTypes`,
+        });
+      }
+      if (Array.isArray(products) && products.length === 0) {
+        errors.push({
+          path: listPath,
+          message: "la lista de productos está vacía",
+        });
+      }
+    });
+  });
+
+  // Ids de producto duplicados en todo el catálogo
+  const productIds = new Map();
+  forEachProduct(data, (product, { path: productPath }) => {
+    if (!product || typeof product.id !== "string") return;
+    if (productIds.has(product.id)) {
+      errors.push({
+        path: `${productPath}.id`,
+        message: `id de producto duplicado "${product.id}" (ya usado en ${productIds.get(product.id)})`,
+      });
+    } else {
+      productIds.set(product.id, productPath);
+    }
+  });
+
+  // Promociones: ids, referencias, fechas y datos de cada efecto
+  if (Array.isArray(data.promotions)) {
+    reportDuplicates(data.promotions, "$.promotions", "id de promoción");
+    const fandomIds = new Set(data.fandoms.map((f) => f && f.id));
+    data.promotions.forEach((promotion, i) => {
+      if (!promotion || typeof promotion !== "object") return;
+      const promotionPath = `$.promotions[${i}]`;
+      const conditions = promotion.conditions || {};
+      const effect = promotion.effect || {};
+
+      const checkIds = (ids, known, listPath, label) => {
+        if (!Array.isArray(ids)) return;
+        ids.forEach((id, j) => {
+          if (!known.has(id)) {
+            errors.push({
+              path: `${listPath}[${j}]`,
+              message: `${label} "${id}" no existe`,
+            });
+          }
+        });
+      };
+      checkIds(
+        conditions.productTypes,
+        productTypeIds,
+        `${promotionPath}.conditions.productTypes`,
+        "tipo de producto",
+      );
+      checkIds(
+        conditions.fandoms,
+        fandomIds,
+        `${promotionPath}.conditions.fandoms`,
+        "fandom",
+      );
+      checkIds(
+        effect.productTypes,
+        productTypeIds,
+        `${promotionPath}.effect.productTypes`,
+        "tipo de producto",
+      );
+
+      ["startsAt", "endsAt"].forEach((field) => {
+        const value = promotion[field];
+        if (typeof value === "string" && isNaN(Date.parse(value))) {
+          errors.push({
+            path: `${promotionPath}.${field}`,
+            message: `fecha inválida "${value}"`,
+          });
+        }
+      });
+      if (
+        typeof promotion.startsAt === "string" &&
+        typeof promotion.endsAt === "string" &&
+        promotion.endsAt < promotion.startsAt
+      ) {
+        errors.push({
+          path: `${promotionPath}.endsAt`,
+          message: "la promoción termina antes de empezar",
+        });
+      }
+
+      const required = {
+        "bundle-price": ["quantity", "price"],
+        "percent-off": ["percent"],
+        "free-item": [],
+      }[effect.type];
+      (required || []).forEach((field) => {
+        if (effect[field] === undefined) {
+          errors.push({
+            path: `${promotionPath}.effect`,
+            message: `el efecto "${effect.type}" requiere "${field}"`,
+          });
+        }
+      });
+      if (effect.type === "bundle-price" && effect.quantity < 2) {
+        warnings.push({
+          path: `${promotionPath}.effect.quantity`,
+          message: "un combo de 1 unidad equivale a cambiar el precio",
+        });
+      }
+    });
+  }
+
+  // Ranking: fandoms referenciados y una estrategia que se pueda cumplir
+  if (data.ranking && typeof data.ranking === "object") {
+    const fandomIds = new Set(data.fandoms.map((f) => f && f.id));
+    const pinned = Array.isArray(data.ranking.pinned)
+      ? data.ranking.pinned
+      : [];
+    const exclude = Array.isArray(data.ranking.exclude)
+      ? data.ranking.exclude
+      : [];
+
+    [
+      ["pinned", pinned],
+      ["exclude", exclude],
+    ].forEach(([field, ids]) => {
+      ids.forEach((id, i) => {
+        if (!fandomIds.has(id)) {
+          errors.push({
+            path: `$.ranking.${field}[${i}]`,
+            message: `fandom "${id}" no existe`,
+          });
+        } else if (field === "pinned" && exclude.includes(id)) {
+          warnings.push({
+            path: `$.ranking.${field}[${i}]`,
+            message: `el fandom "${id}" está fijado y excluido a la vez (no se muestra)`,
+          });
+        }
+      });
+    });
+    if (data.ranking.strategy === "pinned" && pinned.length === 0) {
+      warnings.push({
+        path: "$.ranking",
+        message:
+          'la estrategia "pinned" no tiene fandoms fijados; se usan los destacados',
+      });
+    }
+  }
+
+  // Ferias: ids, fandoms y tipos que se llevan, y horarios coherentes
+  if (Array.isArray(data.events)) {
+    reportDuplicates(data.events, "$.events", "id de evento");
+    const fandomIds = new Set(data.fandoms.map((f) => f && f.id));
+    data.events.forEach((event, i) => {
+      if (!event || typeof event !== "object") return;
+      const eventPath = `$.events[${i}]`;
+
+      [
+        ["fandoms", fandomIds, "fandom"],
+        ["productTypes", productTypeIds, "tipo de producto"],
+      ].forEach(([field, known, label]) => {
+        if (!Array.isArray(event[field])) return;
+        event[field].forEach((id, j) => {
+          if (!known.has(id)) {
+            errors.push({
+              path: `${eventPath}.${field}[${j}]`,
+              message: `${label} "${id}" no existe`,
+            });
+          }
+        });
+      });
+
+      ["startsAt", "endsAt"].forEach((field) => {
+        const value = event[field];
+        if (typeof value === "string" && isNaN(Date.parse(value))) {
+          errors.push({
+            path: `${eventPath}.${field}`,
+            message: `fecha inválida "${value}"`,
+          });
+        }
+      });
+      if (
+        typeof event.startsAt === "string" &&
+        typeof event.endsAt === "string" &&
+        event.endsAt <= event.startsAt
+      ) {
+        errors.push({
+          path: `${eventPath}.endsAt`,
+          message: "el evento termina antes de empezar",
+        });
+      }
+    });
+  }
+
+  // Ventas: fechas reales (el patrón del schema acepta "2026-13-45")
+  const checkSales = (sales, salesPath) => {
+    if (!Array.isArray(sales)) return;
+    sales.forEach((sale, i) => {
+      if (
+        sale &&
+        typeof sale.date === "string" &&
+        isNaN(Date.parse(sale.date))
+      ) {
+        errors.push({
+          path: `${salesPath}[${i}].date`,
+          message: `fecha inválida "${sale.date}"`,
+        });
+      }
+    });
+  };
+  data.fandoms.forEach((fandom, i) => {
+    if (fandom) checkSales(fandom.sales, `$.fandoms[${i}].sales`);
+  });
+  forEachProduct(data, (product, { path: productPath }) => {
+    if (product) checkSales(product.sales, `${productPath}.sales`);
+  });
+
+  // Imágenes referenciadas que no existen en disco
+  if (checkImages) {
+    const imageDir = path.join(rootDir, "img") + path.sep;
+    const checkImage = (image, imagePath) => {
+      if (typeof image !== "string") return;
+      const imageFile = path.resolve(rootDir, image);
+      if (!imageFile.startsWith(imageDir)) {
+        errors.push({
+          path: imagePath,
+          message: `la imagen "${image}" tiene que estar dentro de img/`,
+        });
+      } else if (!fs.existsSync(imageFile)) {
+        errors.push({
+          path: imagePath,
+          message: `la imagen "${image}" no existe`,
+        });
+      }
+    };
+
+    data.fandoms.forEach((fandom, i) => {
+      if (fandom) checkImage(fandom.thumbnail, `$.fandoms[${i}].thumbnail`);
+    });
+    forEachProduct(data, (product, { path: productPath }) => {
+      if (product) checkImage(product.image, `${productPath}.image`);
+    });
+  }
+
+  return { errors, warnings };
+}
+
+module.exports = {
+  ROOT_DIR,
+  CATALOG_PATH,
+  readCatalog,
+  formatCatalog,
+  createIdGenerator,
+  writeCatalog,
+  validateCatalog,
+  forEachProduct,
+};
@@ -0,0 +1,139 @@
+// ============================================
+// LECTURA Y ESCRITURA DE ARCHIVOS CSV
+// ============================================
+
+/**
+ * CSV mínimo (RFC 4180) para los comandos de Node: comillas dobles,
+ * saltos de línea dentro de comillas y separador "," o ";" (el que usa
+ * Excel con configuración regional en español).
+ */
+
+"use strict";
+
+/**
+ * Detecta el separador mirando la primera línea
+ * @param {string} text - Contenido del CSV
+ * @returns {string} "," o ";"
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const count = (char) => firstLine.split(char).length - 1;
+  return count(";") > count(",") ? ";" : ",";
+}
+
+/**
+ * Parsea un CSV en filas de celdas
+ * @param {string} text - Contenido del CSV
+ * @param {string} [delimiter] - Separador (por defecto se detecta)
+ * @returns {Array<{line: number, cells: string[]}>} Filas no vacías con su
+ *   número de línea (1-based) para los mensajes de error
+ */
+function parseCSV(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  // Quita el BOM que agregan algunas planillas
+  const source = text.replace(/^\uFEFF/, "");
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.some((value) => value.trim() !== "")) {
+      rows.push({ line: rowLine, cells });
+    }
+    cells = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || cells.length > 0) endRow();
+
+  return rows;
+}
+
+/**
+ * Convierte las filas en registros usando la primera como encabezado
+ * Los nombres de columna se normalizan (minúsculas, sin tildes ni espacios
+ * extra) para aceptar "Cantidad", "cantidad " o "CANTIDAD"
+ * @param {string} text - Contenido del CSV
+ * @returns {{columns: string[], records: Array<{line: number, values: Object}>}}
+ */
+function readCSVRecords(text) {
+  const [header, ...rows] = parseCSV(text);
+  if (!header) return { columns: [], records: [] };
+
+  const columns = header.cells.map(normalizeColumnName);
+  const records = rows.map(({ line, cells }) => {
+    const values = {};
+    columns.forEach((column, i) => {
+      values[column] = (cells[i] || "").trim();
+    });
+    return { line, values };
+  });
+  return { columns, records };
+}
+
+/**
+ * Normaliza un nombre de columna
+ * @param {string} name - Encabezado tal como viene en el archivo
+ * @returns {string} Nombre normalizado (ej: "Año " → "ano")
+ */
+function normalizeColumnName(name) {
+  return name
+    .trim()
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\s+/g, " ");
+}
+
+/**
+ * Genera un CSV con comillas solo donde hacen falta
+ * Empieza con BOM para que Excel reconozca los acentos (UTF-8)
+ * @param {Array<Array>} rows - Filas, la primera con los encabezados
+ * @returns {string} Contenido del CSV con salto de línea final
+ */
+function formatCSV(rows) {
+  const formatCell = (value) => {
+    const text = value === undefined || value === null ? "" : String(value);
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = rows.map((cells) => cells.map(formatCell).join(","));
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+module.exports = {
+  parseCSV,
+  readCSVRecords,
+  formatCSV,
+  normalizeColumnName,
+};
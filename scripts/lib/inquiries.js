@@ -0,0 +1,388 @@
+// ============================================
+// CONSULTAS DEL FORMULARIO DE CONTACTO
+// ============================================
+
+/**
+ * Validación y guardado de las consultas que llegan al servidor local.
+ * Las consultas se guardan en data/inquiries.json (no se versiona) y las
+ * imágenes de referencia de las comisiones en data/attachments/.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { ROOT_DIR } = require("./catalog");
+
+const DATA_DIR = path.join(ROOT_DIR, "data");
+const INQUIRIES_PATH = path.join(DATA_DIR, "inquiries.json");
+const ATTACHMENTS_DIR = path.join(DATA_DIR, "attachments");
+
+// Valores válidos del select "Producto de Interés" (index.html)
+const PRODUCT_OPTIONS = [
+  "",
+  "llavero",
+  "print",
+  "pin",
+  "phone-charm",
+  "mini-llavero",
+  "sticker",
+  "personalizado",
+  "comision",
+  "otro",
+];
+
+const LIMITS = {
+  name: 100,
+  email: 200,
+  message: 2000,
+  commissionText: 300, // Fandom, personajes, tamaño y formato de la comisión
+  attachments: 3, // Imágenes de referencia por consulta
+  attachmentBytes: 1024 * 1024, // Tamaño máximo de cada imagen (decodificada)
+  attachmentName: 120,
+};
+
+// Formatos aceptados para las imágenes de referencia: extensión y firma
+// de los primeros bytes (no alcanza con el tipo que informa el navegador)
+const ATTACHMENT_TYPES = new Map([
+  [
+    "image/jpeg",
+    { extension: ".jpg", matches: (data) => hasBytesAt(data, 0, "ffd8ff") },
+  ],
+  [
+    "image/png",
+    {
+      extension: ".png",
+      matches: (data) => hasBytesAt(data, 0, "89504e470d0a1a0a"),
+    },
+  ],
+  [
+    "image/webp",
+    {
+      extension: ".webp",
+      matches: (data) =>
+        hasBytesAt(data, 0, "52494646") && hasBytesAt(data, 8, "57454250"),
+    },
+  ],
+  [
+    "image/gif",
+    {
+      extension: ".gif",
+      matches: (data) =>
+        hasBytesAt(data, 0, "474946383761") ||
+        hasBytesAt(data, 0, "474946383961"),
+    },
+  ],
+]);
+
+/**
+ * Indica si un archivo tiene ciertos bytes en una posición
+ * @param {Buffer} data - Contenido del archivo
+ * @param {number} offset - Posición del primer byte
+ * @param {string} hex - Bytes esperados en hexadecimal
+ * @returns {boolean} true si coinciden
+ */
+function hasBytesAt(data, offset, hex) {
+  const expected = Buffer.from(hex, "hex");
+  return (
+    data.length >= offset + expected.length &&
+    data.subarray(offset, offset + expected.length).equals(expected)
+  );
+}
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const CLIENT_ID_REGEX = /^[a-z0-9-]{8,64}$/i;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const BASE64_REGEX = /^[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * Valida una consulta recibida
+ * Devuelve los errores por campo con el mismo formato que muestra el sitio
+ * @param {Object} body - Cuerpo JSON de la petición
+ * @returns {{inquiry: Object|null, errors: Array<{field: string, code: string, message: string}>}}
+ */
+function validateInquiry(body) {
+  const errors = [];
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return {
+      inquiry: null,
+      errors: [
+        { field: null, code: "invalid", message: "La consulta no es válida" },
+      ],
+    };
+  }
+
+  const text = (value) => (typeof value === "string" ? value.trim() : "");
+  const inquiry = {
+    name: text(body.name),
+    email: text(body.email),
+    product: text(body.product),
+    message: text(body.message),
+  };
+
+  if (!inquiry.name) {
+    errors.push({
+      field: "name",
+      code: "name-required",
+      message: "Ingresá tu nombre",
+    });
+  } else if (inquiry.name.length > LIMITS.name) {
+    errors.push({
+      field: "name",
+      code: "name-too-long",
+      message: `El nombre no puede superar ${LIMITS.name} caracteres`,
+    });
+  }
+
+  if (!inquiry.email) {
+    errors.push({
+      field: "email",
+      code: "email-required",
+      message: "Ingresá tu email",
+    });
+  } else if (
+    inquiry.email.length > LIMITS.email ||
+    !EMAIL_REGEX.test(inquiry.email)
+  ) {
+    errors.push({
+      field: "email",
+      code: "email-invalid",
+      message: "Ingresá un email válido",
+    });
+  }
+
+  if (!PRODUCT_OPTIONS.includes(inquiry.product)) {
+    errors.push({
+      field: "product",
+      code: "product-invalid",
+      message: "Elegí una opción de la lista",
+    });
+  }
+
+  if (!inquiry.message) {
+    errors.push({
+      field: "message",
+      code: "message-required",
+      message: "Escribí tu mensaje",
+    });
+  } else if (inquiry.message.length > LIMITS.message) {
+    errors.push({
+      field: "message",
+      code: "message-too-long",
+      message: `El mensaje no puede superar ${LIMITS.message} caracteres`,
+    });
+  }
+
+  // Datos estructurados del asistente de comisiones (opcionales)
+  if (body.commission !== undefined) {
+    const commission = validateCommission(body.commission);
+    if (commission) {
+      inquiry.commission = commission;
+    } else {
+      errors.push({
+        field: null,
+        code: "commission-invalid",
+        message: "Los datos de la comisión no son válidos",
+      });
+    }
+  }
+
+  if (body.attachments !== undefined) {
+    const result = validateAttachments(body.attachments);
+    if (result.error) {
+      errors.push({ field: "attachments", ...result.error });
+    } else {
+      inquiry.attachments = result.attachments;
+    }
+  }
+
+  // Id generado por el navegador: evita duplicados al reintentar envíos
+  if (
+    typeof body.clientId === "string" &&
+    CLIENT_ID_REGEX.test(body.clientId)
+  ) {
+    inquiry.clientId = body.clientId;
+  }
+
+  return { inquiry: errors.length === 0 ? inquiry : null, errors };
+}
+
+/**
+ * Valida los datos estructurados de una comisión
+ * El resumen legible ya viaja en message; esto permite filtrar y presupuestar
+ * @param {*} value - body.commission
+ * @returns {Object|null} Datos limpios o null si no son válidos
+ */
+function validateCommission(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return null;
+
+  const text = (field) =>
+    typeof value[field] === "string" ? value[field].trim() : "";
+  const commission = {
+    format: text("format"),
+    size: text("size"),
+    doubleSided: value.doubleSided === true,
+    fandom: text("fandom"),
+    characters: text("characters"),
+    characterCount: value.characterCount,
+    deadline: text("deadline"),
+    estimate: value.estimate,
+  };
+
+  const textFields = ["format", "size", "fandom", "characters"];
+  if (
+    !commission.format ||
+    textFields.some((field) => commission[field].length > LIMITS.commissionText)
+  ) {
+    return null;
+  }
+  if (
+    !Number.isInteger(commission.characterCount) ||
+    commission.characterCount < 1 ||
+    commission.characterCount > 20
+  ) {
+    return null;
+  }
+  if (commission.deadline && !DATE_REGEX.test(commission.deadline)) {
+    return null;
+  }
+  if (
+    typeof commission.estimate !== "number" ||
+    !Number.isFinite(commission.estimate) ||
+    commission.estimate < 0
+  ) {
+    return null;
+  }
+
+  return commission;
+}
+
+/**
+ * Valida las imágenes de referencia (base64, sin prefijo data:)
+ * @param {*} value - body.attachments
+ * @returns {{attachments?: Array<Object>, error?: {code: string, message: string}}}
+ */
+function validateAttachments(value) {
+  if (!Array.isArray(value)) {
+    return {
+      error: {
+        code: "attachments-invalid",
+        message: "Las imágenes adjuntas no son válidas",
+      },
+    };
+  }
+  if (value.length > LIMITS.attachments) {
+    return {
+      error: {
+        code: "attachments-too-many",
+        message: `Podés adjuntar hasta ${LIMITS.attachments} imágenes`,
+      },
+    };
+  }
+
+  const attachments = [];
+  for (const item of value) {
+    const valid =
+      item &&
+      typeof item.name === "string" &&
+      item.name.trim() &&
+      item.name.length <= LIMITS.attachmentName &&
+      ATTACHMENT_TYPES.has(item.type) &&
+      typeof item.data === "string" &&
+      BASE64_REGEX.test(item.data);
+    if (!valid) {
+      return {
+        error: {
+          code: "attachments-invalid",
+          message: "Las imágenes adjuntas no son válidas",
+        },
+      };
+    }
+
+    const data = Buffer.from(item.data, "base64");
+    if (data.length > LIMITS.attachmentBytes) {
+      return {
+        error: {
+          code: "attachment-too-large",
+          message: `Cada imagen puede pesar hasta ${LIMITS.attachmentBytes / 1024 / 1024} MB`,
+        },
+      };
+    }
+    if (!ATTACHMENT_TYPES.get(item.type).matches(data)) {
+      return {
+        error: {
+          code: "attachments-invalid",
+          message: `"${item.name.trim()}" no es una imagen JPG, PNG, WEBP o GIF`,
+        },
+      };
+    }
+    attachments.push({ name: item.name.trim(), type: item.type, data });
+  }
+
+  return { attachments };
+}
+
+/**
+ * Lee las consultas guardadas
+ * @returns {Array<Object>} Consultas (vacío si todavía no hay archivo)
+ */
+function readInquiries() {
+  if (!fs.existsSync(INQUIRIES_PATH)) return [];
+  return JSON.parse(fs.readFileSync(INQUIRIES_PATH, "utf8"));
+}
+
+/**
+ * Guarda una consulta validada
+ * Si ya existe una con el mismo clientId (reintento), no la duplica
+ * @param {Object} inquiry - Consulta devuelta por validateInquiry
+ * @returns {{id: string, duplicate: boolean}} Id asignado
+ */
+function saveInquiry(inquiry) {
+  const inquiries = readInquiries();
+
+  if (inquiry.clientId) {
+    const existing = inquiries.find(
+      (saved) => saved.clientId === inquiry.clientId,
+    );
+    if (existing) return { id: existing.id, duplicate: true };
+  }
+
+  const id = crypto.randomUUID();
+  const record = { id, receivedAt: new Date().toISOString(), ...inquiry };
+
+  // Las imágenes se guardan aparte; la consulta solo referencia los archivos
+  if (inquiry.attachments) {
+    fs.mkdirSync(ATTACHMENTS_DIR, { recursive: true });
+    record.attachments = inquiry.attachments.map((attachment, index) => {
+      const { extension } = ATTACHMENT_TYPES.get(attachment.type);
+      const file = `${id}-${index + 1}${extension}`;
+      fs.writeFileSync(path.join(ATTACHMENTS_DIR, file), attachment.data);
+      return {
+        file: `attachments/${file}`, // Relativo a data/
+        name: attachment.name,
+        type: attachment.type,
+        size: attachment.data.length,
+      };
+    });
+  }
+  inquiries.push(record);
+
+  // Escribe en un temporal y renombra para no dejar el archivo a medias
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const tempPath = `${INQUIRIES_PATH}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(inquiries, null, 2) + "\n");
+  fs.renameSync(tempPath, INQUIRIES_PATH);
+
+  return { id, duplicate: false };
+}
+
+module.exports = {
+  DATA_DIR,
+  INQUIRIES_PATH,
+  ATTACHMENTS_DIR,
+  LIMITS,
+  validateInquiry,
+  readInquiries,
+  saveInquiry,
+};
@@ -0,0 +1,187 @@
+// ============================================
+// VALIDADOR MÍNIMO DE JSON SCHEMA (DRAFT-07)
+// ============================================
+
+/**
+ * Implementa el subconjunto de JSON Schema que usa catalog.schema.json:
+ * type, required, properties, additionalProperties, propertyNames,
+ * items, minItems, minLength, minimum, pattern, enum, format (date-time)
+ * y $ref a "#/definitions/...".
+ * Se evita así depender de paquetes externos para validar el catálogo.
+ */
+
+"use strict";
+
+/**
+ * Tipo JSON de un valor ("integer" se reporta como "number")
+ * @param {*} value - Valor a inspeccionar
+ * @returns {string} Tipo JSON
+ */
+function jsonType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Construye el path JSON de una propiedad
+ * @param {string} path - Path del padre (ej: "$.fandoms[0]")
+ * @param {string|number} key - Propiedad o índice
+ * @returns {string} Path del hijo
+ */
+function childPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key)
+    ? `${path}.${key}`
+    : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Resuelve un $ref local ("#/definitions/nombre")
+ * @param {Object} root - Schema raíz
+ * @param {string} ref - Referencia
+ * @returns {Object} Schema referenciado
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith("#/")) {
+    throw new Error(`Referencia no soportada: ${ref}`);
+  }
+  return ref
+    .slice(2)
+    .split("/")
+    .reduce((node, key) => {
+      if (!node || !(key in node)) {
+        throw new Error(`Referencia inexistente: ${ref}`);
+      }
+      return node[key];
+    }, root);
+}
+
+/**
+ * Valida un valor contra un schema
+ * @param {*} value - Valor a validar
+ * @param {Object} schema - Schema (o sub-schema)
+ * @param {Object} [root] - Schema raíz para resolver $ref
+ * @param {string} [path] - Path JSON del valor
+ * @returns {Array<{path: string, message: string}>} Errores encontrados
+ */
+function validateSchema(value, schema, root = schema, path = "$") {
+  const errors = [];
+  const fail = (message, at = path) => errors.push({ path: at, message });
+
+  if (schema.$ref) {
+    return validateSchema(value, resolveRef(root, schema.$ref), root, path);
+  }
+
+  const type = jsonType(value);
+
+  if (schema.type) {
+    const expected = [].concat(schema.type);
+    const matches = expected.some(
+      (t) =>
+        t === type ||
+        (t === "integer" && type === "number" && Number.isInteger(value)),
+    );
+    if (!matches) {
+      fail(`se esperaba ${expected.join(" o ")} pero es ${type}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(
+      `valor ${JSON.stringify(value)} no permitido (opciones: ${schema.enum.join(", ")})`,
+    );
+  }
+
+  if (type === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(
+        schema.minLength === 1
+          ? "no puede estar vacío"
+          : `debe tener al menos ${schema.minLength} caracteres`,
+      );
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+      fail(`"${value}" no cumple el formato ${schema.pattern}`);
+    }
+    if (schema.format === "date-time" && isNaN(Date.parse(value))) {
+      fail(
+        `"${value}" no es una fecha válida (usar ISO 8601, ej: 2026-03-14T15:00:00-03:00)`,
+      );
+    }
+  }
+
+  if (type === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`debe ser mayor o igual a ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`debe ser menor o igual a ${schema.maximum}`);
+    }
+  }
+
+  if (type === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(
+        value.length === 0
+          ? "la lista está vacía"
+          : `debe tener al menos ${schema.minItems} elementos`,
+      );
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(
+          ...validateSchema(item, schema.items, root, childPath(path, i)),
+        );
+      });
+    }
+  }
+
+  if (type === "object") {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) fail(`falta la propiedad obligatoria "${key}"`);
+    });
+
+    Object.keys(value).forEach((key) => {
+      const keyPath = childPath(path, key);
+
+      if (schema.propertyNames) {
+        const nameErrors = validateSchema(
+          key,
+          schema.propertyNames,
+          root,
+          keyPath,
+        );
+        if (nameErrors.length)
+          fail(
+            `nombre de propiedad inválido: ${nameErrors[0].message}`,
+            keyPath,
+          );
+      }
+
+      if (properties[key]) {
+        errors.push(
+          ...validateSchema(value[key], properties[key], root, keyPath),
+        );
+      } else if (schema.additionalProperties === false) {
+        fail(`propiedad desconocida "${key}"`, keyPath);
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(
+          ...validateSchema(
+            value[key],
+            schema.additionalProperties,
+            root,
+            keyPath,
+          ),
+        );
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = { validateSchema, childPath };
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+// ============================================
+// COMANDO: OPTIMIZAR IMÁGENES DEL CATÁLOGO
+// ============================================
+
+/**
+ * Genera versiones en varios anchos (webp) y un placeholder borroso
+ * para cada imagen referenciada en gallery-data.json, y escribe
+ * img/optimized/manifest.json, que usa script.js para armar srcset.
+ *
+ * Uso:
+ *   node scripts/optimize-images.js [--force]
+ *
+ * Requiere sharp (no se versiona con el sitio):
+ *   npm install --no-save sharp
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { ROOT_DIR, readCatalog, forEachProduct } = require("./lib/catalog");
+
+const OUTPUT_DIR = path.join(ROOT_DIR, "img", "optimized");
+const MANIFEST_PATH = path.join(OUTPUT_DIR, "manifest.json");
+
+// Anchos generados; nunca se agranda una imagen más allá de su original
+const WIDTHS = [160, 320, 640, 960];
+const QUALITY = 78;
+const PLACEHOLDER_WIDTH = 16;
+
+let sharp;
+try {
+  sharp = require("sharp");
+} catch (error) {
+  console.error(
+    "✖ Falta la dependencia sharp. Instalala con: npm install --no-save sharp",
+  );
+  process.exit(1);
+}
+
+const force = process.argv.includes("--force");
+
+/**
+ * Junta todas las imágenes referenciadas por el catálogo (sin repetir)
+ * @param {Object} data - Catálogo
+ * @returns {Array<string>} Rutas relativas (ej: "img/TBOI.webp")
+ */
+function collectCatalogImages(data) {
+  const images = new Set();
+  data.fandoms.forEach((fandom) => {
+    if (fandom.thumbnail) images.add(fandom.thumbnail);
+  });
+  forEachProduct(data, (product) => {
+    if (product.image) images.add(product.image);
+  });
+  return Array.from(images).sort();
+}
+
+/**
+ * Ruta de salida de una versión redimensionada
+ * @param {string} image - Ruta original (ej: "img/isaac/llaveros/azazel.webp")
+ * @param {number} width - Ancho de la versión
+ * @returns {string} Ruta relativa (ej: "img/optimized/isaac/llaveros/azazel-320.webp")
+ */
+function variantPath(image, width) {
+  const relative = path.posix.relative("img", image);
+  const { dir, name } = path.posix.parse(relative);
+  return path.posix.join("img/optimized", dir, `${name}-${width}.webp`);
+}
+
+/**
+ * Indica si una salida ya está al día respecto de su original
+ * @param {string} source - Ruta absoluta del original
+ * @param {string} output - Ruta absoluta de la salida
+ * @returns {boolean} true si se puede reutilizar
+ */
+function isUpToDate(source, output) {
+  if (force || !fs.existsSync(output)) return false;
+  return fs.statSync(output).mtimeMs >= fs.statSync(source).mtimeMs;
+}
+
+/**
+ * Procesa una imagen: versiones por ancho + placeholder
+ * @param {string} image - Ruta relativa de la imagen
+ * @param {Object} previous - Entrada previa del manifest (para reutilizar el placeholder)
+ * @returns {Promise<Object>} Entrada del manifest
+ */
+async function processImage(image, previous) {
+  const source = path.join(ROOT_DIR, image);
+  const metadata = await sharp(source).metadata();
+
+  // Anchos menores al original; si es muy chica, al menos su propio ancho
+  let widths = WIDTHS.filter((w) => w < metadata.width);
+  if (widths.length === 0) widths = [metadata.width];
+
+  const variants = [];
+  for (const width of widths) {
+    const output = variantPath(image, width);
+    const outputAbs = path.join(ROOT_DIR, output);
+
+    if (!isUpToDate(source, outputAbs)) {
+      fs.mkdirSync(path.dirname(outputAbs), { recursive: true });
+      await sharp(source)
+        .resize({ width })
+        .webp({ quality: QUALITY })
+        .toFile(outputAbs);
+    }
+    variants.push({ width, path: output });
+  }
+
+  let placeholder = previous && previous.placeholder;
+  if (!placeholder || force || !isUpToDate(source, MANIFEST_PATH)) {
+    const buffer = await sharp(source)
+      .resize({ width: PLACEHOLDER_WIDTH })
+      .blur()
+      .webp({ quality: 40 })
+      .toBuffer();
+    placeholder = `data:image/webp;base64,${buffer.toString("base64")}`;
+  }
+
+  return {
+    width: metadata.width,
+    height: metadata.height,
+    variants,
+    placeholder,
+  };
+}
+
+/**
+ * Punto de entrada del comando
+ */
+async function main() {
+  const data = readCatalog();
+  const images = collectCatalogImages(data);
+
+  const previousManifest = fs.existsSync(MANIFEST_PATH)
+    ? JSON.parse(fs.readFileSync(MANIFEST_PATH, "utf8"))
+    : { images: {} };
+
+  const manifest = {
+    generatedAt: new Date().toISOString(),
+    widths: WIDTHS,
+    images: {},
+  };
+
+  let missing = 0;
+  for (const image of images) {
+    if (!fs.existsSync(path.join(ROOT_DIR, image))) {
+      console.warn(`⚠ ${image} no existe, se omite`);
+      missing++;
+      continue;
+    }
+
+    try {
+      manifest.images[image] = await processImage(
+        image,
+        previousManifest.images[image],
+      );
+      const sizes = manifest.images[image].variants
+        .map((v) => v.width)
+        .join(", ");
+      console.log(`✔ ${image} → ${sizes}px`);
+    } catch (error) {
+      console.error(`✖ ${image}: ${error.message}`);
+      missing++;
+    }
+  }
+
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + "\n");
+
+  console.log(
+    `\n${Object.keys(manifest.images).length} imagen(es) optimizadas` +
+      (missing ? `, ${missing} omitida(s)` : "") +
+      ` → ${path.relative(process.cwd(), MANIFEST_PATH)}`,
+  );
+}
+
+main().catch((error) => {
+  console.error(`✖ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,788 @@
+#!/usr/bin/env node
+// ============================================
+// COMANDO: PÁGINAS ESTÁTICAS POR FANDOM (SEO)
+// ============================================
+
+/**
+ * Genera, a partir de index.html y gallery-data.json:
+ * - fandom-<fandom>.html: vista del fandom con su primer tipo de producto
+ * - fandom-<fandom>-<tipo>.html: resto de los tipos del fandom
+ * - sitemap.xml y robots.txt
+ *
+ * Cada página trae título, descripción, Open Graph (imagen del thumbnail
+ * del fandom), datos JSON-LD (ItemList de Product) y la primera página del
+ * grid ya renderizada en español. script.js la "hidrata": si el catálogo,
+ * el idioma y las promociones vigentes coinciden con los de la build,
+ * conserva ese HTML y solo conecta los eventos.
+ *
+ * Las páginas quedan en la raíz del sitio para que las rutas relativas
+ * (styles.css, img/..., gallery-data.json) sigan funcionando.
+ * Volver a correrlo después de cada cambio del catálogo.
+ *
+ * Uso:
+ *   node scripts/prerender.js --base-url https://hadessalem.com.ar
+ *
+ * Variables de entorno:
+ *   SITE_URL  URL pública del sitio (alternativa a --base-url)
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { ROOT_DIR, CATALOG_PATH, readCatalog } = require("./lib/catalog");
+
+const TEMPLATE_PATH = path.join(ROOT_DIR, "index.html");
+const MANIFEST_PATH = path.join(ROOT_DIR, "img", "optimized", "manifest.json");
+
+// Deben coincidir con CONFIG en script.js
+const LOCALE = "es-AR";
+const ITEMS_PER_PAGE = 6; // Columnas del grid de escritorio × CONFIG.pagination.rows
+const PLACEHOLDER_IMAGE = "img/proximamente.webp";
+const ORDERABLE_STATUSES = ["available", "made-to-order"];
+const CART_MAX_QUANTITY = 99;
+const PRODUCT_IMAGE_SIZES =
+  "(max-width: 640px) 50vw, (max-width: 968px) 33vw, 380px";
+
+const SITE_NAME = "Hades Salem";
+const DEFAULT_IMAGE = "img/logo-principal.png";
+const PAGE_PATTERN = /^fandom-[a-z0-9-]+\.html$/;
+
+// Disponibilidad de schema.org para cada estado de producto
+const SCHEMA_AVAILABILITY = {
+  available: "https://schema.org/InStock",
+  "made-to-order": "https://schema.org/MadeToOrder",
+  "coming-soon": "https://schema.org/PreOrder",
+  "sold-out": "https://schema.org/OutOfStock",
+};
+
+// ============================================
+// ARGUMENTOS
+// ============================================
+
+const args = process.argv.slice(2);
+const baseUrlIndex = args.indexOf("--base-url");
+const baseUrlArg =
+  baseUrlIndex !== -1 ? args[baseUrlIndex + 1] : process.env.SITE_URL;
+
+let baseUrl;
+try {
+  baseUrl = new URL(baseUrlArg).href.replace(/\/?$/, "/");
+} catch (error) {
+  console.error(
+    "✖ Falta la URL pública del sitio. Uso: node scripts/prerender.js --base-url https://...",
+  );
+  process.exit(1);
+}
+
+// ============================================
+// UTILIDADES
+// ============================================
+
+/**
+ * Escapa texto para insertarlo en HTML (contenido o atributos)
+ * @param {string} text - Texto a escapar
+ * @returns {string} Texto seguro
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Hash corto de un texto (FNV-1a de 32 bits en base 36)
+ * Es el mismo que usa script.js para reconocer el catálogo de la build
+ * @param {string} text - Texto a resumir
+ * @returns {string} Hash
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Fecha local en formato "AAAA-MM-DD"
+ * @param {Date} date - Fecha
+ * @returns {string} Fecha formateada
+ */
+function toISODate(date) {
+  const pad = (number) => String(number).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * URL absoluta de un archivo del sitio
+ * @param {string} relativePath - Ruta relativa a la raíz (ej: "img/TBOI.webp")
+ * @returns {string} URL pública
+ */
+function absoluteUrl(relativePath) {
+  return new URL(encodeURI(relativePath), baseUrl).href;
+}
+
+/**
+ * Reemplaza un fragmento del template y falla si index.html ya no lo tiene
+ * @param {string} html - HTML del template
+ * @param {RegExp} pattern - Fragmento a buscar
+ * @param {string|Function} replacement - Reemplazo
+ * @returns {string} HTML modificado
+ */
+function replaceOnce(html, pattern, replacement) {
+  if (!pattern.test(html)) {
+    throw new Error(`index.html no tiene el fragmento esperado: ${pattern}`);
+  }
+  return html.replace(pattern, replacement);
+}
+
+// ============================================
+// TEXTOS Y PRECIOS (IGUAL QUE script.js EN es-AR)
+// ============================================
+
+/**
+ * Lee el catálogo de mensajes de locales/<idioma>.js
+ * @param {string} locale - Idioma (ej: "es-AR")
+ * @returns {Object} Mensajes por clave
+ */
+function loadMessages(locale) {
+  const sandbox = { window: {} };
+  vm.runInNewContext(
+    fs.readFileSync(path.join(ROOT_DIR, "locales", `${locale}.js`), "utf8"),
+    sandbox,
+  );
+  return sandbox.window.I18N_MESSAGES[locale];
+}
+
+const messages = loadMessages(LOCALE);
+
+/**
+ * Versión reducida de t() de script.js (sin plurales)
+ * @param {string} key - Clave del mensaje
+ * @param {Object} [params] - Valores para {nombre}
+ * @returns {string} Texto
+ */
+function t(key, params = {}) {
+  const message = messages[key];
+  if (typeof message !== "string") return key;
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? params[name] : match,
+  );
+}
+
+const priceFormat = new Intl.NumberFormat(LOCALE, {
+  style: "currency",
+  currency: "ARS",
+  minimumFractionDigits: 0,
+  maximumFractionDigits: 0,
+});
+
+/**
+ * Lee el manifest de imágenes optimizadas (si se generó)
+ * @returns {Object} Versiones por imagen original
+ */
+function loadImageManifest() {
+  try {
+    return JSON.parse(fs.readFileSync(MANIFEST_PATH, "utf8")).images || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// ============================================
+// CATÁLOGO
+// ============================================
+
+/**
+ * Ayudantes de consulta sobre el catálogo (misma lógica que script.js)
+ * @param {Object} data - Catálogo
+ * @returns {Object} Funciones de consulta
+ */
+function createCatalogHelpers(data) {
+  const today = toISODate(new Date());
+  const productTypes = new Map(data.productTypes.map((pt) => [pt.id, pt]));
+
+  const getVariants = (product, productTypeId) =>
+    product.variants || productTypes.get(productTypeId).variants || [];
+
+  const getPrice = (product, productTypeId, variantId = null) => {
+    const variant = getVariants(product, productTypeId).find(
+      (v) => v.id === variantId,
+    );
+    const hasPrice = variant && typeof variant.price === "number";
+    if (hasPrice && Array.isArray(product.variants)) return variant.price;
+    if (typeof product.price === "number") return product.price;
+    if (hasPrice) return variant.price;
+    const productType = productTypes.get(productTypeId);
+    return typeof productType.price === "number" ? productType.price : null;
+  };
+
+  const getPriceRange = (product, productTypeId) => {
+    const variants = getVariants(product, productTypeId);
+    const prices = (variants.length ? variants : [null])
+      .map((v) => getPrice(product, productTypeId, v ? v.id : null))
+      .filter((price) => price !== null);
+    if (prices.length === 0) return null;
+    return { low: Math.min(...prices), high: Math.max(...prices) };
+  };
+
+  const getStatus = (product) => {
+    if (product.status && SCHEMA_AVAILABILITY[product.status]) {
+      return product.status;
+    }
+    return product.image === PLACEHOLDER_IMAGE ? "coming-soon" : "available";
+  };
+
+  const activePromotions = (data.promotions || []).filter(
+    (promotion) =>
+      (!promotion.startsAt || today >= promotion.startsAt) &&
+      (!promotion.endsAt || today <= promotion.endsAt),
+  );
+
+  const matchesFilter = (filter, fandomId, productTypeId) =>
+    (!filter.productTypes || filter.productTypes.includes(productTypeId)) &&
+    (!filter.fandoms || filter.fandoms.includes(fandomId));
+
+  const getPromotions = (fandomId, productTypeId) =>
+    activePromotions.filter(
+      (promotion) =>
+        matchesFilter(promotion.conditions, fandomId, productTypeId) &&
+        (promotion.effect.type !== "free-item" ||
+          matchesFilter(
+            promotion.effect.productTypes
+              ? { productTypes: promotion.effect.productTypes }
+              : promotion.conditions,
+            fandomId,
+            productTypeId,
+          )),
+    );
+
+  return {
+    productTypes,
+    activePromotions,
+    getVariants,
+    getPrice,
+    getPriceRange,
+    getStatus,
+    getPromotions,
+  };
+}
+
+// ============================================
+// MARKUP (ESPEJO DE LOS RENDER DE script.js)
+// ============================================
+
+/**
+ * Pestañas de fandoms (renderFandomFilters)
+ * @param {Object} data - Catálogo
+ * @returns {string} HTML
+ */
+function renderFandomFilters(data) {
+  const tabs = data.fandoms.map(
+    (fandom) => `
+      <button class="filter-btn" role="tab" id="fandom-tab-${fandom.id}" data-fandom="${fandom.id}" aria-controls="fandomView">
+        ${escapeHTML(fandom.name)}
+      </button>`,
+  );
+  return `
+      <button class="filter-btn" role="tab" id="fandom-tab-all" data-fandom="all" aria-controls="featuredView">
+        ${escapeHTML(t("gallery.allFandoms"))}
+      </button>
+      <button class="filter-btn" role="tab" id="fandom-tab-favorites" data-fandom="favorites" aria-controls="fandomView">
+        ${escapeHTML(t("favorites.tab"))}
+        <span class="favorites-count">0</span>
+      </button>${tabs.join("")}
+    `;
+}
+
+/**
+ * Pestañas de tipos de producto de un fandom (renderProductTypeFilters)
+ * @param {Object} fandom - Fandom
+ * @param {Object} helpers - Resultado de createCatalogHelpers()
+ * @returns {string} HTML
+ */
+function renderProductTypeFilters(fandom, helpers) {
+  return Object.entries(fandom.products)
+    .filter(([productTypeId]) => helpers.productTypes.has(productTypeId))
+    .map(([productTypeId, products]) => {
+      const productType = helpers.productTypes.get(productTypeId);
+      return `
+      <button class="product-type-btn" role="tab" id="type-tab-${productType.id}" data-type="${productType.id}" aria-controls="productGrid">
+        <span class="product-type-icon"><i data-lucide="${productType.icon}"></i></span>
+        <span class="product-type-name">${escapeHTML(productType.name)}</span>
+        <span class="product-count">${products.length}</span>
+      </button>`;
+    })
+    .join("");
+}
+
+/**
+ * Tarjeta de un producto (renderProductItem y sus partes)
+ * @param {Object} product - Producto
+ * @param {Object} fandom - Fandom del producto
+ * @param {string} productTypeId - Tipo de producto
+ * @param {Object} helpers - Resultado de createCatalogHelpers()
+ * @param {Object} imageManifest - Versiones optimizadas por imagen
+ * @returns {string} HTML
+ */
+function renderProductItem(
+  product,
+  fandom,
+  productTypeId,
+  helpers,
+  imageManifest,
+) {
+  const name = escapeHTML(product.name);
+  const status = helpers.getStatus(product);
+  const orderable = ORDERABLE_STATUSES.includes(status);
+  const favoriteLabel = escapeHTML(t("favorites.toggle"));
+
+  const imageEntry = imageManifest[product.image];
+  const placeholder =
+    imageEntry && imageEntry.placeholder
+      ? `data-blur-up style="background-image: url('${imageEntry.placeholder}')"`
+      : "";
+  const srcset =
+    imageEntry && imageEntry.variants && imageEntry.variants.length
+      ? `srcset="${imageEntry.variants
+          .map((variant) => `${encodeURI(variant.path)} ${variant.width}w`)
+          .join(
+            ", ",
+          )}" sizes="${PRODUCT_IMAGE_SIZES}" onload="this.classList.add('loaded')"`
+      : "";
+
+  const range = helpers.getPriceRange(product, productTypeId);
+  let price = t("price.onRequest");
+  if (range) {
+    price = priceFormat.format(range.low);
+    if (range.high !== range.low) price = t("price.from", { price });
+  }
+
+  const promotions = orderable
+    ? helpers.getPromotions(fandom.id, productTypeId)
+    : [];
+  const promotionBadges = promotions.length
+    ? `<div class="promo-badges">${promotions
+        .map(
+          (promotion) =>
+            `<span class="promo-badge" title="${escapeHTML(promotion.description || "")}">${escapeHTML(promotion.name)}</span>`,
+        )
+        .join("")}</div>`
+    : "";
+
+  const variants = helpers.getVariants(product, productTypeId);
+  const variantSelect = variants.length
+    ? `<select class="product-variant-select" aria-label="${escapeHTML(t("product.variantOf", { name: product.name }))}">${variants
+        .map((v) => {
+          const variantPrice = helpers.getPrice(product, productTypeId, v.id);
+          const priceLabel =
+            variantPrice !== null
+              ? ` · ${priceFormat.format(variantPrice)}`
+              : "";
+          return `<option value="${v.id}">${escapeHTML(v.name)}${priceLabel}</option>`;
+        })
+        .join("")}</select>`
+    : "";
+  const cartControls = orderable
+    ? `${variantSelect}<input class="product-quantity-input" type="number" min="1" max="${CART_MAX_QUANTITY}" value="1" aria-label="${escapeHTML(t("cart.quantity"))}" /><button class="product-add-btn" data-product-id="${product.id}"><i data-lucide="shopping-bag"></i> ${escapeHTML(t("product.add"))}</button>`
+    : `<button class="product-add-btn" disabled>${escapeHTML(t("product.unavailable"))}</button>`;
+
+  return `
+    <div class="product-item" data-product-id="${product.id}" tabindex="0" aria-label="${escapeHTML(t("product.view", { name: product.name }))}">
+      <div class="product-item-image" ${placeholder}>
+        <img src="${encodeURI(product.image)}" ${srcset} alt="${name}" loading="lazy" />
+        <span class="status-badge status-${status}">${escapeHTML(t(`status.${status}`))}</span>
+        <button type="button" class="favorite-btn" data-product-id="${product.id}" aria-pressed="false" aria-label="${favoriteLabel}" title="${favoriteLabel}"><i data-lucide="heart"></i></button>
+        ${promotionBadges}
+      </div>
+      <div class="product-item-info">
+        <h4>${name}</h4>
+        <p class="product-item-price">${escapeHTML(price)}</p>
+        <div class="product-cart-controls">${cartControls}</div>
+      </div>
+    </div>`;
+}
+
+// ============================================
+// METADATOS (TÍTULO, OPEN GRAPH, JSON-LD)
+// ============================================
+
+/**
+ * Nombre de archivo de la página de un fandom / tipo de producto
+ * El primer tipo del fandom usa la página del fandom
+ * @param {Object} fandom - Fandom
+ * @param {string} productTypeId - Tipo de producto
+ * @returns {string} Nombre de archivo en la raíz del sitio
+ */
+function pageFileName(fandom, productTypeId) {
+  const firstType = Object.keys(fandom.products)[0];
+  return productTypeId === firstType
+    ? `fandom-${fandom.id}.html`
+    : `fandom-${fandom.id}-${productTypeId}.html`;
+}
+
+/**
+ * Datos estructurados de un producto (schema.org/Product)
+ * @param {Object} product - Producto
+ * @param {Object} fandom - Fandom
+ * @param {string} productTypeId - Tipo de producto
+ * @param {Object} helpers - Resultado de createCatalogHelpers()
+ * @returns {Object} Product
+ */
+function buildProductSchema(product, fandom, productTypeId, helpers) {
+  const url = absoluteUrl(pageFileName(fandom, productTypeId));
+  const schema = {
+    "@type": "Product",
+    name: product.name,
+    sku: product.id,
+    image: absoluteUrl(product.image),
+    category: `${fandom.name} · ${helpers.productTypes.get(productTypeId).name}`,
+    brand: { "@type": "Brand", name: SITE_NAME },
+    url,
+  };
+
+  const range = helpers.getPriceRange(product, productTypeId);
+  if (range) {
+    const availability = SCHEMA_AVAILABILITY[helpers.getStatus(product)];
+    schema.offers =
+      range.low === range.high
+        ? {
+            "@type": "Offer",
+            price: range.low,
+            priceCurrency: "ARS",
+            availability,
+            url,
+          }
+        : {
+            "@type": "AggregateOffer",
+            lowPrice: range.low,
+            highPrice: range.high,
+            priceCurrency: "ARS",
+            availability,
+            url,
+          };
+  }
+  return schema;
+}
+
+/**
+ * Lista de productos en JSON-LD (schema.org/ItemList)
+ * @param {string} name - Nombre de la lista
+ * @param {string} url - URL de la página
+ * @param {Array} entries - [{ product, productTypeId }]
+ * @param {Object} fandom - Fandom
+ * @param {Object} helpers - Resultado de createCatalogHelpers()
+ * @returns {string} JSON listo para un <script type="application/ld+json">
+ */
+function buildItemListSchema(name, url, entries, fandom, helpers) {
+  const schema = {
+    "@context": "https://schema.org",
+    "@type": "ItemList",
+    name,
+    url,
+    numberOfItems: entries.length,
+    itemListElement: entries.map(({ product, productTypeId }, i) => ({
+      "@type": "ListItem",
+      position: i + 1,
+      item: buildProductSchema(product, fandom, productTypeId, helpers),
+    })),
+  };
+  // "<" escapado para que un nombre no pueda cerrar el <script>
+  return JSON.stringify(schema, null, 2).replace(/</g, "\\u003c");
+}
+
+/**
+ * Descripción de la página de un fandom / tipo de producto
+ * @param {Object} fandom - Fandom
+ * @param {string} productTypeId - Tipo mostrado en la página
+ * @param {boolean} isFandomPage - true para la página principal del fandom
+ * @param {Object} helpers - Resultado de createCatalogHelpers()
+ * @returns {string} Descripción
+ */
+function buildDescription(fandom, productTypeId, isFandomPage, helpers) {
+  const productTypeName = (id) => helpers.productTypes.get(id).name;
+
+  if (isFandomPage) {
+    const types = Object.keys(fandom.products).map((id) =>
+      productTypeName(id).toLowerCase(),
+    );
+    const list =
+      types.length > 1
+        ? `${types.slice(0, -1).join(", ")} y ${types[types.length - 1]}`
+        : types[0];
+    const total = Object.values(fandom.products).reduce(
+      (sum, products) => sum + products.length,
+      0,
+    );
+    return (
+      `${list.charAt(0).toUpperCase()}${list.slice(1)} de ${fandom.name}: ` +
+      `${total} ${total === 1 ? "diseño" : "diseños"} de ${SITE_NAME}, ` +
+      "trinkets multifandom hechos en Argentina."
+    );
+  }
+
+  const products = fandom.products[productTypeId];
+  const names = products
+    .slice(0, 4)
+    .map((product) => product.name)
+    .join(", ");
+  return (
+    `${productTypeName(productTypeId)} de ${fandom.name} ` +
+    `(${products.length} ${products.length === 1 ? "diseño" : "diseños"}): ` +
+    `${names}${products.length > 4 ? " y más" : ""}. ${SITE_NAME}, trinkets multifandom.`
+  );
+}
+
+// ============================================
+// PÁGINAS
+// ============================================
+
+/**
+ * Genera el HTML de una página de fandom / tipo de producto
+ * @param {string} template - Contenido de index.html
+ * @param {Object} page - { fandom, productTypeId, isFandomPage, fileName }
+ * @param {Object} context - { helpers, imageManifest, prerenderKey, fandomFilters }
+ * @returns {string} HTML de la página
+ */
+function renderPage(template, page, context) {
+  const { fandom, productTypeId, isFandomPage, fileName } = page;
+  const { helpers, imageManifest } = context;
+  const productTypeName = helpers.productTypes.get(productTypeId).name;
+
+  const title = isFandomPage
+    ? `${fandom.name} | ${SITE_NAME}`
+    : `${productTypeName} de ${fandom.name} | ${SITE_NAME}`;
+  const description = buildDescription(
+    fandom,
+    productTypeId,
+    isFandomPage,
+    helpers,
+  );
+  const url = absoluteUrl(fileName);
+  const image = absoluteUrl(fandom.thumbnail || DEFAULT_IMAGE);
+
+  // La página del fandom lista todos sus productos; la del tipo, solo ese tipo
+  const entries = Object.entries(fandom.products)
+    .filter(([typeId]) => isFandomPage || typeId === productTypeId)
+    .flatMap(([typeId, products]) =>
+      products.map((product) => ({ product, productTypeId: typeId })),
+    );
+  const itemList = buildItemListSchema(
+    isFandomPage ? fandom.name : `${fandom.name} · ${productTypeName}`,
+    url,
+    entries,
+    fandom,
+    helpers,
+  );
+
+  // El cliente hidrata solo si su primera página tiene los mismos items
+  const gridProducts = fandom.products[productTypeId].slice(0, ITEMS_PER_PAGE);
+  const gridCount = gridProducts.length;
+  const gridItems = gridProducts
+    .map((product) =>
+      renderProductItem(product, fandom, productTypeId, helpers, imageManifest),
+    )
+    .join("");
+
+  let html = template;
+  html = replaceOnce(
+    html,
+    /<title>[\s\S]*?<\/title>/,
+    `<title>${escapeHTML(title)}</title>`,
+  );
+  // Sin data-i18n-attr: applyTranslations() no debe pisar estos textos
+  html = replaceOnce(
+    html,
+    /<meta\s+name="description"[\s\S]*?\/>/,
+    `<meta name="description" content="${escapeHTML(description)}" />`,
+  );
+  html = replaceOnce(
+    html,
+    /<meta\s+property="og:title"[\s\S]*?\/>/,
+    `<meta property="og:title" content="${escapeHTML(title)}" />`,
+  );
+  html = replaceOnce(
+    html,
+    /<meta\s+property="og:description"[\s\S]*?\/>/,
+    `<meta property="og:description" content="${escapeHTML(description)}" />`,
+  );
+  html = replaceOnce(
+    html,
+    /<meta\s+property="og:type"[\s\S]*?\/>/,
+    `<meta property="og:type" content="website" />
+    <meta property="og:url" content="${escapeHTML(url)}" />
+    <meta property="og:image" content="${escapeHTML(image)}" />
+    <meta property="og:site_name" content="${SITE_NAME}" />
+    <meta property="og:locale" content="${LOCALE.replace("-", "_")}" />
+    <meta name="twitter:card" content="summary_large_image" />
+    <link rel="canonical" href="${escapeHTML(url)}" />
+    <script type="application/ld+json">
+${itemList}
+    </script>`,
+  );
+
+  // La vista del fandom queda visible y marcada para hidratar
+  html = replaceOnce(
+    html,
+    /<body>/,
+    `<body data-prerender-fandom="${fandom.id}" data-prerender-type="${productTypeId}" data-prerender-key="${context.prerenderKey}">`,
+  );
+  html = replaceOnce(
+    html,
+    /(<div\b[^>]*\bid="fandomFilters"[^>]*)>[\s\S]*?<\/div>/,
+    `$1 data-prerendered="">${context.fandomFilters}</div>`,
+  );
+  html = replaceOnce(
+    html,
+    /(<div\b[^>]*\bid="featuredView"[^>]*)>/,
+    `$1 style="display: none">`,
+  );
+  html = replaceOnce(
+    html,
+    /(<div\b[^>]*\bid="fandomView"[^>]*?)\s*style="display: none"/,
+    `$1 style="display: block"`,
+  );
+  html = replaceOnce(
+    html,
+    /(<h3\b[^>]*\bid="selectedFandomName"[^>]*>)(<\/h3>)/,
+    `$1${escapeHTML(fandom.name)}$2`,
+  );
+  html = replaceOnce(
+    html,
+    /(<div\b[^>]*\bid="productTypeFilters"[^>]*)>[\s\S]*?<\/div>/,
+    `$1 data-prerendered="${fandom.id}">${renderProductTypeFilters(fandom, helpers)}</div>`,
+  );
+  html = replaceOnce(
+    html,
+    /<div class="product-grid" id="productGrid">[\s\S]*?<\/div>/,
+    `<div class="product-grid" id="productGrid" role="tabpanel" aria-labelledby="type-tab-${productTypeId}" data-prerendered="${fandom.id}/${productTypeId}/0-${gridCount}">${gridItems}</div>`,
+  );
+  return html;
+}
+
+/**
+ * Genera sitemap.xml con la portada y todas las páginas
+ * @param {Array<string>} fileNames - Páginas generadas
+ * @param {string} lastmod - Fecha de la última modificación del catálogo
+ * @returns {string} XML
+ */
+function buildSitemap(fileNames, lastmod) {
+  const urls = [""].concat(fileNames).map(
+    (fileName) => `  <url>
+    <loc>${escapeHTML(absoluteUrl(fileName))}</loc>
+    <lastmod>${lastmod}</lastmod>
+  </url>`,
+  );
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join("\n")}
+</urlset>
+`;
+}
+
+/**
+ * Genera robots.txt (el editor y la API no se indexan)
+ * Los buscadores solo lo leen en la raíz del dominio
+ * @returns {string} Contenido
+ */
+function buildRobots() {
+  const { pathname } = new URL(baseUrl);
+  return `User-agent: *
+Disallow: ${pathname}admin/
+Disallow: ${pathname}api/
+
+Sitemap: ${absoluteUrl("sitemap.xml")}
+`;
+}
+
+// ============================================
+// EJECUCIÓN
+// ============================================
+
+let data;
+try {
+  data = readCatalog();
+} catch (error) {
+  console.error(`✖ ${error.message}`);
+  process.exit(1);
+}
+
+const template = fs.readFileSync(TEMPLATE_PATH, "utf8");
+const helpers = createCatalogHelpers(data);
+
+// Misma clave que calcula script.js: si algo cambia, el cliente re-renderiza
+const prerenderKey = [
+  hashText(JSON.stringify(data)),
+  LOCALE,
+  helpers.activePromotions.map((promotion) => promotion.id).join(","),
+].join("|");
+
+const context = {
+  helpers,
+  imageManifest: loadImageManifest(),
+  prerenderKey,
+  fandomFilters: renderFandomFilters(data),
+};
+
+const pages = [];
+data.fandoms.forEach((fandom) => {
+  Object.keys(fandom.products).forEach((productTypeId, i) => {
+    if (!helpers.productTypes.has(productTypeId)) return;
+    pages.push({
+      fandom,
+      productTypeId,
+      isFandomPage: i === 0,
+      fileName: pageFileName(fandom, productTypeId),
+    });
+  });
+});
+
+// Dos ids que generan el mismo archivo ("a-b" + "c" y "a" + "b-c")
+const seen = new Map();
+pages.forEach((page) => {
+  const previous = seen.get(page.fileName);
+  if (previous) {
+    console.error(
+      `✖ ${page.fileName} corresponde a ${previous} y a ${page.fandom.id}/${page.productTypeId}; renombrá uno de los ids`,
+    );
+    process.exit(1);
+  }
+  seen.set(page.fileName, `${page.fandom.id}/${page.productTypeId}`);
+});
+
+try {
+  pages.forEach((page) => {
+    fs.writeFileSync(
+      path.join(ROOT_DIR, page.fileName),
+      renderPage(template, page, context),
+    );
+  });
+} catch (error) {
+  console.error(`✖ ${error.message}`);
+  process.exit(1);
+}
+
+// Borra páginas de fandoms o tipos que ya no existen
+const fileNames = pages.map((page) => page.fileName);
+const removed = fs
+  .readdirSync(ROOT_DIR)
+  .filter((name) => PAGE_PATTERN.test(name) && !fileNames.includes(name));
+removed.forEach((name) => fs.unlinkSync(path.join(ROOT_DIR, name)));
+
+const lastmod = toISODate(fs.statSync(CATALOG_PATH).mtime);
+fs.writeFileSync(
+  path.join(ROOT_DIR, "sitemap.xml"),
+  buildSitemap(fileNames, lastmod),
+);
+fs.writeFileSync(path.join(ROOT_DIR, "robots.txt"), buildRobots());
+
+console.log(
+  `✔ ${pages.length} páginas, sitemap.xml y robots.txt generados para ${baseUrl}` +
+    (removed.length ? ` (${removed.length} páginas viejas borradas)` : ""),
+);
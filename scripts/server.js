@@ -0,0 +1,451 @@
+#!/usr/bin/env node
+// ============================================
+// COMANDO: SERVIDOR LOCAL DEL SITIO
+// ============================================
+
+/**
+ * Sirve el sitio estático, recibe las consultas del formulario de contacto
+ * y guarda los cambios del editor de catálogo (admin/)
+ *
+ * Uso:
+ *   node scripts/server.js [--port 3000]
+ *
+ * El editor se abre en http://localhost:3000/admin/ (solo desde esta máquina)
+ *
+ * Endpoints:
+ *   POST /api/contact  { name, email, product, message, website, clientId,
+ *                        commission?, attachments?: [{ name, type, data }] }
+ *     201 { ok: true, id }
+ *     400 { ok: false, errors: [{ field, code, message }] }
+ *     429 { ok: false, errors: [{ field: null, code, message }] }
+ *
+ *   GET /api/images    Imágenes disponibles en img/ (solo local)
+ *     200 { ok: true, images: ["img/..."] }
+ *
+ *   PUT /api/catalog   Catálogo completo (solo local)
+ *     200 { ok: true, warnings: [{ path, message }] }
+ *     400 { ok: false, errors: [{ path, message }], warnings }
+ *
+ * Variables de entorno:
+ *   PORT         Puerto (por defecto 3000)
+ *   CORS_ORIGIN  Origen permitido si el sitio se publica en otro dominio
+ */
+
+"use strict";
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const {
+  ROOT_DIR,
+  CATALOG_PATH,
+  validateCatalog,
+  writeCatalog,
+} = require("./lib/catalog");
+const {
+  LIMITS: INQUIRY_LIMITS,
+  validateInquiry,
+  saveInquiry,
+} = require("./lib/inquiries");
+
+const args = process.argv.slice(2);
+const portIndex = args.indexOf("--port");
+const PORT = Number(
+  portIndex !== -1 ? args[portIndex + 1] : process.env.PORT || 3000,
+);
+const CORS_ORIGIN = process.env.CORS_ORIGIN || "";
+
+// Texto de la consulta más las imágenes de referencia en base64 (+33 %)
+const MAX_CONTACT_BYTES =
+  16 * 1024 +
+  Math.ceil(
+    (INQUIRY_LIMITS.attachments * INQUIRY_LIMITS.attachmentBytes * 4) / 3,
+  );
+const MAX_CATALOG_BYTES = 2 * 1024 * 1024;
+
+const IMAGE_EXTENSIONS = [".webp", ".jpg", ".jpeg", ".png", ".gif", ".avif"];
+
+// Límite de consultas por IP dentro de la ventana
+const RATE_LIMIT = {
+  max: 5,
+  windowMs: 10 * 60 * 1000,
+};
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".webp": "image/webp",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".avif": "image/avif",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon",
+};
+
+// Carpetas del repo que no se publican
+const PRIVATE_DIRS = ["data", "scripts", "node_modules"];
+
+// ============================================
+// RESPUESTAS
+// ============================================
+
+/**
+ * Envía una respuesta JSON
+ * @param {http.ServerResponse} res - Respuesta
+ * @param {number} status - Código HTTP
+ * @param {Object} body - Cuerpo a serializar
+ */
+function sendJSON(res, status, body) {
+  res.writeHead(status, { "Content-Type": MIME_TYPES[".json"] });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Envía un error general (no asociado a un campo)
+ * @param {http.ServerResponse} res - Respuesta
+ * @param {number} status - Código HTTP
+ * @param {string} message - Mensaje para mostrar en el formulario
+ * @param {string} [code] - Código estable para traducir el mensaje en el sitio
+ */
+function sendError(res, status, message, code) {
+  sendJSON(res, status, {
+    ok: false,
+    errors: [{ field: null, code, message }],
+  });
+}
+
+/**
+ * Agrega las cabeceras CORS si se configuró un origen externo
+ * @param {http.ServerResponse} res - Respuesta
+ */
+function applyCors(res) {
+  if (!CORS_ORIGIN) return;
+  res.setHeader("Access-Control-Allow-Origin", CORS_ORIGIN);
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+}
+
+// ============================================
+// LÍMITE DE ENVÍOS POR IP
+// ============================================
+
+const submissionsByIp = new Map();
+
+/**
+ * Registra un intento y dice si la IP superó el límite
+ * @param {string} ip - Dirección del cliente
+ * @returns {boolean} true si debe rechazarse
+ */
+function isRateLimited(ip) {
+  const now = Date.now();
+  const recent = (submissionsByIp.get(ip) || []).filter(
+    (time) => now - time < RATE_LIMIT.windowMs,
+  );
+
+  if (recent.length >= RATE_LIMIT.max) {
+    submissionsByIp.set(ip, recent);
+    return true;
+  }
+
+  recent.push(now);
+  submissionsByIp.set(ip, recent);
+  return false;
+}
+
+// Limpia periódicamente las IPs sin actividad reciente
+setInterval(() => {
+  const now = Date.now();
+  submissionsByIp.forEach((times, ip) => {
+    if (times.every((time) => now - time >= RATE_LIMIT.windowMs)) {
+      submissionsByIp.delete(ip);
+    }
+  });
+}, RATE_LIMIT.windowMs).unref();
+
+// ============================================
+// ENDPOINT DE CONTACTO
+// ============================================
+
+/**
+ * Lee el cuerpo de la petición como JSON
+ * @param {http.IncomingMessage} req - Petición
+ * @param {number} maxBytes - Tamaño máximo aceptado
+ * @returns {Promise<*>} Cuerpo parseado
+ */
+function readJSONBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    let tooLarge = false;
+    const chunks = [];
+
+    req.on("data", (chunk) => {
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > maxBytes) {
+        // Se deja de guardar y el resto se descarta sin cortar la conexión,
+        // así el 413 llega al navegador
+        tooLarge = true;
+        chunks.length = 0;
+        reject(Object.assign(new Error("too large"), { status: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (tooLarge) return;
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (error) {
+        reject(Object.assign(error, { status: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Procesa una consulta del formulario de contacto
+ * @param {http.IncomingMessage} req - Petición
+ * @param {http.ServerResponse} res - Respuesta
+ */
+async function handleContact(req, res) {
+  let body;
+  try {
+    body = await readJSONBody(req, MAX_CONTACT_BYTES);
+  } catch (error) {
+    if (error.status === 413) {
+      sendError(res, 413, "El mensaje es demasiado largo", "message-too-long");
+    } else {
+      sendError(
+        res,
+        error.status || 400,
+        "La consulta no es válida",
+        "invalid",
+      );
+    }
+    return;
+  }
+
+  // Honeypot: los bots completan el campo oculto; se responde como si nada
+  if (body && typeof body.website === "string" && body.website.trim()) {
+    sendJSON(res, 201, { ok: true, id: null });
+    return;
+  }
+
+  const { inquiry, errors } = validateInquiry(body);
+  if (!inquiry) {
+    sendJSON(res, 400, { ok: false, errors });
+    return;
+  }
+
+  if (isRateLimited(req.socket.remoteAddress || "")) {
+    sendError(
+      res,
+      429,
+      "Recibí varias consultas seguidas. Probá de nuevo en unos minutos.",
+      "rate-limited",
+    );
+    return;
+  }
+
+  try {
+    const { id, duplicate } = saveInquiry(inquiry);
+    if (!duplicate) {
+      console.log(`✔ Consulta de ${inquiry.name} <${inquiry.email}>`);
+    }
+    sendJSON(res, 201, { ok: true, id });
+  } catch (error) {
+    console.error(`✖ No se pudo guardar la consulta: ${error.message}`);
+    sendError(res, 500, "No se pudo guardar tu mensaje", "save-failed");
+  }
+}
+
+// ============================================
+// ENDPOINTS DEL EDITOR DE CATÁLOGO
+// ============================================
+
+/**
+ * Indica si la petición viene de esta misma máquina
+ * El editor escribe gallery-data.json: no se expone a la red
+ * @param {http.IncomingMessage} req - Petición
+ * @returns {boolean} true si es local
+ */
+function isLocalRequest(req) {
+  const address = req.socket.remoteAddress || "";
+  return ["127.0.0.1", "::1", "::ffff:127.0.0.1"].includes(address);
+}
+
+/**
+ * Lista las imágenes de img/ (sin las versiones optimizadas generadas)
+ * @returns {Array<string>} Rutas relativas ordenadas (ej: "img/TBOI.webp")
+ */
+function listImages() {
+  const images = [];
+  const walk = (dir) => {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (entry.name !== "optimized") walk(fullPath);
+      } else if (
+        IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())
+      ) {
+        images.push(
+          path.relative(ROOT_DIR, fullPath).split(path.sep).join("/"),
+        );
+      }
+    });
+  };
+  walk(path.join(ROOT_DIR, "img"));
+  return images.sort();
+}
+
+/**
+ * Valida y guarda el catálogo enviado por el editor
+ * Rechaza el guardado si hay errores (ids duplicados, tipos inexistentes...)
+ * @param {http.IncomingMessage} req - Petición
+ * @param {http.ServerResponse} res - Respuesta
+ */
+async function handleCatalogSave(req, res) {
+  let data;
+  try {
+    data = await readJSONBody(req, MAX_CATALOG_BYTES);
+  } catch (error) {
+    sendJSON(res, error.status || 400, {
+      ok: false,
+      errors: [{ path: "$", message: "el catálogo no es JSON válido" }],
+      warnings: [],
+    });
+    return;
+  }
+
+  const { errors, warnings } = validateCatalog(data);
+  if (errors.length > 0) {
+    sendJSON(res, 400, { ok: false, errors, warnings });
+    return;
+  }
+
+  try {
+    writeCatalog(data, CATALOG_PATH);
+    console.log(`✔ Catálogo guardado (${data.fandoms.length} fandoms)`);
+    sendJSON(res, 200, { ok: true, warnings });
+  } catch (error) {
+    console.error(`✖ No se pudo guardar el catálogo: ${error.message}`);
+    sendJSON(res, 500, {
+      ok: false,
+      errors: [{ path: "$", message: "no se pudo escribir el archivo" }],
+      warnings,
+    });
+  }
+}
+
+// ============================================
+// ARCHIVOS ESTÁTICOS
+// ============================================
+
+/**
+ * Sirve un archivo del sitio, sin salir de la carpeta del repo
+ * @param {http.IncomingMessage} req - Petición
+ * @param {http.ServerResponse} res - Respuesta
+ * @param {string} urlPath - Ruta de la URL ya parseada (sin decodificar)
+ */
+function serveStatic(req, res, urlPath) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(urlPath);
+  } catch (error) {
+    res.writeHead(400).end();
+    return;
+  }
+  if (pathname.endsWith("/")) pathname += "index.html";
+
+  const filePath = path.join(ROOT_DIR, pathname);
+  const relative = path.relative(ROOT_DIR, filePath);
+  const [topDir] = relative.split(path.sep);
+
+  if (
+    relative.startsWith("..") ||
+    relative.split(path.sep).some((part) => part.startsWith(".")) ||
+    PRIVATE_DIRS.includes(topDir) ||
+    (topDir === "admin" && !isLocalRequest(req))
+  ) {
+    res.writeHead(404).end();
+    return;
+  }
+
+  fs.stat(filePath, (statError, stats) => {
+    if (statError || !stats.isFile()) {
+      res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end("No encontrado");
+      return;
+    }
+
+    res.writeHead(200, {
+      "Content-Type":
+        MIME_TYPES[path.extname(filePath).toLowerCase()] ||
+        "application/octet-stream",
+      "Content-Length": stats.size,
+    });
+    if (req.method === "HEAD") {
+      res.end();
+      return;
+    }
+    fs.createReadStream(filePath).pipe(res);
+  });
+}
+
+// ============================================
+// SERVIDOR
+// ============================================
+
+const server = http.createServer((req, res) => {
+  // Un destino mal formado ("//") no puede tirar abajo el servidor
+  let pathname;
+  try {
+    ({ pathname } = new URL(req.url, "http://localhost"));
+  } catch (error) {
+    res.writeHead(400).end();
+    return;
+  }
+
+  if (pathname === "/api/contact") {
+    applyCors(res);
+    if (req.method === "OPTIONS") {
+      res.writeHead(204).end();
+    } else if (req.method === "POST") {
+      handleContact(req, res);
+    } else {
+      sendError(res, 405, "Método no permitido");
+    }
+    return;
+  }
+
+  if (pathname === "/api/images" || pathname === "/api/catalog") {
+    if (!isLocalRequest(req)) {
+      sendError(res, 403, "El editor solo está disponible en modo local");
+    } else if (pathname === "/api/images" && req.method === "GET") {
+      sendJSON(res, 200, { ok: true, images: listImages() });
+    } else if (pathname === "/api/catalog" && req.method === "PUT") {
+      handleCatalogSave(req, res);
+    } else {
+      sendError(res, 405, "Método no permitido");
+    }
+    return;
+  }
+
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.writeHead(405).end();
+    return;
+  }
+  serveStatic(req, res, pathname);
+});
+
+server.listen(PORT, () => {
+  console.log(`Sitio disponible en http://localhost:${PORT}`);
+});
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+// ============================================
+// COMANDO: VALIDAR CATÁLOGO
+// ============================================
+
+/**
+ * Valida gallery-data.json antes de publicar
+ *
+ * Uso:
+ *   node scripts/validate-catalog.js [archivo.json] [--strict]
+ *
+ * Sale con código 1 si hay errores (o advertencias con --strict)
+ */
+
+"use strict";
+
+const path = require("path");
+const {
+  CATALOG_PATH,
+  ROOT_DIR,
+  readCatalog,
+  validateCatalog,
+} = require("./lib/catalog");
+
+const args = process.argv.slice(2);
+const strict = args.includes("--strict");
+const fileArg = args.find((arg) => !arg.startsWith("--"));
+const filePath = fileArg ? path.resolve(fileArg) : CATALOG_PATH;
+const relativePath = path.relative(process.cwd(), filePath) || filePath;
+
+let data;
+try {
+  data = readCatalog(filePath);
+} catch (error) {
+  console.error(`✖ ${error.message}`);
+  process.exit(1);
+}
+
+// Las imágenes se resuelven relativas a la carpeta del archivo validado
+const rootDir = fileArg ? path.dirname(filePath) : ROOT_DIR;
+const { errors, warnings } = validateCatalog(data, { rootDir });
+
+warnings.forEach(({ path: at, message }) => {
+  console.warn(`⚠ ${at}: ${message}`);
+});
+errors.forEach(({ path: at, message }) => {
+  console.error(`✖ ${at}: ${message}`);
+});
+
+if (errors.length === 0 && warnings.length === 0) {
+  console.log(`✔ ${relativePath} es válido`);
+} else {
+  console.log(
+    `\n${relativePath}: ${errors.length} error(es), ${warnings.length} advertencia(s)`,
+  );
+}
+
+process.exit(errors.length > 0 || (strict && warnings.length > 0) ? 1 : 0);
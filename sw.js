@@ -0,0 +1,203 @@
+// ============================================
+// SERVICE WORKER: SITIO Y CATÁLOGO SIN CONEXIÓN
+// ============================================
+
+/**
+ * Estrategias:
+ * - Shell del sitio (HTML, CSS, JS, textos, logo): se precachea al instalar
+ * - gallery-data.json, manifest de imágenes e imágenes vistas:
+ *   stale-while-revalidate (responde con la copia guardada y la actualiza)
+ * - /api/ y /admin/ nunca pasan por la caché
+ *
+ * Subir CACHE_VERSION al cambiar la lista del shell para descartar cachés viejas
+ */
+const CACHE_VERSION = "v2";
+const SHELL_CACHE = `hades-salem-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `hades-salem-data-${CACHE_VERSION}`;
+const IMAGE_CACHE = `hades-salem-images-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "styles.css",
+  "catalog-print.css",
+  "script.js",
+  "locales/es-AR.js",
+  "locales/en.js",
+  "manifest.webmanifest",
+  "img/logo-principal.png",
+  "img/logo.ico",
+  "img/icon.svg",
+  "img/cursor-pokemon.png",
+  "img/proximamente.webp",
+];
+
+// Archivos de datos con copia guardada (la página muestra su fecha sin conexión)
+const DATA_FILES = ["gallery-data.json", "img/optimized/manifest.json"];
+
+// Fuentes e iconos externos que usa index.html
+const CDN_HOSTS = ["fonts.googleapis.com", "fonts.gstatic.com", "unpkg.com"];
+
+// Máximo de imágenes guardadas (se descartan las más viejas)
+const MAX_CACHED_IMAGES = 200;
+
+// Cabecera agregada a las copias guardadas con la fecha de guardado
+const CACHED_AT_HEADER = "X-Cached-At";
+
+// ============================================
+// INSTALACIÓN Y ACTIVACIÓN
+// ============================================
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const currentCaches = [SHELL_CACHE, DATA_CACHE, IMAGE_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => !currentCaches.includes(key))
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+// ============================================
+// RUTEO DE PEDIDOS
+// ============================================
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  if (url.origin !== self.location.origin) {
+    if (CDN_HOSTS.includes(url.hostname)) {
+      event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+    }
+    return;
+  }
+
+  const scopePath = new URL(self.registration.scope).pathname;
+  const relativePath = url.pathname.slice(scopePath.length);
+
+  if (relativePath.startsWith("api/") || relativePath.startsWith("admin/")) {
+    return;
+  }
+
+  if (DATA_FILES.includes(relativePath)) {
+    event.respondWith(staleWhileRevalidate(event, DATA_CACHE, true));
+  } else if (relativePath.startsWith("img/") && !isShellFile(relativePath)) {
+    event.respondWith(staleWhileRevalidate(event, IMAGE_CACHE));
+  } else if (request.mode === "navigate") {
+    // index.html?preview y demás variantes usan el mismo HTML guardado
+    event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+  } else if (isShellFile(relativePath)) {
+    event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+  }
+});
+
+/**
+ * Indica si una ruta (relativa al scope) es parte del shell precacheado
+ * @param {string} relativePath - Ruta sin el scope (ej: "styles.css")
+ * @returns {boolean} true si está en SHELL_FILES
+ */
+function isShellFile(relativePath) {
+  return SHELL_FILES.includes(relativePath || "./");
+}
+
+// ============================================
+// STALE-WHILE-REVALIDATE
+// ============================================
+
+/**
+ * Responde con la copia guardada (si existe) y actualiza la caché en segundo plano
+ * Sin copia guardada espera a la red
+ * @param {FetchEvent} event - Evento fetch
+ * @param {string} cacheName - Caché donde guardar
+ * @param {boolean} [notifyClient] - Avisa a la página si la red falló (catálogo)
+ * @returns {Promise<Response>} Respuesta
+ */
+async function staleWhileRevalidate(event, cacheName, notifyClient = false) {
+  const { request } = event;
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreSearch: true });
+
+  const network = fetch(request)
+    .then(async (response) => {
+      if (response.ok || response.type === "opaque") {
+        await cache.put(request, await stampResponse(response.clone()));
+        if (cacheName === IMAGE_CACHE) {
+          await trimCache(cache, MAX_CACHED_IMAGES);
+        }
+      }
+      return response;
+    })
+    .catch(async () => {
+      if (notifyClient && cached) {
+        await postToClient(event.clientId, {
+          type: "catalog-offline",
+          cachedAt: cached.headers.get(CACHED_AT_HEADER),
+        });
+      }
+      return null;
+    });
+
+  // La actualización sigue aunque ya se haya respondido con la copia
+  event.waitUntil(network);
+
+  if (cached) return cached;
+  return (await network) || Response.error();
+}
+
+/**
+ * Copia una respuesta agregando la fecha de guardado
+ * Las respuestas opacas (CDN) se guardan tal cual
+ * @param {Response} response - Respuesta de la red
+ * @returns {Promise<Response>} Respuesta para la caché
+ */
+async function stampResponse(response) {
+  if (response.type === "opaque") return response;
+
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, new Date().toISOString());
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+}
+
+/**
+ * Descarta las entradas más viejas cuando la caché supera el máximo
+ * @param {Cache} cache - Caché a recortar
+ * @param {number} maxEntries - Cantidad máxima de entradas
+ */
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  const excess = keys.slice(0, Math.max(keys.length - maxEntries, 0));
+  await Promise.all(excess.map((key) => cache.delete(key)));
+}
+
+/**
+ * Envía un mensaje a la pestaña que hizo el pedido
+ * @param {string} clientId - ID del cliente del evento fetch
+ * @param {Object} message - Mensaje a enviar
+ */
+async function postToClient(clientId, message) {
+  if (!clientId) return;
+  const client = await self.clients.get(clientId);
+  if (client) client.postMessage(message);
+}